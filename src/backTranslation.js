@@ -0,0 +1,166 @@
+/**
+ * 역번역 기반 품질 점수
+ * - 번역문을 다른 모델로 원문 언어로 되돌린 뒤 원문과 비교 (모델의 자기 평가 대신 근거 있는 점수)
+ * - 의미 점수: 원문 ↔ 역번역이 같은 뜻인지 모델 판정 (동의어·바꿔 쓴 표현은 같은 뜻, 단어만 겹친 엉뚱한 문장은 다른 뜻)
+ * - 구조 점수: 자리표시자/태그/줄바꿈/공백 (validator.js) + 숫자 보존
+ * - 어휘 점수(보조): 원문 ↔ 역번역 토큰 겹침 (F1, 원문 언어별 불용어 제외 — 한자/가나/한글은 글자 2-gram)
+ * - 최종 점수 = 의미 60% + 구조 30% + 어휘 10%, 키마다 짧은 사유와 함께 저장
+ *   (의미 판정이 없으면 점수 없음 — 어휘 겹침만으로 점수를 매기지 않음)
+ */
+import { validateTranslation } from './validator.js';
+import { fallbackChain } from './languages.js';
+
+// 품질 검사 모드 (--qa <mode>)
+export const QA_MODES = ['selfrate', 'backtranslate'];
+
+const SEMANTIC_WEIGHT = 0.6;
+const STRUCTURE_WEIGHT = 0.3;
+const LEXICAL_WEIGHT = 0.1;
+const STRUCTURE_PENALTY = 34; // 구조 문제 1개당 구조 점수 감점
+
+// 언어별 불용어 (띄어쓰기 단위 단어에만 적용 — 지역 변형은 상위 언어 목록 사용)
+const STOPWORDS = {
+  en: ['a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'by', 'at', 'from',
+    'is', 'are', 'be', 'your', 'you', 'our', 'we', 'it', 'this', 'that', 'as'],
+  ko: ['및', '또는', '그리고', '이', '그', '저', '수', '것', '등'],
+  de: ['der', 'die', 'das', 'ein', 'eine', 'und', 'oder', 'von', 'zu', 'in', 'im', 'mit', 'für', 'auf',
+    'ist', 'sind', 'ihr', 'ihre', 'sie', 'wir', 'es', 'den', 'dem', 'des'],
+  es: ['el', 'la', 'los', 'las', 'un', 'una', 'y', 'o', 'de', 'del', 'a', 'en', 'con', 'por', 'para',
+    'es', 'son', 'su', 'sus', 'tu', 'tus', 'que', 'al', 'lo'],
+  pt: ['o', 'a', 'os', 'as', 'um', 'uma', 'e', 'ou', 'de', 'do', 'da', 'dos', 'das', 'em', 'no', 'na',
+    'com', 'por', 'para', 'é', 'são', 'seu', 'sua', 'que', 'ao'],
+  fr: ['le', 'la', 'les', 'un', 'une', 'et', 'ou', 'de', 'du', 'des', 'à', 'au', 'aux', 'en', 'dans',
+    'avec', 'pour', 'par', 'sur', 'est', 'sont', 'votre', 'vos', 'nous', 'vous', 'que', 'l', 'd'],
+  id: ['dan', 'atau', 'di', 'ke', 'dari', 'untuk', 'dengan', 'yang', 'ini', 'itu', 'anda', 'kami', 'adalah'],
+  tr: ['ve', 'veya', 'bir', 'bu', 'şu', 'için', 'ile', 'de', 'da', 'mi', 'mı', 'sizin', 'biz'],
+  vi: ['và', 'hoặc', 'của', 'cho', 'với', 'các', 'những', 'là', 'một', 'này', 'đó', 'bạn', 'chúng'],
+  ru: ['и', 'или', 'в', 'во', 'на', 'с', 'со', 'к', 'по', 'для', 'от', 'из', 'это', 'ваш', 'ваши', 'мы', 'вы'],
+  hi: ['और', 'या', 'का', 'की', 'के', 'में', 'से', 'को', 'पर', 'है', 'हैं', 'यह', 'आप', 'आपका', 'हम'],
+  ar: ['و', 'أو', 'في', 'من', 'إلى', 'على', 'عن', 'مع', 'هذا', 'هذه', 'أن', 'ال'],
+};
+
+// 띄어쓰기 없이 이어 쓰는 문자 (한자/가나/한글) — 단어 대신 글자 2-gram으로 비교
+const CJK = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}ー';
+const CJK_CHAR = new RegExp(`[${CJK}]`, 'u');
+const SCRIPT_RUNS = new RegExp(`[${CJK}]+|[^${CJK}]+`, 'gu');
+
+function stopwordsFor(lang) {
+  const base = fallbackChain(lang).find(code => STOPWORDS[code]) || lang.split('-')[0];
+  return new Set(STOPWORDS[base] || []);
+}
+
+/**
+ * 비교용 토큰 목록
+ * - 공백 구분 단어: 소문자, 구두점 제거, 언어별 불용어 제외 (영어는 복수/시제 어미 단순화)
+ * - 한자/가나/한글 구간: 글자 2-gram ("取引を開始" → 取引, 引を, を開, 開始) — 어미·조사만 다른 문장도 일치도가 남음
+ * @param lang 텍스트 언어 (역번역은 원문 언어로 되돌리므로 원문 언어)
+ */
+export function contentWords(text, lang = 'en') {
+  const stopwords = stopwordsFor(lang);
+  const tokens = [];
+  const words = text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(w => w && !stopwords.has(w));
+
+  for (const word of words) {
+    // 한 단어 안에서도 문자 체계가 바뀌는 지점(예: "API連携")에서 나눔
+    for (const run of word.match(SCRIPT_RUNS)) {
+      if (!CJK_CHAR.test(run)) {
+        tokens.push(lang.startsWith('en') ? stem(run) : run);
+      } else if (run.length === 1) {
+        tokens.push(run);
+      } else {
+        const chars = [...run];
+        for (let i = 0; i < chars.length - 1; i++) tokens.push(chars[i] + chars[i + 1]);
+      }
+    }
+  }
+  return tokens;
+}
+
+function stem(word) {
+  if (word.length <= 4) return word;
+  return word.replace(/(?:ing|ed|es|s)$/, '');
+}
+
+/**
+ * 토큰 겹침 F1 (0~1) — 보조 지표: 동의어·바꿔 쓴 표현은 불일치로 계산되므로 의미 판정을 대신하지 않음
+ */
+export function lexicalSimilarity(source, back, lang = 'en') {
+  const a = contentWords(source, lang);
+  const b = contentWords(back, lang);
+  if (a.length === 0 && b.length === 0) return 1;
+  if (a.length === 0 || b.length === 0) return 0;
+
+  const rest = [...b];
+  let common = 0;
+  for (const word of a) {
+    const idx = rest.indexOf(word);
+    if (idx !== -1) {
+      common++;
+      rest.splice(idx, 1);
+    }
+  }
+  if (common === 0) return 0;
+  const precision = common / b.length;
+  const recall = common / a.length;
+  return (2 * precision * recall) / (precision + recall);
+}
+
+// 숫자 보존 검사 (금액·비율 등 — 번역문에 그대로 있어야 함)
+function missingNumbers(source, translated) {
+  // 구분자는 언어마다 다름 (10,000 / 10.000 / 10 000) → 숫자만 비교
+  const numbers = text => (text.match(/\d+(?:[.,\u00a0\u202f ]\d+)*/g) || []).map(n => n.replace(/[^\d]/g, ''));
+  const found = numbers(translated);
+  return numbers(source).filter(n => !found.includes(n));
+}
+
+/**
+ * 의미 판정 프롬프트 — 원문과 역번역이 같은 뜻인지 키마다 0~100점 + 짧은 근거
+ * @param items [{ key, source, back }]
+ */
+export function buildJudgePrompt(items, sourceName) {
+  return `Each item has a ${sourceName} source text and a back-translation of its translation into ${sourceName}.
+Judge whether the back-translation means the same thing as the source — as a user of a trading UI would read it.
+Ignore wording: synonyms, paraphrases and word order changes are the SAME meaning ("Withdraw" = "Take out funds").
+Reusing the source words does not make it the same meaning — check who does what, negation, amounts and the action asked of the user.
+
+Scoring guide:
+- 90-100: same meaning
+- 70-89: same meaning, minor nuance or tone lost
+- 40-69: partly the same — something added, dropped or weakened
+- Below 40: different meaning or nonsense
+
+Return ONLY a JSON object mapping each key to {"score": number, "reason": "under 10 words, in English"}.
+No markdown, no explanation.
+
+${JSON.stringify(items, null, 2)}`;
+}
+
+/**
+ * 원문 / 번역문 / 역번역 / 의미 판정 → { score: 0~100, reason }
+ * @param sourceLang 원문 언어 (역번역도 이 언어) — 토큰 분리·불용어 선택
+ * @param judgement  의미 판정 { score: 0~100, reason } (판정 실패 시 null → 점수 없음)
+ */
+export function scoreBackTranslation(source, translated, back, sourceLang = 'en', judgement = null) {
+  if (!translated) return { score: 0, reason: '번역 없음' };
+  if (typeof back !== 'string' || !back.trim()) return { score: null, reason: '역번역 실패' };
+  if (typeof judgement?.score !== 'number') return { score: null, reason: '의미 판정 실패' };
+
+  const semantic = Math.min(100, Math.max(0, judgement.score));
+  const lexical = lexicalSimilarity(source, back, sourceLang);
+  const problems = validateTranslation(source, translated).map(issue => issue.message);
+  const numbers = missingNumbers(source, translated);
+  if (numbers.length > 0) problems.push(`숫자 누락: ${numbers.join(', ')}`);
+
+  const structure = Math.max(0, 100 - problems.length * STRUCTURE_PENALTY);
+  const score = Math.round(semantic * SEMANTIC_WEIGHT + structure * STRUCTURE_WEIGHT + lexical * 100 * LEXICAL_WEIGHT);
+
+  const shown = back.trim().length > 80 ? `${back.trim().slice(0, 77)}…` : back.trim();
+  const verdict = judgement.reason ? ` (${String(judgement.reason).trim()})` : '';
+  const parts = [`역번역 "${shown}" — 의미 ${Math.round(semantic)}점${verdict}, 어휘 일치 ${Math.round(lexical * 100)}%`];
+  if (problems.length > 0) parts.push(problems.join('; '));
+  return { score, reason: parts.join(' · ') };
+}
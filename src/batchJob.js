@@ -0,0 +1,34 @@
+/**
+ * Message Batches API 작업 기록 (.cache/batch-job.json)
+ * - translate --batch-api로 제출한 배치 ID와 요청별 원문/마스킹 정보를 저장
+ * - 결과가 준비되기 전에 종료해도 다음 실행에서 같은 배치의 결과를 이어받음
+ * - 결과를 모두 반영하면 삭제
+ *
+ * 형식: { id, model, submittedAt, requests: { "ko-0": { lang, source, batch, spans, context } } }
+ *   source: 원문 배치, batch: 마스킹된 배치(모델에 보낸 값), spans: 마스킹 복원 정보
+ */
+import { readFile, writeFile, mkdir, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { PROJECT_DIR } from './config.js';
+
+const CACHE_DIR = path.join(PROJECT_DIR, '.cache');
+const BATCH_JOB_FILE = path.join(CACHE_DIR, 'batch-job.json');
+
+export async function loadBatchJob() {
+  if (!existsSync(BATCH_JOB_FILE)) return null;
+  try {
+    return JSON.parse(await readFile(BATCH_JOB_FILE, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+export async function saveBatchJob(job) {
+  if (!existsSync(CACHE_DIR)) await mkdir(CACHE_DIR, { recursive: true });
+  await writeFile(BATCH_JOB_FILE, JSON.stringify(job, null, 2), 'utf-8');
+}
+
+export async function clearBatchJob() {
+  await rm(BATCH_JOB_FILE, { force: true });
+}
@@ -0,0 +1,98 @@
+/**
+ * 화면 단위 번역 배치 구성
+ * - 키 경로의 첫 단계(Figma 최상위 프레임 = 화면)별로 묶어 같은 화면의 문자열을 한 배치로 전송
+ *   → 한 페이지 안에서 용어가 배치마다 달라지는 문제 방지
+ * - 작은 화면은 토큰 예산 안에서 여러 개를 한 배치로 합침
+ * - 화면 하나가 예산을 넘을 때만 크기 기준으로 나눔
+ * - 각 배치에는 같은 화면의 나머지 문자열을 읽기 전용 문맥으로 첨부
+ */
+
+// 문맥으로 첨부할 형제 문자열 최대 개수 (프롬프트 길이 제한)
+const MAX_CONTEXT_ITEMS = 40;
+
+/**
+ * 키 → 화면 이름 (키 경로 첫 단계)
+ */
+export function screenOf(key) {
+  return key.split('.')[0];
+}
+
+/**
+ * 키-값 한 쌍의 대략적인 토큰 수 (4자 ≈ 1토큰 + JSON 구문)
+ */
+export function estimateTokens(key, text) {
+  return Math.ceil((key.length + text.length) / 4) + 4;
+}
+
+/**
+ * 평면 맵 → 화면 단위 배치 목록
+ * @param flatMap     번역할 키 { key: en }
+ * @param maxItems    배치당 최대 키 수
+ * @param maxTokens   배치당 원문 토큰 예산
+ * @param contextMap  문맥으로 쓸 전체 원문 (기본: flatMap) — 번역 대상이 아닌 같은 화면 키도 포함 가능
+ * @returns [{ batch: { key: en }, context: { key: en } }]
+ */
+export function planBatches(flatMap, { maxItems, maxTokens, contextMap = flatMap }) {
+  // 화면별 그룹 (키 순서 유지)
+  const screens = new Map();
+  for (const [key, text] of Object.entries(flatMap)) {
+    const screen = screenOf(key);
+    if (!screens.has(screen)) screens.set(screen, []);
+    screens.get(screen).push([key, text]);
+  }
+
+  // 예산을 넘는 화면만 크기 기준으로 분할
+  const chunks = [];
+  for (const [screen, entries] of screens) {
+    let current = [];
+    let tokens = 0;
+    for (const [key, text] of entries) {
+      const cost = estimateTokens(key, text);
+      if (current.length > 0 && (current.length >= maxItems || tokens + cost > maxTokens)) {
+        chunks.push({ screens: [screen], entries: current, tokens });
+        current = [];
+        tokens = 0;
+      }
+      current.push([key, text]);
+      tokens += cost;
+    }
+    if (current.length > 0) chunks.push({ screens: [screen], entries: current, tokens });
+  }
+
+  // 작은 화면은 예산 안에서 이어 붙임 (화면을 쪼개지는 않음)
+  const merged = [];
+  for (const chunk of chunks) {
+    const last = merged[merged.length - 1];
+    if (
+      last &&
+      last.entries.length + chunk.entries.length <= maxItems &&
+      last.tokens + chunk.tokens <= maxTokens
+    ) {
+      last.screens.push(...chunk.screens);
+      last.entries.push(...chunk.entries);
+      last.tokens += chunk.tokens;
+    } else {
+      merged.push({ screens: [...chunk.screens], entries: [...chunk.entries], tokens: chunk.tokens });
+    }
+  }
+
+  return merged.map(({ screens: batchScreens, entries }) => {
+    const batch = Object.fromEntries(entries);
+    return { batch, context: screenContext(batch, batchScreens, contextMap) };
+  });
+}
+
+/**
+ * 배치에 포함되지 않은 같은 화면의 문자열 (읽기 전용 문맥)
+ */
+function screenContext(batch, batchScreens, contextMap) {
+  const context = {};
+  let count = 0;
+  for (const [key, text] of Object.entries(contextMap)) {
+    if (count >= MAX_CONTEXT_ITEMS) break;
+    if (key in batch || !batchScreens.includes(screenOf(key))) continue;
+    context[key] = text;
+    count++;
+  }
+  return context;
+}
@@ -2,14 +2,24 @@
  * 번역 캐시 관리
  * - 마지막 추출 결과를 저장해 변경된 텍스트만 재번역
  * - 캐시 형식: { "key": "English text" } 평면 맵
+ * - 노드 인덱스: 키별 Figma nodeId { "key": "12:345" } — 키 이동(rename) 감지용
+ * - 키 레지스트리: nodeId별로 한 번 부여된 키 { "12:345": "hero.get_started" }
+ *   텍스트/프레임 이름이 바뀌어도 같은 노드는 같은 키 유지 (rekey로만 변경)
+ * - 원문 해시: 각 번역이 어떤 원문으로부터 만들어졌는지 언어별로 기록
+ *   형식: { "ko": { "key": "sha1 앞 12자리" } }
  */
 import { readFile, writeFile, mkdir } from 'fs/promises';
 import { existsSync } from 'fs';
+import { createHash } from 'crypto';
 import path from 'path';
 import { PROJECT_DIR } from './config.js';
+import { withFileQueue } from './fileQueue.js';
 
 const CACHE_DIR = path.join(PROJECT_DIR, '.cache');
 const CACHE_FILE = path.join(CACHE_DIR, 'translation-cache.json');
+const NODE_INDEX_FILE = path.join(CACHE_DIR, 'node-index.json');
+const KEY_REGISTRY_FILE = path.join(CACHE_DIR, 'key-registry.json');
+const SOURCE_HASH_FILE = path.join(CACHE_DIR, 'source-hashes.json');
 
 export async function loadCache() {
   if (!existsSync(CACHE_FILE)) return {};
@@ -21,21 +31,65 @@ export async function loadCache() {
   }
 }
 
-export async function saveCache(flatMap) {
+export async function saveCache(flatMap, nodeIds = null) {
   if (!existsSync(CACHE_DIR)) {
     await mkdir(CACHE_DIR, { recursive: true });
   }
   await writeFile(CACHE_FILE, JSON.stringify(flatMap, null, 2), 'utf-8');
+  if (nodeIds) {
+    await writeFile(NODE_INDEX_FILE, JSON.stringify(nodeIds, null, 2), 'utf-8');
+  }
+}
+
+export async function loadNodeIndex() {
+  if (!existsSync(NODE_INDEX_FILE)) return {};
+  try {
+    return JSON.parse(await readFile(NODE_INDEX_FILE, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * nodeId → 키 레지스트리 로드
+ * 레지스트리가 아직 없으면 마지막 추출의 노드 인덱스로 초기화 (기존 키 그대로 이어받음)
+ */
+export async function loadKeyRegistry() {
+  if (existsSync(KEY_REGISTRY_FILE)) {
+    try {
+      return JSON.parse(await readFile(KEY_REGISTRY_FILE, 'utf-8'));
+    } catch {
+      return {};
+    }
+  }
+  const nodeIndex = await loadNodeIndex();
+  return Object.fromEntries(Object.entries(nodeIndex).map(([key, nodeId]) => [nodeId, key]));
+}
+
+/**
+ * 현재 추출된 노드의 키를 레지스트리에 반영
+ * - Figma에서 사라진 노드의 항목도 유지 (되살아나면 같은 키 사용)
+ */
+export async function saveKeyRegistry(registry, nodeIds) {
+  if (!existsSync(CACHE_DIR)) {
+    await mkdir(CACHE_DIR, { recursive: true });
+  }
+  const updated = { ...registry };
+  for (const [key, nodeId] of Object.entries(nodeIds)) updated[nodeId] = key;
+  await writeFile(KEY_REGISTRY_FILE, JSON.stringify(updated, null, 2), 'utf-8');
 }
 
 /**
  * 현재 추출 결과와 캐시를 비교해 변경 사항 반환
- * @returns { added, changed, removed }
+ * - 삭제 + 추가 쌍 중 같은 Figma nodeId(또는 nodeId가 없으면 같은 텍스트)는 이동으로 처리
+ * - 이동하면서 텍스트도 바뀐 키는 moved와 changed에 모두 포함
+ * @returns { added, changed, removed, moved: [{ from, to }] }
  */
-export function diffFlatMaps(current, cached) {
+export function diffFlatMaps(current, cached, currentNodes = {}, cachedNodes = {}) {
   const added = {};    // 새로 추가된 키
   const changed = {};  // 값이 바뀐 키
   const removed = [];  // 삭제된 키
+  const moved = [];    // 키만 바뀐 항목 (프레임 이름 변경 등)
 
   for (const [key, value] of Object.entries(current)) {
     if (!(key in cached)) {
@@ -51,5 +105,132 @@ export function diffFlatMaps(current, cached) {
     }
   }
 
-  return { added, changed, removed };
+  // 1차: 같은 nodeId
+  const removedByNode = new Map();
+  for (const key of removed) {
+    if (cachedNodes[key]) removedByNode.set(cachedNodes[key], key);
+  }
+  for (const key of Object.keys(added)) {
+    const from = currentNodes[key] && removedByNode.get(currentNodes[key]);
+    if (!from) continue;
+    moved.push({ from, to: key });
+    if (cached[from] !== added[key]) changed[key] = added[key];
+    removedByNode.delete(currentNodes[key]);
+    delete added[key];
+  }
+
+  // 2차: nodeId로 짝을 못 찾은 항목은 같은 텍스트끼리 (등장 순서대로 1:1)
+  // 양쪽 모두 nodeId가 있으면 서로 다른 노드 → 같은 텍스트라도 이동이 아님 (삭제 + 추가)
+  const movedFrom = new Set(moved.map(m => m.from));
+  const removedByText = new Map();
+  for (const key of removed) {
+    if (movedFrom.has(key)) continue;
+    if (!removedByText.has(cached[key])) removedByText.set(cached[key], []);
+    removedByText.get(cached[key]).push(key);
+  }
+  for (const [key, value] of Object.entries(added)) {
+    const candidates = removedByText.get(value) || [];
+    const idx = candidates.findIndex(from => !(cachedNodes[from] && currentNodes[key]));
+    if (idx === -1) continue;
+    const [from] = candidates.splice(idx, 1);
+    moved.push({ from, to: key });
+    movedFrom.add(from);
+    delete added[key];
+  }
+
+  return { added, changed, removed: removed.filter(k => !movedFrom.has(k)), moved };
+}
+
+/**
+ * 평면 키 맵 { key: value }에 키 이동 반영 (원본 객체 수정)
+ * - 이동 전 값을 모두 읽고 → from 키를 모두 지운 뒤 → to 키에 씀
+ *   (a→b, b→c 같은 연쇄 이동이나 a↔b 교환에서도 값이 사라지지 않음)
+ */
+export function renameKeys(map, moves) {
+  const values = moves.filter(({ from }) => from in map).map(({ from, to }) => [to, map[from]]);
+  for (const { from } of moves) delete map[from];
+  for (const [to, value] of values) map[to] = value;
+  return map;
+}
+
+/**
+ * 언어별 키 맵 { lang: { key: value } }에 키 이동 반영 (원본 객체 수정)
+ */
+export function renameLangKeys(all, moves) {
+  for (const [lang, map] of Object.entries(all)) {
+    if (!map || typeof map !== 'object' || lang.startsWith('_')) continue;
+    renameKeys(map, moves);
+  }
+  return all;
+}
+
+// ──────────────────────────────────────────────
+// 원문 해시 (오래된 번역 감지용)
+// ──────────────────────────────────────────────
+export function hashSource(text) {
+  return createHash('sha1').update(text, 'utf-8').digest('hex').substring(0, 12);
+}
+
+export async function loadSourceHashes() {
+  if (!existsSync(SOURCE_HASH_FILE)) return {};
+  try {
+    return JSON.parse(await readFile(SOURCE_HASH_FILE, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * 번역에 사용된 원문 해시 기록
+ * @param sourceFlat { key: 번역에 사용한 원문 }
+ */
+export async function recordSourceHashes(lang, sourceFlat) {
+  if (!existsSync(CACHE_DIR)) {
+    await mkdir(CACHE_DIR, { recursive: true });
+  }
+  await withFileQueue(SOURCE_HASH_FILE, async () => {
+    const all = await loadSourceHashes();
+    all[lang] = all[lang] || {};
+    for (const [key, text] of Object.entries(sourceFlat)) {
+      all[lang][key] = hashSource(text);
+    }
+    await writeFile(SOURCE_HASH_FILE, JSON.stringify(all, null, 2), 'utf-8');
+  });
+}
+
+/**
+ * 키 이동 시 원문 해시도 새 키로 옮김
+ */
+export async function moveSourceHashes(moves) {
+  if (moves.length === 0 || !existsSync(SOURCE_HASH_FILE)) return;
+  await withFileQueue(SOURCE_HASH_FILE, async () => {
+    const all = renameLangKeys(await loadSourceHashes(), moves);
+    await writeFile(SOURCE_HASH_FILE, JSON.stringify(all, null, 2), 'utf-8');
+  });
+}
+
+/**
+ * 원문이 바뀐 번역 찾기
+ * - 해시가 기록된 키: 현재 원문 파일의 해시와 비교
+ * - 해시가 없는 키(이전 버전에서 번역): 마지막 추출 캐시와 원문 파일이 다르면 수동 수정으로 판단
+ * @returns { stale: [key], missing: [key], untracked: [key] }
+ */
+export function findStaleKeys(sourceFlat, langFlat, langHashes = {}, extractedFlat = {}) {
+  const stale = [];     // 원문이 바뀐 번역
+  const missing = [];   // 번역 자체가 없음
+  const untracked = []; // 원문 기록이 없어 판단 불가
+
+  for (const [key, sourceText] of Object.entries(sourceFlat)) {
+    if (!langFlat[key]) {
+      missing.push(key);
+    } else if (key in langHashes) {
+      if (langHashes[key] !== hashSource(sourceText)) stale.push(key);
+    } else if (key in extractedFlat) {
+      if (extractedFlat[key] !== sourceText) stale.push(key);
+    } else {
+      untracked.push(key);
+    }
+  }
+
+  return { stale, missing, untracked };
 }
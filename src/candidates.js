@@ -0,0 +1,69 @@
+/**
+ * 번역 후보 (.cache/candidates.json)
+ * - retranslate --candidates N: 키마다 접근이 다른(직역/간결/격식 등) 번역 후보 N개 + 짧은 근거
+ * - locale 파일은 바꾸지 않음 — 리뷰 페이지(server.js)에서 후보를 골라 저장하거나 합쳐서 편집
+ * - 후보를 만든 원문의 해시를 함께 저장 → 원문이 바뀐 키의 후보는 표시하지 않음
+ *
+ * 형식: { "ko": { "hero.trading": { "source": "<hash>", "at": "2026-...",
+ *          "items": [{ "text": "...", "style": "punchy", "rationale": "...", "problems": ["..."] }] } } }
+ */
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { PROJECT_DIR } from './config.js';
+import { hashSource, renameLangKeys } from './cache.js';
+import { withFileQueue } from './fileQueue.js';
+
+const CACHE_DIR = path.join(PROJECT_DIR, '.cache');
+const CANDIDATES_FILE = path.join(CACHE_DIR, 'candidates.json');
+
+export async function loadCandidates() {
+  if (!existsSync(CANDIDATES_FILE)) return {};
+  try {
+    return JSON.parse(await readFile(CANDIDATES_FILE, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * 언어 하나의 후보 저장 (같은 키의 이전 후보는 교체)
+ * @param candidatesByKey { key: [{ text, style, rationale, problems }] }
+ * @param sourceFlat      후보를 만든 원문 { key: text }
+ */
+export async function saveCandidates(lang, candidatesByKey, sourceFlat) {
+  await withFileQueue(CANDIDATES_FILE, async () => {
+    const all = await loadCandidates();
+    const at = new Date().toISOString();
+    all[lang] = all[lang] || {};
+    for (const [key, items] of Object.entries(candidatesByKey)) {
+      if (items.length === 0) continue;
+      all[lang][key] = { source: hashSource(sourceFlat[key]), at, items };
+    }
+    if (!existsSync(CACHE_DIR)) await mkdir(CACHE_DIR, { recursive: true });
+    await writeFile(CANDIDATES_FILE, JSON.stringify(all, null, 2), 'utf-8');
+  });
+}
+
+/**
+ * 현재 원문 기준으로 유효한 후보만 (원문이 바뀐 키는 제외)
+ * @returns { key: items[] }
+ */
+export function currentCandidates(all, lang, sourceFlat) {
+  const result = {};
+  for (const [key, entry] of Object.entries(all[lang] || {})) {
+    if (key in sourceFlat && entry.source === hashSource(sourceFlat[key])) result[key] = entry.items;
+  }
+  return result;
+}
+
+/**
+ * 키 이동 시 후보도 새 키로 옮김
+ */
+export async function moveCandidates(moves) {
+  if (moves.length === 0 || !existsSync(CANDIDATES_FILE)) return;
+  await withFileQueue(CANDIDATES_FILE, async () => {
+    const all = renameLangKeys(await loadCandidates(), moves);
+    await writeFile(CANDIDATES_FILE, JSON.stringify(all, null, 2), 'utf-8');
+  });
+}
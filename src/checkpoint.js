@@ -0,0 +1,66 @@
+/**
+ * 번역 체크포인트 저널
+ * - translateFlatMap이 배치를 끝낼 때마다 결과를 .cache/checkpoint.jsonl에 한 줄씩 추가
+ * - 실행이 중간에 중단되면 --resume으로 다시 실행해 이미 끝난 키를 건너뜀
+ * - 원문 해시가 현재 원문과 같은 항목만 복원 (그 사이 원문이 바뀐 키는 다시 번역)
+ * - 명령이 정상 종료되면 저널 삭제
+ *
+ * 한 줄 형식: { "lang": "ko", "at": "2026-...", "entries": { "hero.title": { "source": "<hash>", "text": "..." } } }
+ */
+import { readFile, appendFile, mkdir, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { PROJECT_DIR } from './config.js';
+import { hashSource } from './cache.js';
+import { withFileQueue } from './fileQueue.js';
+
+const CACHE_DIR = path.join(PROJECT_DIR, '.cache');
+const CHECKPOINT_FILE = path.join(CACHE_DIR, 'checkpoint.jsonl');
+
+export function hasCheckpoint() {
+  return existsSync(CHECKPOINT_FILE);
+}
+
+/**
+ * 완료된 배치 기록 (언어 병렬 실행 시에도 줄이 섞이지 않도록 순서대로 추가)
+ */
+export async function appendCheckpoint(lang, sourceBatch, translated) {
+  const entries = {};
+  for (const [key, text] of Object.entries(translated)) {
+    if (key in sourceBatch) entries[key] = { source: hashSource(sourceBatch[key]), text };
+  }
+  if (Object.keys(entries).length === 0) return;
+
+  const line = JSON.stringify({ lang, at: new Date().toISOString(), entries }) + '\n';
+  await withFileQueue(CHECKPOINT_FILE, async () => {
+    if (!existsSync(CACHE_DIR)) await mkdir(CACHE_DIR, { recursive: true });
+    await appendFile(CHECKPOINT_FILE, line, 'utf-8');
+  });
+}
+
+/**
+ * 중단된 실행에서 이미 번역된 키 복원
+ * - 원문 해시가 일치하는 키만, 같은 키가 여러 번 있으면 마지막 기록 사용
+ * - 깨진 줄(중단 시점에 쓰다 만 줄)은 무시
+ * @returns { key: 번역 }
+ */
+export async function loadCheckpoint(lang, flatMap) {
+  if (!existsSync(CHECKPOINT_FILE)) return {};
+  const raw = await readFile(CHECKPOINT_FILE, 'utf-8').catch(() => '');
+
+  const restored = {};
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    let record;
+    try { record = JSON.parse(line); } catch { continue; }
+    if (record.lang !== lang) continue;
+    for (const [key, { source, text }] of Object.entries(record.entries || {})) {
+      if (key in flatMap && source === hashSource(flatMap[key])) restored[key] = text;
+    }
+  }
+  return restored;
+}
+
+export async function clearCheckpoint() {
+  await withFileQueue(CHECKPOINT_FILE, () => rm(CHECKPOINT_FILE, { force: true }));
+}
@@ -11,23 +11,22 @@ import path from 'path';
 import { PROJECT_DIR } from './config.js';
 import { nestedToFlat } from './keyGen.js';
 import { loadConfidence } from './translator.js';
+import { sourceLang } from './projectConfig.js';
+import { langLabel, langDir } from './languages.js';
+import { variantParent, readEffectiveFlat } from './variants.js';
 import { readLocale } from './locales.js';
 
 const OUTPUT_FILE = path.join('docs', 'index.html');
 
-const ALL_LANG_LABELS = {
-  ko: '한국어', zh: '중국어', ja: '일본어',
-  id: 'Indonesia', hi: 'Hindi', tr: 'Türkçe',
-  vi: 'Tiếng Việt', pt: 'Português', ru: 'Русский',
-  de: 'Deutsch', es: 'Español', fr: 'Français',
-};
+// 원문 언어 (SOURCE_LANG / translate.config.json sourceLanguage, 기본 en)
+const SOURCE_LANG = sourceLang();
 
 async function detectLangs() {
   const localesDir = path.join(PROJECT_DIR, 'locales');
   try {
     const files = await readdir(localesDir);
     return files
-      .filter(f => f.endsWith('.json') && f !== 'en.json' && !f.startsWith('.'))
+      .filter(f => f.endsWith('.json') && f !== `${SOURCE_LANG}.json` && !f.startsWith('.'))
       .map(f => f.replace('.json', ''))
       .sort();
   } catch {
@@ -36,28 +35,33 @@ async function detectLangs() {
 }
 
 async function buildTableData(langs) {
-  const enNested = await readLocale('en');
-  const enFlat = nestedToFlat(enNested);
+  const sourceFlat = nestedToFlat(await readLocale(SOURCE_LANG));
 
   const langFlats = {};
+  const effectiveFlats = {}; // 지역 변형은 상위 언어 번역 + 재정의
   for (const lang of langs) {
     langFlats[lang] = nestedToFlat(await readLocale(lang));
+    effectiveFlats[lang] = await readEffectiveFlat(lang, langs);
   }
 
   const confidence = await loadConfidence();
 
-  const rows = Object.entries(enFlat).map(([key, enText]) => {
+  const rows = Object.entries(sourceFlat).map(([key, sourceText]) => {
     const langData = {};
     let minConfidence = 100;
 
     for (const lang of langs) {
-      const text = langFlats[lang][key] || '';
+      const text = langFlats[lang][key] || effectiveFlats[lang][key] || '';
+      const inheritedFrom = !langFlats[lang][key] && text ? variantParent(lang, langs) : null;
       const score = confidence[lang]?.[key] ?? null;
-      langData[lang] = { text, confidence: score };
+      const flags = confidence._flags?.[lang]?.[key] || [];
+      const reason = confidence._reasons?.[lang]?.[key] || null;
+      langData[lang] = { text, confidence: score, flags, reason, inheritedFrom };
       if (score !== null && score < minConfidence) minConfidence = score;
     }
 
-    return { key, en: enText, langs: langData, minConfidence: minConfidence === 100 ? null : minConfidence };
+    const flagged = langs.some(l => langData[l].flags.length > 0);
+    return { key, source: sourceText, langs: langData, minConfidence: minConfidence === 100 ? null : minConfidence, flagged };
   });
 
   rows.sort((a, b) => (a.minConfidence ?? 100) - (b.minConfidence ?? 100));
@@ -65,9 +69,11 @@ async function buildTableData(langs) {
 }
 
 function buildExportHTML(rows, langs) {
-  const langLabels = Object.fromEntries(langs.map(l => [l, ALL_LANG_LABELS[l] || l.toUpperCase()]));
+  const langLabels = Object.fromEntries(langs.map(l => [l, langLabel(l)]));
+  const langDirs = Object.fromEntries(langs.map(l => [l, langDir(l)]));
   const totalKeys = rows.length;
   const needsReview = rows.filter(r => r.minConfidence !== null && r.minConfidence < 80).length;
+  const flaggedCount = rows.filter(r => r.flagged).length;
   const confRows = rows.filter(r => r.minConfidence !== null);
   const avgConf = confRows.length
     ? Math.round(confRows.reduce((s, r) => s + r.minConfidence, 0) / confRows.length)
@@ -121,19 +127,24 @@ function buildExportHTML(rows, langs) {
   tr:hover td { background: #fafbff; }
 
   .td-key { font-family: monospace; font-size: 11px; color: #888; max-width: 180px; word-break: break-all; }
-  .td-en { color: #444; max-width: 180px; }
+  .td-source { color: #444; max-width: 180px; }
   .td-lang { position: relative; min-width: 160px; max-width: 200px; }
   .lang-text { display: block; color: #333; line-height: 1.5; word-break: break-word; padding: 2px 4px; border-radius: 4px; }
   .lang-text[contenteditable="true"] { outline: 2px solid #4a90d9; background: #f0f7ff; min-height: 22px; }
   .edit-btn { display: none; position: absolute; top: 6px; right: 6px; background: #e8f0fe; border: none; border-radius: 4px; padding: 2px 8px; font-size: 11px; cursor: pointer; color: #4a90d9; }
   .td-lang:hover .edit-btn { display: block; }
+  .td-lang.rtl .edit-btn { right: auto; left: 6px; }
   .changed-badge { display: inline-block; background: #fff3cd; color: #856404; font-size: 10px; padding: 1px 5px; border-radius: 3px; margin-left: 4px; }
+  .lang-text.inherited { color: #999; }
+  .inherited-badge { display: inline-block; background: #f1f3f5; color: #868e96; font-size: 10px; padding: 1px 5px; border-radius: 3px; margin-left: 4px; }
 
   .confidence { display: inline-block; font-size: 11px; font-weight: 700; padding: 2px 7px; border-radius: 10px; margin-top: 4px; }
   .conf-high { background: #d4edda; color: #155724; }
   .conf-mid  { background: #fff3cd; color: #856404; }
   .conf-low  { background: #f8d7da; color: #721c24; }
   .conf-none { background: #e9ecef; color: #6c757d; }
+  .qa-flag { display: inline-block; background: #fdecea; color: #b71c1c; font-size: 11px; font-weight: 700; padding: 2px 7px; border-radius: 10px; margin: 4px 0 0 4px; cursor: help; }
+  .qa-reason { font-size: 11px; color: #6c757d; margin-top: 4px; line-height: 1.4; }
   .td-min-conf { text-align: center; white-space: nowrap; }
   .min-conf-bar { height: 4px; border-radius: 2px; margin-top: 4px; }
   .bar-high { background: #28a745; }
@@ -162,6 +173,7 @@ function buildExportHTML(rows, langs) {
       <option value="all">전체 보기</option>
       <option value="review">검토 필요 (80% 미만)</option>
       <option value="low">낮음 (50% 미만)</option>
+      <option value="flagged">QA 문제 있음</option>
     </select>
     <button class="btn-dl" id="dlBtn" onclick="downloadChanges()" disabled>수정 내용 다운로드</button>
     <span class="save-status" id="saveStatus"></span>
@@ -184,6 +196,10 @@ function buildExportHTML(rows, langs) {
     <div class="num">${needsReview}</div>
     <div class="label">검토 필요</div>
   </div>
+  <div class="stat-card ${flaggedCount > 0 ? 'danger' : 'good'}">
+    <div class="num">${flaggedCount}</div>
+    <div class="label">QA 문제</div>
+  </div>
   ${avgConf !== null ? `
   <div class="stat-card ${avgConf >= 90 ? 'good' : avgConf >= 70 ? 'warning' : 'danger'}">
     <div class="num">${avgConf}%</div>
@@ -200,7 +216,7 @@ function buildExportHTML(rows, langs) {
     <thead>
       <tr>
         <th>키</th>
-        <th>영어 (원문)</th>
+        <th>${langLabel(SOURCE_LANG)} (원문)</th>
         ${langs.map(l => `<th>${langLabels[l]}</th>`).join('\n        ')}
         <th style="text-align:center">최소 신뢰도</th>
       </tr>
@@ -223,6 +239,8 @@ function buildExportHTML(rows, langs) {
 const ALL_ROWS = ${JSON.stringify(rows)};
 const LANGS = ${JSON.stringify(langs)};
 const LANG_LABELS = ${JSON.stringify(langLabels)};
+const LANG_DIRS = ${JSON.stringify(langDirs)}; // 텍스트 방향 (ar 등 RTL 언어는 'rtl')
+const SOURCE_DIR = ${JSON.stringify(langDir(SOURCE_LANG))};
 let changes = {}; // { "ko::key": "수정된 텍스트" }
 
 // ── 중첩 JSON 변환 (서버 없이 브라우저에서 직접 처리) ──
@@ -250,6 +268,15 @@ function barClass(s) {
   return s >= 80 ? 'bar-high' : s >= 60 ? 'bar-mid' : 'bar-low';
 }
 
+// QA 플래그 배지 (마우스를 올리면 문제 목록 표시)
+function flagBadge(flags) {
+  const badge = document.createElement('span');
+  badge.className = 'qa-flag';
+  badge.textContent = '⚠ QA ' + flags.length;
+  badge.title = flags.map(f => '• ' + f.message).join('\\n');
+  return badge;
+}
+
 function renderTable(rows) {
   const tbody = document.getElementById('tableBody');
   tbody.innerHTML = '';
@@ -262,23 +289,26 @@ function renderTable(rows) {
     tdKey.textContent = row.key;
     tr.appendChild(tdKey);
 
-    const tdEn = document.createElement('td');
-    tdEn.className = 'td-en';
-    tdEn.textContent = row.en;
-    tr.appendChild(tdEn);
+    const tdSource = document.createElement('td');
+    tdSource.className = 'td-source';
+    tdSource.textContent = row.source;
+    tdSource.dir = SOURCE_DIR;
+    tr.appendChild(tdSource);
 
     LANGS.forEach(lang => {
-      const { text, confidence } = row.langs[lang];
+      const { text, confidence, flags, reason, inheritedFrom } = row.langs[lang];
       const changeKey = lang + '::' + row.key;
       const currentText = changes[changeKey] ?? text;
 
       const td = document.createElement('td');
-      td.className = 'td-lang';
+      td.className = 'td-lang' + (LANG_DIRS[lang] === 'rtl' ? ' rtl' : '');
 
       const span = document.createElement('span');
       span.className = 'lang-text';
       span.textContent = currentText;
       span.dataset.lang = lang;
+      span.lang = lang;
+      span.dir = LANG_DIRS[lang];
       span.dataset.key = row.key;
       span.dataset.original = text;
 
@@ -292,6 +322,15 @@ function renderTable(rows) {
       confBadge.textContent = confidence !== null ? confidence + '%' : '점수 없음';
 
       td.appendChild(span);
+      // 지역 변형: 재정의가 없어 상위 언어 번역을 그대로 쓰는 키 (편집하면 이 언어의 재정의로 저장)
+      if (inheritedFrom && !(changeKey in changes)) {
+        span.classList.add('inherited');
+        const inheritBadge = document.createElement('span');
+        inheritBadge.className = 'inherited-badge';
+        inheritBadge.textContent = '↳ ' + inheritedFrom;
+        inheritBadge.title = inheritedFrom + ' 번역 상속 — 편집하면 ' + lang + ' 재정의로 저장';
+        td.appendChild(inheritBadge);
+      }
       if (changeKey in changes) {
         const b = document.createElement('span');
         b.className = 'changed-badge'; b.textContent = '수정됨';
@@ -300,6 +339,13 @@ function renderTable(rows) {
       td.appendChild(editBtn);
       td.appendChild(document.createElement('br'));
       td.appendChild(confBadge);
+      if (flags.length > 0) td.appendChild(flagBadge(flags));
+      if (reason) {
+        const reasonEl = document.createElement('div');
+        reasonEl.className = 'qa-reason';
+        reasonEl.textContent = reason;
+        td.appendChild(reasonEl);
+      }
       tr.appendChild(td);
     });
 
@@ -368,12 +414,13 @@ function applyFilter() {
   const filtered = ALL_ROWS.filter(row => {
     if (search) {
       const match = row.key.toLowerCase().includes(search) ||
-        row.en.toLowerCase().includes(search) ||
+        row.source.toLowerCase().includes(search) ||
         LANGS.some(l => row.langs[l].text.toLowerCase().includes(search));
       if (!match) return false;
     }
     if (filter === 'review') return row.minConfidence !== null && row.minConfidence < 80;
     if (filter === 'low') return row.minConfidence !== null && row.minConfidence < 50;
+    if (filter === 'flagged') return row.flagged;
     return true;
   });
   renderTable(filtered);
@@ -404,10 +451,11 @@ function downloadChanges() {
 
   const downloadedLangs = [];
   for (const [lang, langChanges] of Object.entries(byLang)) {
-    // 해당 언어의 전체 데이터 재구성
+    // 해당 언어의 전체 데이터 재구성 (지역 변형은 상속 키를 빼고 재정의만)
     const fullFlat = {};
     ALL_ROWS.forEach(row => {
-      const text = changes[lang + '::' + row.key] ?? row.langs[lang]?.text ?? '';
+      const inherited = Boolean(row.langs[lang]?.inheritedFrom);
+      const text = changes[lang + '::' + row.key] ?? (inherited ? '' : row.langs[lang]?.text) ?? '';
       if (text) fullFlat[row.key] = text;
     });
     downloadJSON(lang + '.json', flatToNested(fullFlat));
@@ -442,8 +490,8 @@ renderTable(ALL_ROWS);
 
 // ── 실행 ──
 async function main() {
-  if (!existsSync(path.join(PROJECT_DIR, 'locales', 'en.json'))) {
-    console.error('❌ locales/en.json이 없습니다. 먼저 npm run sync를 실행하세요.');
+  if (!existsSync(path.join(PROJECT_DIR, 'locales', `${SOURCE_LANG}.json`))) {
+    console.error(`❌ locales/${SOURCE_LANG}.json이 없습니다. 먼저 npm run sync를 실행하세요.`);
     process.exit(1);
   }
 
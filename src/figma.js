@@ -3,6 +3,8 @@
  * - 파일 전체 노드 트리를 가져와 TEXT 노드만 추출
  */
 import axios from 'axios';
+import { scriptPattern } from './languages.js';
+import { readFile } from 'fs/promises';
 
 const FIGMA_API = 'https://api.figma.com/v1';
 
@@ -18,6 +20,9 @@ const PATH_NODE_TYPES = new Set([
 // 경로에서 제외할 타입 (최상위 구조)
 const SKIP_PATH_TYPES = new Set(['DOCUMENT', 'CANVAS']);
 
+// 자동 너비 텍스트가 늘어날 수 있는 한계로 보는 상위 컨테이너 (그룹은 내용에 맞춰 커지므로 제외)
+const CONTAINER_TYPES = new Set(['FRAME', 'COMPONENT', 'COMPONENT_SET', 'INSTANCE', 'SECTION']);
+
 /**
  * Figma 파일 document 노드 전체를 가져옴
  * - geometry=omit: 벡터/도형 좌표 데이터 제외 → 응답 크기 대폭 감소
@@ -64,18 +69,51 @@ export async function fetchFigmaDocument(fileId, token) {
   throw new Error(`Figma API 요청 실패 (${MAX_RETRIES}회 시도): ${lastError.message}`);
 }
 
+/**
+ * 저장해 둔 Figma 문서 JSON 읽기 (API 대신 — 토큰 없는 CI/오프라인 실행용)
+ * - GET /v1/files/:key 응답 전체({ document, ... }) 또는 document 노드만 저장한 파일 모두 허용
+ */
+export async function readFigmaDocumentFile(file) {
+  let data;
+  try {
+    data = JSON.parse(await readFile(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Figma 문서 파일을 읽을 수 없음 (${file}): ${err.message}`);
+  }
+  const document = data?.document || data;
+  if (!Array.isArray(document?.children)) {
+    throw new Error(`Figma 문서 형식이 아님 (${file}) — document 노드 또는 /v1/files 응답 JSON이 필요합니다.`);
+  }
+  return document;
+}
+
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// 원문이 한국어일 때 기본 주석 규칙 — 한글만으로는 UI 문구와 구분할 수 없으므로 표시가 붙은 텍스트만 제외
+//   "메모: …", "TODO: …", "[설명] …", "// …" (프로젝트마다 다르면 annotationPattern으로 재정의)
+export const KOREAN_ANNOTATION_PATTERN = '^(?://|(?:메모|주석|설명|기획|디자인\\s*노트|TODO|NOTE|FIXME)\\s*[:：]|\\[(?:메모|주석|설명|참고|기획|디자인)\\])';
+
 /**
- * document 노드에서 영어 TEXT 노드만 추출
- * - 한글 텍스트(디자인 설명/주석) 자동 제외
- * @returns { nodes: Array<{ text, path, nodeId }>, skippedKorean: number }
+ * document 노드에서 원문 언어 TEXT 노드만 추출
+ * - 디자인 주석 자동 제외: annotationPattern(설정) 또는 원문 언어별 기본 규칙
+ *   (원문이 한국어가 아니면 한글 텍스트 = 디자인 설명/주석,
+ *    원문이 한국어면 KOREAN_ANNOTATION_PATTERN처럼 표시가 붙은 텍스트)
+ * - 원문 언어의 문자가 하나도 없는 텍스트(기호, 숫자 조합 등)는 제외
+ * @returns { nodes: Array<{ text, path, nodeId, metrics }>, stats: { skippedAnnotation, skippedNoise } }
  */
-export function extractTextNodes(document, pageFilter = null) {
+export function extractTextNodes(document, pageFilter = null, { sourceLang = 'en', annotationPattern = null } = {}) {
   const nodes = [];
-  const stats = { skippedKorean: 0, skippedNoise: 0 };
+  const stats = { skippedAnnotation: 0, skippedNoise: 0 };
+  const pattern = annotationPattern || (sourceLang === 'ko' ? KOREAN_ANNOTATION_PATTERN : null);
+  const annotationRe = pattern ? new RegExp(pattern, 'u') : null;
+  const rules = {
+    isAnnotation: annotationRe
+      ? text => annotationRe.test(text)
+      : text => isKorean(text),
+    hasSourceText: text => scriptPattern(sourceLang).test(text),
+  };
 
   // 페이지(CANVAS) 필터링
   const pages = pageFilter
@@ -88,13 +126,13 @@ export function extractTextNodes(document, pageFilter = null) {
   }
 
   for (const page of pages) {
-    traverse(page, [], nodes, stats, 0);
+    traverse(page, [], nodes, stats, rules, 0, null);
   }
 
   return { nodes, stats };
 }
 
-function traverse(node, parentPath, nodes, stats, depth) {
+function traverse(node, parentPath, nodes, stats, rules, depth, container) {
   // 너무 깊은 depth는 스킵 (성능 보호)
   if (depth > 20) return;
 
@@ -103,10 +141,10 @@ function traverse(node, parentPath, nodes, stats, depth) {
     if (!text) return;
 
     if (isNoise(text)) { stats.skippedNoise++; return; }
-    if (isKorean(text)) { stats.skippedKorean++; return; }  // 한글 = 디자인 주석
-    if (!hasEnglish(text)) { stats.skippedNoise++; return; } // 영어 없음
+    if (rules.isAnnotation(text)) { stats.skippedAnnotation++; return; } // 디자인 주석
+    if (!rules.hasSourceText(text)) { stats.skippedNoise++; return; }    // 원문 언어 문자 없음
 
-    nodes.push({ text, path: parentPath, nodeId: node.id });
+    nodes.push({ text, path: parentPath, nodeId: node.id, metrics: textMetrics(node, container) });
     return;
   }
 
@@ -117,13 +155,42 @@ function traverse(node, parentPath, nodes, stats, depth) {
   const addToPath = !isSkipNode && isPathNode && parentPath.length === 0;
   const newPath = addToPath ? [node.name] : parentPath;
 
+  // 가로 크기가 고정된(내용에 맞춰 늘어나지 않는) 가장 가까운 컨테이너
+  const isContainer = CONTAINER_TYPES.has(node.type) && node.absoluteBoundingBox && node.layoutSizingHorizontal !== 'HUG';
+  const childContainer = isContainer ? node.absoluteBoundingBox : container;
+
   if (node.children) {
     for (const child of node.children) {
-      traverse(child, newPath, nodes, stats, depth + 1);
+      traverse(child, newPath, nodes, stats, rules, depth + 1, childContainer);
     }
   }
 }
 
+/**
+ * TEXT 노드의 박스 크기와 글꼴 정보 (길이 예산 계산용)
+ * geometry=omit이어도 absoluteBoundingBox와 style은 응답에 포함됨
+ * - 자동 너비(WIDTH_AND_HEIGHT) 텍스트는 박스가 원문 길이일 뿐이므로
+ *   상위 컨테이너 오른쪽 끝까지를 늘어날 수 있는 폭(containerWidth)으로 기록
+ */
+function textMetrics(node, container) {
+  const box = node.absoluteBoundingBox;
+  const style = node.style || {};
+  if (!box || !style.fontSize) return null;
+  const autoResize = style.textAutoResize || 'NONE';
+  const containerWidth = autoResize === 'WIDTH_AND_HEIGHT' && container
+    ? Math.max(box.width, container.x + container.width - box.x)
+    : null;
+  return {
+    width: box.width,
+    height: box.height,
+    fontSize: style.fontSize,
+    lineHeight: style.lineHeightPx || null,
+    letterSpacing: style.letterSpacing || 0,
+    autoResize,
+    containerWidth,
+  };
+}
+
 /**
  * 아이콘, 이모지 등 번역 불필요한 노이즈 텍스트 판별
  */
@@ -145,11 +212,3 @@ function isKorean(text) {
   // 한글(가-힣, 자모)이 하나라도 있으면 한국어 텍스트로 판단
   return /[가-힣ㄱ-ㅎㅏ-ㅣ]/.test(text);
 }
-
-/**
- * 영어(라틴 알파벳)가 포함된 텍스트인지 판별
- * 영어가 전혀 없는 텍스트(예: 순수 기호, 숫자+기호 조합)는 번역 불필요
- */
-function hasEnglish(text) {
-  return /[a-zA-Z]/.test(text);
-}
@@ -0,0 +1,13 @@
+/**
+ * 파일 단위 쓰기 직렬화
+ * - 여러 언어를 동시에 번역할 때 같은 .cache/*.json 파일을
+ *   "읽기 → 수정 → 쓰기" 하는 작업이 서로 덮어쓰지 않도록 순서대로 실행
+ */
+const queues = new Map();
+
+export function withFileQueue(file, fn) {
+  const prev = queues.get(file) || Promise.resolve();
+  const next = prev.then(fn, fn);
+  queues.set(file, next.catch(() => {}));
+  return next;
+}
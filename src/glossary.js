@@ -0,0 +1,332 @@
+/**
+ * 용어집 파일 관리 (.cache/glossary.json)
+ * - 형식: { "ko": { 원문 용어: 번역 }, "_researched_at_ko": "...", "_locked": { "ko": { 원문 용어: 번역 } } }
+ * - 언어별 항목은 research(웹 조사)가 채움 — 30일이 지나면 다시 조사해 통째로 교체
+ * - 잠금 항목(_locked)은 research가 건드리지 않고, 번역 프롬프트에서 조사 항목보다 우선
+ * - glossary 명령(index.js): list / add / remove / lock / unlock / import / export (CSV, TBX)
+ */
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { PROJECT_DIR } from './config.js';
+import { LANGUAGE_CODES, isSupportedLang } from './languages.js';
+
+export const GLOSSARY_FILE = path.join(PROJECT_DIR, '.cache', 'glossary.json');
+
+export async function loadGlossary() {
+  if (!existsSync(GLOSSARY_FILE)) return {};
+  try {
+    return JSON.parse(await readFile(GLOSSARY_FILE, 'utf-8'));
+  } catch { return {}; }
+}
+
+export async function saveGlossary(data) {
+  const cacheDir = path.dirname(GLOSSARY_FILE);
+  if (!existsSync(cacheDir)) await mkdir(cacheDir, { recursive: true });
+  // 빈 잠금 언어 정리
+  const locked = Object.fromEntries(Object.entries(data._locked || {}).filter(([, terms]) => Object.keys(terms).length > 0));
+  const { _locked, ...rest } = data;
+  const cleaned = Object.keys(locked).length > 0 ? { ...rest, _locked: locked } : rest;
+  await writeFile(GLOSSARY_FILE, JSON.stringify(cleaned, null, 2), 'utf-8');
+}
+
+// 조사(research) 항목 — 메타데이터(_로 시작) 제외
+function researchedTerms(data, lang) {
+  return Object.fromEntries(Object.entries(data[lang] || {}).filter(([term]) => !term.startsWith('_')));
+}
+
+export function lockedTerms(data, lang) {
+  return data._locked?.[lang] || {};
+}
+
+/**
+ * 번역에 쓰는 언어별 용어집 { 용어: 번역 } — 같은 용어면 잠금 항목이 조사 항목을 이김
+ */
+export function glossaryFor(data, lang) {
+  return { ...researchedTerms(data, lang), ...lockedTerms(data, lang) };
+}
+
+// 용어집에 항목이 있는 언어 (등록 순서)
+export function glossaryLangs(data) {
+  return LANGUAGE_CODES.filter(lang => Object.keys(glossaryFor(data, lang)).length > 0);
+}
+
+/**
+ * 항목 목록 (목록 출력/내보내기용)
+ * @returns [{ lang, term, translation, locked }] — 언어별, 용어 알파벳순
+ */
+export function listEntries(data, langs = glossaryLangs(data)) {
+  const entries = [];
+  for (const lang of langs) {
+    const locked = lockedTerms(data, lang);
+    for (const [term, translation] of Object.entries(glossaryFor(data, lang))) {
+      entries.push({ lang, term, translation, locked: term in locked });
+    }
+  }
+  return entries.sort((a, b) => langs.indexOf(a.lang) - langs.indexOf(b.lang) || a.term.localeCompare(b.term));
+}
+
+// ──────────────────────────────────────────────
+// 항목 편집 (data를 직접 수정 — 저장은 호출 측)
+// ──────────────────────────────────────────────
+
+/**
+ * 항목 추가/수정 — 잠긴 용어는 잠금 항목의 번역을 바꿈 (잠금 유지)
+ * @returns 'added' | 'updated' | 'unchanged'
+ */
+export function setEntry(data, lang, term, translation, { lock = false } = {}) {
+  const previous = glossaryFor(data, lang)[term];
+  if (lock || term in lockedTerms(data, lang)) {
+    data._locked = data._locked || {};
+    data._locked[lang] = { ...lockedTerms(data, lang), [term]: translation };
+  } else {
+    data[lang] = { ...(data[lang] || {}), [term]: translation };
+  }
+  if (previous === undefined) return 'added';
+  return previous === translation ? 'unchanged' : 'updated';
+}
+
+/**
+ * 항목 삭제 (조사 항목과 잠금 항목 모두)
+ * @returns 삭제 여부
+ */
+export function removeEntry(data, lang, term) {
+  let removed = false;
+  if (data[lang] && term in data[lang]) {
+    delete data[lang][term];
+    removed = true;
+  }
+  if (term in lockedTerms(data, lang)) {
+    delete data._locked[lang][term];
+    removed = true;
+  }
+  return removed;
+}
+
+/**
+ * 용어 잠금 — translation이 없으면 현재 번역을 그대로 잠금
+ * @returns 잠근 번역 (용어가 없고 번역도 지정하지 않았으면 null)
+ */
+export function lockEntry(data, lang, term, translation = null) {
+  const value = translation ?? glossaryFor(data, lang)[term];
+  if (value === undefined) return null;
+  setEntry(data, lang, term, value, { lock: true });
+  return value;
+}
+
+/**
+ * 잠금 해제 — 번역은 조사 항목으로 남김 (다음 research 갱신 때 바뀔 수 있음)
+ * @returns 해제 여부
+ */
+export function unlockEntry(data, lang, term) {
+  const locked = lockedTerms(data, lang);
+  if (!(term in locked)) return false;
+  data[lang] = { ...(data[lang] || {}), [term]: locked[term] };
+  delete data._locked[lang][term];
+  return true;
+}
+
+/**
+ * 가져온 항목 반영
+ * @returns { added, updated, unchanged }
+ */
+export function applyEntries(data, entries, { lock = false } = {}) {
+  const counts = { added: 0, updated: 0, unchanged: 0 };
+  for (const { lang, term, translation, locked } of entries) {
+    counts[setEntry(data, lang, term, translation, { lock: lock || locked })]++;
+  }
+  return counts;
+}
+
+/**
+ * 외부 파일의 언어 코드 → 지원 언어 코드 (ko-KR → ko, es-mx → es-MX, 지원하지 않으면 null)
+ */
+export function normalizeLang(code) {
+  if (!code) return null;
+  const trimmed = code.trim().replace('_', '-');
+  if (isSupportedLang(trimmed)) return trimmed;
+  const exact = LANGUAGE_CODES.find(c => c.toLowerCase() === trimmed.toLowerCase());
+  if (exact) return exact;
+  const base = trimmed.split('-')[0].toLowerCase();
+  return isSupportedLang(base) ? base : null;
+}
+
+// ──────────────────────────────────────────────
+// CSV — 열: lang, term, translation, locked (한 줄에 한 항목)
+// ──────────────────────────────────────────────
+const CSV_COLUMNS = {
+  lang: ['lang', 'language', 'locale'],
+  term: ['term', 'source'],
+  translation: ['translation', 'target'],
+  locked: ['locked', 'lock'],
+};
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(entries) {
+  const lines = [['lang', 'term', 'translation', 'locked']];
+  for (const { lang, term, translation, locked } of entries) lines.push([lang, term, translation, locked ? 'true' : '']);
+  return lines.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+// RFC 4180 CSV 파싱 (따옴표 안의 쉼표/줄바꿈/"" 지원)
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+/**
+ * CSV → 항목 목록 (첫 줄은 열 이름)
+ * @param lang lang 열이 없는 파일의 언어 (--lang)
+ * @returns { entries: [{ lang, term, translation, locked }], skipped: [건너뛴 행 설명] }
+ */
+export function parseCsv(text, { lang = null } = {}) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) throw new Error('CSV가 비어있습니다.');
+  const names = header.map(name => name.trim().toLowerCase());
+  const column = field => names.findIndex(name => CSV_COLUMNS[field].includes(name));
+  const idx = Object.fromEntries(Object.keys(CSV_COLUMNS).map(field => [field, column(field)]));
+  if (idx.term === -1 || idx.translation === -1) {
+    throw new Error('CSV 첫 줄에 term, translation 열이 필요합니다. (예: lang,term,translation,locked)');
+  }
+  if (idx.lang === -1 && !lang) {
+    throw new Error('CSV에 lang 열이 없습니다. --lang <코드>로 언어를 지정하세요.');
+  }
+
+  const entries = [];
+  const skipped = [];
+  rows.forEach((row, i) => {
+    const rawLang = idx.lang === -1 ? lang : row[idx.lang];
+    const entryLang = normalizeLang(rawLang);
+    const term = (row[idx.term] || '').trim();
+    const translation = (row[idx.translation] || '').trim();
+    if (!entryLang) return skipped.push(`${i + 2}행: 지원하지 않는 언어 "${rawLang || ''}"`);
+    if (!term || !translation) return skipped.push(`${i + 2}행: 용어 또는 번역 없음`);
+    const locked = idx.locked !== -1 && /^(true|yes|y|1|locked|🔒)$/i.test((row[idx.locked] || '').trim());
+    entries.push({ lang: entryLang, term, translation, locked });
+  });
+  return { entries, skipped };
+}
+
+// ──────────────────────────────────────────────
+// TBX (TBX-Basic) — 원문 용어 하나가 termEntry 하나, 언어별 langSet
+// 잠금 항목은 administrativeStatus = preferredTerm-admn-sts로 표시
+// ──────────────────────────────────────────────
+const PREFERRED_STATUS = 'preferredTerm-admn-sts';
+
+function xmlEscape(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function xmlUnescape(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+export function toTbx(entries, sourceLang) {
+  const byTerm = new Map();
+  for (const entry of entries) {
+    if (!byTerm.has(entry.term)) byTerm.set(entry.term, []);
+    byTerm.get(entry.term).push(entry);
+  }
+
+  const termEntries = [...byTerm].map(([term, targets], i) => {
+    const langSets = targets.map(({ lang, translation, locked }) => {
+      const status = locked ? `<termNote type="administrativeStatus">${PREFERRED_STATUS}</termNote>` : '';
+      return `        <langSet xml:lang="${lang}"><tig><term>${xmlEscape(translation)}</term>${status}</tig></langSet>`;
+    });
+    return `      <termEntry id="t${i + 1}">
+        <langSet xml:lang="${sourceLang}"><tig><term>${xmlEscape(term)}</term></tig></langSet>
+${langSets.join('\n')}
+      </termEntry>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<martif type="TBX-Basic" xml:lang="${sourceLang}">
+  <martifHeader>
+    <fileDesc><sourceDesc><p>whalebasetrans glossary</p></sourceDesc></fileDesc>
+  </martifHeader>
+  <text>
+    <body>
+${termEntries.join('\n')}
+    </body>
+  </text>
+</martif>
+`;
+}
+
+/**
+ * TBX → 항목 목록 (TBX-Basic termEntry/langSet/tig, TBX v3 conceptEntry/langSec/termSec 모두 지원)
+ * - 원문 언어 langSet의 첫 용어가 원문 용어, 나머지 언어는 첫 용어가 번역
+ * @returns { entries: [{ lang, term, translation, locked }], skipped: [건너뛴 항목 설명] }
+ */
+export function parseTbx(text, sourceLang) {
+  const entries = [];
+  const skipped = [];
+  const entryRe = /<(termEntry|conceptEntry)\b[^>]*>([\s\S]*?)<\/\1>/g;
+  const langRe = /<(langSet|langSec)\b[^>]*\bxml:lang="([^"]+)"[^>]*>([\s\S]*?)<\/\1>/g;
+  const termRe = /<term\b[^>]*>([\s\S]*?)<\/term>/;
+
+  let entryCount = 0;
+  for (const [, , body] of text.matchAll(entryRe)) {
+    entryCount++;
+    const langSets = [...body.matchAll(langRe)].map(([, , code, content]) => ({
+      code,
+      lang: normalizeLang(code),
+      term: xmlUnescape(content.match(termRe)?.[1] || '').trim(),
+      locked: content.includes(PREFERRED_STATUS) || /administrativeStatus"?>\s*preferred/i.test(content),
+    }));
+    const source = langSets.find(set => set.lang === sourceLang && set.term);
+    if (!source) {
+      skipped.push(`${entryCount}번째 항목: 원문(${sourceLang}) 용어 없음`);
+      continue;
+    }
+    for (const set of langSets) {
+      if (set === source || !set.term) continue;
+      if (!set.lang) {
+        skipped.push(`"${source.term}": 지원하지 않는 언어 ${set.code}`);
+        continue;
+      }
+      if (set.lang === sourceLang) continue;
+      entries.push({ lang: set.lang, term: source.term, translation: set.term, locked: set.locked });
+    }
+  }
+  if (entryCount === 0) throw new Error('TBX에서 termEntry/conceptEntry를 찾을 수 없습니다.');
+  return { entries, skipped };
+}
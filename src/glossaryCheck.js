@@ -0,0 +1,87 @@
+/**
+ * 용어집 준수 검사
+ * - 원문에 용어집의 영어 용어가 (단어 단위로) 들어 있는데 번역문에 지정된 번역어가 없으면 위반
+ * - 위반은 'glossary' QA 플래그로 기록, --glossary-retry 시 교정 프롬프트로 재시도
+ * - 긴 문장형 항목(용어가 아닌 예문)과 기능어(on, to, all 등)는 검사에서 제외
+ * - 원문이 한국어/중국어/일본어여도 동작 (조사가 붙은 용어도 일치 — protect.js termPatternSource)
+ */
+import { termPatternSource } from './protect.js';
+
+const MAX_TERM_WORDS = 4; // 이보다 긴 항목은 용어가 아닌 예문으로 보고 제외
+
+// 기능어는 문맥마다 번역이 달라 검사하지 않음
+const SKIP_TERMS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with', 'from',
+  'all', 'now', 'more', 'new', 'yes', 'no', 'ok',
+]);
+const SENTENCE_END_RE = /[.!?。！？]$/;
+
+/**
+ * 용어집 → 검사 규칙 [{ term, pattern, targets: [허용 번역어] }]
+ * - 번역어에 "A / B" 또는 "A | B"로 여러 표현이 있으면 그중 하나만 있어도 통과
+ */
+export function compileGlossaryRules(glossary = {}) {
+  const rules = [];
+  for (const [term, translation] of Object.entries(glossary)) {
+    if (term.startsWith('_') || typeof translation !== 'string') continue;
+    const words = term.trim().split(/\s+/);
+    if (!term.trim() || words.length > MAX_TERM_WORDS) continue;
+    if (SKIP_TERMS.has(term.trim().toLowerCase())) continue;
+    // 문장 조각(마침표 등으로 끝나는 항목)은 예문으로 보고 제외
+    if (SENTENCE_END_RE.test(term.trim()) || SENTENCE_END_RE.test(translation.trim())) continue;
+
+    const targets = translation.split(/\s+[/|]\s+/).map(t => t.trim()).filter(Boolean);
+    if (targets.length === 0) continue;
+    // 번역어가 영어 용어와 같으면(고유명사 등) 검사 의미 없음
+    if (targets.some(t => t.toLowerCase() === term.trim().toLowerCase())) continue;
+
+    rules.push({
+      term: term.trim(),
+      pattern: new RegExp(termPatternSource(term.trim()), 'iu'),
+      targets,
+    });
+  }
+  // 긴 용어 우선 ("Profit Target"이 "Profit"보다 먼저)
+  return rules.sort((a, b) => b.term.length - a.term.length);
+}
+
+/**
+ * 원문 하나 검사
+ * @returns [{ type: 'glossary', message, hint }]
+ */
+export function checkGlossaryTerms(source, translated, rules) {
+  if (typeof translated !== 'string' || !translated) return [];
+  const issues = [];
+  const covered = []; // 이미 검사한 긴 용어 안의 짧은 용어는 건너뜀
+
+  for (const { term, pattern, targets } of rules) {
+    const match = source.match(pattern);
+    if (!match) continue;
+    if (covered.some(t => t.toLowerCase().includes(term.toLowerCase()))) continue;
+    covered.push(term);
+
+    const lower = translated.toLowerCase();
+    if (targets.some(t => lower.includes(t.toLowerCase()))) continue;
+    issues.push({
+      type: 'glossary',
+      message: `용어집 위반: "${term}" → "${targets.join(' / ')}" 사용 필요`,
+      hint: `Use the glossary term "${targets[0]}" for "${term}"`,
+    });
+  }
+  return issues;
+}
+
+/**
+ * 배치 전체 검사
+ * @returns { key: issues[] } — 위반 있는 키만 포함
+ */
+export function checkGlossaryCompliance(sourceMap, translatedMap, glossary) {
+  const rules = compileGlossaryRules(glossary);
+  const result = {};
+  if (rules.length === 0) return result;
+  for (const [key, source] of Object.entries(sourceMap)) {
+    const issues = checkGlossaryTerms(source, translatedMap[key], rules);
+    if (issues.length > 0) result[key] = issues;
+  }
+  return result;
+}
@@ -2,47 +2,165 @@
  * whalebasetrans CLI
  *
  * 사용법:
- *   node src/index.js extract          Figma → locales/en.json 생성
- *   node src/index.js translate        en.json → ko/zh/ja.json 번역
+ *   node src/index.js extract          Figma → locales/<원문>.json 생성 (기본 en.json)
+ *   node src/index.js translate        원문 → 대상 언어(기본 ko/zh/ja) 번역
  *   node src/index.js update           변경된 텍스트만 감지해 업데이트
  *   node src/index.js sync             extract + translate 한번에 실행
+ *   node src/index.js stale            원문이 바뀐(오래된) 번역 보고
+ *   node src/index.js update --stale   오래된 번역만 다시 번역 (Figma 불필요)
+ *   node src/index.js rekey [prefix...] 키를 현재 Figma 경로/텍스트 기준으로 다시 생성
+ *   node src/index.js retranslate [조건]      신뢰도 낮은/플래그된/지정한 키만 다시 번역
+ *   node src/index.js merge            지역 변형의 앱용 전체 파일 생성 (locales/merged/)
+ *   node src/index.js lock <lang> <key...>    검토 완료 번역 잠금
+ *   node src/index.js unlock <lang> <key...>  번역 잠금 해제
+ *   node src/index.js glossary <list|add|remove|lock|unlock|import|export>  용어집 관리 (CSV/TBX 가져오기·내보내기)
+ *
+ * 옵션:
+ *   --force            잠긴(검토 완료) 번역도 덮어쓰기
+ *   --max-cost <USD>   비용 상한 — 도달하면 새 요청을 멈추고 완료된 결과만 저장
+ *   --resume           중단된 translate/sync/update 실행을 체크포인트부터 이어서 진행
+ *   --qa backtranslate 자기 평가 점수 대신 역번역 비교 점수 + 키별 사유 저장
+ *   --glossary-retry   용어집 위반 키를 교정 프롬프트로 한 번 더 번역
+ *   --dry-run          파일을 쓰지 않고 실행 계획만 출력 (키 변경, 잠긴 번역 영향, 언어별 배치 수, 예상 비용)
+ *   --json             (--dry-run과 함께) 계획을 JSON으로 출력
+ *   --merged           번역 후 지역 변형의 전체 파일(locales/merged/<lang>.json)도 생성
+ *
+ * 지역 변형: TARGET_LANGS에 상위 언어와 함께 지정하면 (예: es,es-MX / zh,zh-TW)
+ *   변형은 상위 번역에서 지역 차이가 필요한 키만 조정 → locales/<변형>.json에는 재정의만 저장
+ *
+ * retranslate 조건 (여러 개 지정 시 모두 만족하는 키만):
+ *   --below <점수>       신뢰도 점수가 이 값 미만인 키
+ *   --keys <글롭,...>    키 글롭 일치 (예: "auth.*", "**.submit")
+ *   --flagged [종류,...] QA 플래그가 있는 키 (종류 지정 시 해당 플래그만: length, glossary, style, placeholder …)
+ *   --lang <코드,...>    대상 언어 (기본: TARGET_LANGS)
+ *   --instruction <text> 추가 지시 (예: "make it shorter", "use formal tone") — 현재 번역을 함께 보내 개선
+ *   --candidates <N>     번역 대신 키마다 후보 N개(2~5)를 .cache/candidates.json에 저장 → 리뷰 페이지에서 선택
+ *   --batch-api        translate를 Message Batches API로 일괄 제출 (50% 할인, 결과는 다음 실행에서 이어받기 가능)
+ *   --figma-file <path> Figma API 대신 저장된 문서 JSON 사용 (extract/update/sync/rekey — 토큰 불필요, CI용)
  *
  * 환경변수 (.env):
  *   FIGMA_TOKEN        Figma Personal Access Token
  *   FIGMA_FILE_ID      번역할 Figma 파일 ID
+ *   FIGMA_DOCUMENT_FILE (선택) --figma-file과 같음 — 설정하면 FIGMA_TOKEN/FIGMA_FILE_ID 불필요
  *   ANTHROPIC_API_KEY  번역에 사용할 Claude API 키
+ *   TRANSLATION_PROVIDER (선택) anthropic | openai | mock — 기본값 anthropic
+ *   SOURCE_LANG        (선택) 원문(디자인) 언어 — 기본값 en (translate.config.json의 sourceLanguage보다 우선)
+ *   TARGET_LANGS       (선택) 번역 대상 언어 — 기본값: ko,zh,ja 중 원문 제외 (원문이 en이 아니면 en 포함)
  *   FIGMA_PAGE_NAME    (선택) 특정 페이지만 추출
+ *   BATCH_POLL_SECONDS / BATCH_MAX_WAIT_MINUTES  (선택) --batch-api 결과 확인 간격(기본 30초)/최대 대기(기본 60분, 0이면 제출만)
+ *
+ * 프로젝트 설정 (선택): <project>/translate.config.json
+ *   번역 금지 용어, 보호할 정규식, 언어별 음역 예외 — translate.config.example.json 참고
  */
 import './config.js'; // PROJECT_DIR 설정 및 .env 로드
-import { fetchFigmaDocument, extractTextNodes } from './figma.js';
-import { buildFlatMap, flatToNested, nestedToFlat } from './keyGen.js';
-import { Translator } from './translator.js';
-import { loadCache, saveCache, diffFlatMaps } from './cache.js';
+import { readFile, writeFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { fetchFigmaDocument, readFigmaDocumentFile, extractTextNodes } from './figma.js';
+import { buildKeyMap, flatToNested, nestedToFlat } from './keyGen.js';
+import { Translator, moveConfidence, loadConfidence } from './translator.js';
+import { requiredProviderEnv } from './providers/index.js';
+import { buildBudgets, saveBudgets } from './lengthBudget.js';
+import { Scheduler, runConcurrently } from './scheduler.js';
+import { UsageLedger, parseMaxCost } from './usage.js';
+import { hasCheckpoint, clearCheckpoint } from './checkpoint.js';
+import { QA_MODES } from './backTranslation.js';
+import { DryRunPlan } from './plan.js';
+import { selectKeys } from './selection.js';
+import { loadProjectConfig, sourceLang } from './projectConfig.js';
+import {
+  loadCache,
+  saveCache,
+  loadNodeIndex,
+  loadKeyRegistry,
+  saveKeyRegistry,
+  diffFlatMaps,
+  renameKeys,
+  renameLangKeys,
+  loadSourceHashes,
+  moveSourceHashes,
+  findStaleKeys,
+} from './cache.js';
 import {
   readLocale,
   writeLocale,
   removeNestedKey,
   setNestedKey,
+  moveNestedKeys,
+  listLocaleLangs,
   ensureLocalesDir,
+  writeMergedLocale,
 } from './locales.js';
+import { loadLocks, saveLocks, lockKeys, unlockKeys, partitionLocked } from './locks.js';
+import { LANGUAGE_CODES, isSupportedLang } from './languages.js';
+import { variantParent, variantPhases, readEffectiveFlat } from './variants.js';
+import { saveCandidates, moveCandidates } from './candidates.js';
+import {
+  loadGlossary,
+  saveGlossary,
+  glossaryLangs,
+  listEntries,
+  setEntry,
+  removeEntry,
+  lockEntry,
+  unlockEntry,
+  applyEntries,
+  toCsv,
+  parseCsv,
+  toTbx,
+  parseTbx,
+} from './glossary.js';
+
+// 공유 스케줄러: 모든 언어/배치의 API 호출 동시 실행·속도 제한, 진행률 표시
+const scheduler = new Scheduler();
+// 진행률 표시줄과 겹치지 않게 로그 출력 (언어별 병렬 작업 중)
+const log = message => scheduler.progress.log(message);
 
-// 지원하는 전체 언어 목록
-const SUPPORTED_LANGS = ['ko', 'zh', 'ja', 'id', 'hi', 'tr', 'vi', 'pt', 'ru', 'de', 'es', 'fr'];
+// 원문(디자인) 언어: 환경변수 SOURCE_LANG 또는 translate.config.json의 sourceLanguage (기본 en)
+// locales/<원문>.json이 번역 기준 — 나머지 언어는 모두 번역 대상
+const SOURCE_LANG = (() => {
+  let lang;
+  try {
+    lang = sourceLang();
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+  if (!isSupportedLang(lang)) {
+    console.error(`❌ 지원하지 않는 원문 언어: ${lang}`);
+    console.error(`   지원 언어: ${LANGUAGE_CODES.join(', ')}`);
+    process.exit(1);
+  }
+  return lang;
+})();
 
 // 환경변수 TARGET_LANGS로 선택 (예: TARGET_LANGS=ko,zh,ja,id,tr)
-// 미설정 시 기본값: ko,zh,ja
+// 미설정 시 기본값: ko,zh,ja (원문이 그중 하나면 대신 en)
 const TARGET_LANGS = (() => {
-  const raw = process.env.TARGET_LANGS || 'ko,zh,ja';
+  const defaults = ['ko', 'zh', 'ja'].map(l => (l === SOURCE_LANG ? 'en' : l));
+  const raw = process.env.TARGET_LANGS || defaults.join(',');
   const langs = raw.split(',').map(s => s.trim()).filter(Boolean);
-  const invalid = langs.filter(l => !SUPPORTED_LANGS.includes(l));
+  const invalid = langs.filter(l => !isSupportedLang(l));
   if (invalid.length > 0) {
     console.error(`❌ 지원하지 않는 언어 코드: ${invalid.join(', ')}`);
-    console.error(`   지원 언어: ${SUPPORTED_LANGS.join(', ')}`);
+    console.error(`   지원 언어: ${LANGUAGE_CODES.join(', ')}`);
+    process.exit(1);
+  }
+  if (langs.includes(SOURCE_LANG)) {
+    console.error(`❌ TARGET_LANGS에 원문 언어(${SOURCE_LANG})가 포함되어 있습니다.`);
     process.exit(1);
   }
   return langs;
 })();
 
+// Figma 문서 → 원문 언어 TEXT 노드 (디자인 주석/노이즈 제외)
+function extractSourceNodes(document) {
+  return extractTextNodes(document, process.env.FIGMA_PAGE_NAME || null, {
+    sourceLang: SOURCE_LANG,
+    annotationPattern: loadProjectConfig().annotationPattern,
+  });
+}
+
 // ──────────────────────────────────────────────
 // 환경변수 검증
 // ──────────────────────────────────────────────
@@ -55,160 +173,971 @@ function requireEnv(...keys) {
   }
 }
 
+// CLI 플래그 확인
+function hasFlag(name) {
+  return process.argv.includes(name);
+}
+
+// 값을 받는 플래그 (위치 인자에서 제외)
+const VALUE_FLAGS = new Set(['--project', '--figma-file', '--max-cost', '--qa', '--below', '--keys', '--lang', '--instruction', '--candidates']);
+
+// command 뒤의 위치 인자 (플래그와 플래그 값 제외)
+function positionalArgs() {
+  const args = [];
+  const rest = process.argv.slice(3);
+  for (let i = 0; i < rest.length; i++) {
+    if (VALUE_FLAGS.has(rest[i])) { i++; continue; }
+    if (rest[i].startsWith('--')) continue;
+    args.push(rest[i]);
+  }
+  return args;
+}
+
+// --dry-run: 파일을 쓰지 않고 실행 계획만 출력 (--json이면 JSON으로)
+const DRY_RUN = hasFlag('--dry-run');
+const JSON_OUTPUT = hasFlag('--json');
+
+// 값 플래그의 값 (없으면 null)
+function flagValue(name) {
+  const idx = process.argv.indexOf(name);
+  return idx === -1 ? null : process.argv[idx + 1] ?? null;
+}
+
+// Figma 문서 불러오기 — --figma-file(또는 FIGMA_DOCUMENT_FILE)이 있으면 API 대신 저장된 JSON 사용 (토큰 불필요)
+async function loadFigmaDocument() {
+  const file = flagValue('--figma-file') || process.env.FIGMA_DOCUMENT_FILE;
+  if (file) {
+    console.log(`🔍 Figma 문서 파일 불러오는 중... (${file})`);
+    return readFigmaDocumentFile(file);
+  }
+
+  requireEnv('FIGMA_TOKEN', 'FIGMA_FILE_ID');
+  console.log('🔍 Figma 파일 불러오는 중...');
+  return fetchFigmaDocument(process.env.FIGMA_FILE_ID, process.env.FIGMA_TOKEN);
+}
+
+// 번역기 생성 (공유 스케줄러/비용 원장 + --resume, --qa, --glossary-retry, --instruction 옵션)
+function createTranslator() {
+  const qaMode = flagValue('--qa') || 'selfrate';
+  if (!QA_MODES.includes(qaMode)) {
+    console.error(`❌ --qa는 ${QA_MODES.join(', ')} 중 하나여야 합니다.`);
+    process.exit(1);
+  }
+  return new Translator({
+    scheduler,
+    ledger,
+    resume: hasFlag('--resume'),
+    qaMode,
+    glossaryRetry: hasFlag('--glossary-retry'),
+    instruction: flagValue('--instruction'),
+  });
+}
+
+// 잠금으로 유지된 키 보고
+function reportKept(lang, kept) {
+  const keys = Object.keys(kept);
+  if (keys.length === 0) return;
+  const lines = [`   🔒 [${lang}] 검토 완료 번역 ${keys.length}개 유지 (--force로 덮어쓰기 가능)`];
+  for (const key of keys.slice(0, 10)) lines.push(`      - ${key}`);
+  if (keys.length > 10) lines.push(`      ... 외 ${keys.length - 10}개`);
+  log(lines.join('\n'));
+}
+
+// --dry-run: 잠긴 번역 중 번역 대상에 걸린 키 기록 (기존 번역이 있는 키만 — 없으면 잠금 의미 없음)
+function planLockImpact(lang, keys, langLocks = {}, existingFlat = {}, force = false) {
+  for (const key of keys) {
+    if (key in langLocks && existingFlat[key]) plan.addLock(lang, key, force ? 'overwrite' : 'kept');
+  }
+}
+
+// --dry-run: 언어별 번역 대상의 배치/토큰/비용 추정
+async function planTranslation(translator, plans, context) {
+  plan.setLanguages(await translator.estimate(plans, { context, batchApi: hasFlag('--batch-api') }));
+  if (Object.values(plans).some(p => Object.keys(p).length > 0)) {
+    plan.addWrite('.cache/confidence.json', '.cache/source-hashes.json');
+  }
+}
+
+// 지역 변형(es-MX ← es 등)의 상위 언어 — 상위 언어도 TARGET_LANGS에 있을 때만 (없으면 일반 번역)
+const parentOf = lang => variantParent(lang, TARGET_LANGS);
+
+// 상위 언어가 먼저 끝나도록 단계별 실행 (단계 안에서는 언어 병렬)
+async function runByPhase(langs, fn) {
+  for (const phase of variantPhases(langs, TARGET_LANGS)) await runConcurrently(phase, fn);
+}
+
+/**
+ * 언어 하나 번역 — 지역 변형은 상위 언어의 현재 번역을 기준으로 바뀌어야 할 키만 재정의
+ * @returns { translated: { key: 번역 }, inherited: [key] } — inherited는 재정의를 지우고 상위 번역을 쓸 키
+ */
+async function translateLang(translator, lang, toTranslate, options) {
+  const parent = parentOf(lang);
+  if (!parent) {
+    return { translated: await translator.translateFlatMap(toTranslate, lang, options), inherited: [] };
+  }
+  const parentFlat = await readEffectiveFlat(parent, TARGET_LANGS);
+  const { overrides, inherited } = await translator.adaptFlatMap(toTranslate, parentFlat, lang, parent, options);
+  return { translated: overrides, inherited };
+}
+
+// --dry-run: 지역 변형 안내 (비용 추정은 전체 번역 기준이라 실제보다 큼)
+function planVariants(langs) {
+  for (const lang of langs.filter(parentOf)) {
+    plan.addNote(`지역 변형 ${lang}: ${parentOf(lang)} 번역을 기준으로 바뀌어야 할 키만 재정의합니다 (비용은 전체 번역 기준 대략치).`);
+  }
+}
+
+// 키 이동을 원문, 모든 locale 파일, 잠금, 원문 해시, 신뢰도 점수, 번역 후보에 반영
+async function applyKeyMoves(moves) {
+  if (moves.length === 0) return;
+
+  for (const lang of await listLocaleLangs()) {
+    const nested = await readLocale(lang);
+    if (moveNestedKeys(nested, moves) > 0) await writeLocale(lang, nested);
+  }
+
+  await saveLocks(renameLangKeys(await loadLocks(), moves));
+  await moveSourceHashes(moves);
+  await moveConfidence(moves);
+  await moveCandidates(moves);
+}
+
 // ──────────────────────────────────────────────
-// extract: Figma → en.json
+// extract: Figma → <원문>.json
 // ──────────────────────────────────────────────
 async function cmdExtract() {
-  requireEnv('FIGMA_TOKEN', 'FIGMA_FILE_ID');
+  const document = await loadFigmaDocument();
 
-  const { FIGMA_TOKEN, FIGMA_FILE_ID, FIGMA_PAGE_NAME } = process.env;
+  console.log(`📝 원문(${SOURCE_LANG}) 텍스트 노드 추출 중...`);
+  const { nodes: textNodes, stats } = extractSourceNodes(document);
+  console.log(`   → 원문 텍스트 ${textNodes.length}개 추출`);
+  if (stats.skippedAnnotation > 0) {
+    console.log(`   → 디자인 주석 ${stats.skippedAnnotation}개 제외`);
+  }
 
-  console.log('🔍 Figma 파일 불러오는 중...');
-  const document = await fetchFigmaDocument(FIGMA_FILE_ID, FIGMA_TOKEN);
+  const registry = await loadKeyRegistry();
+  const { flatMap, nodeIds } = buildKeyMap(textNodes, registry);
 
-  console.log('📝 영어 텍스트 노드 추출 중...');
-  const { nodes: textNodes, stats } = extractTextNodes(document, FIGMA_PAGE_NAME || null);
-  console.log(`   → 영어 텍스트 ${textNodes.length}개 추출`);
-  if (stats.skippedKorean > 0) {
-    console.log(`   → 한글 텍스트 ${stats.skippedKorean}개 제외 (디자인 주석으로 판단)`);
+  if (DRY_RUN) {
+    plan.setDiff(diffFlatMaps(flatMap, nestedToFlat(await readLocale(SOURCE_LANG)), nodeIds, await loadNodeIndex()));
+    plan.addWrite(`locales/${SOURCE_LANG}.json`, '.cache/translation-cache.json', '.cache/node-index.json', '.cache/key-registry.json', '.cache/length-budgets.json');
+    return flatMap;
   }
 
-  const flatMap = buildFlatMap(textNodes);
   const nested = flatToNested(flatMap);
 
   await ensureLocalesDir();
-  await writeLocale('en', nested);
-  await saveCache(flatMap);
+  await writeLocale(SOURCE_LANG, nested);
+  await saveCache(flatMap, nodeIds);
+  await saveKeyRegistry(registry, nodeIds);
+  await saveBudgets(buildBudgets(textNodes, nodeIds, flatMap));
 
-  console.log(`✅ locales/en.json 생성 완료 (${Object.keys(flatMap).length}개 키)`);
+  console.log(`✅ locales/${SOURCE_LANG}.json 생성 완료 (${Object.keys(flatMap).length}개 키)`);
   return flatMap;
 }
 
 // ──────────────────────────────────────────────
-// translate: en.json → ko/zh/ja.json
+// translate: <원문>.json → 대상 언어
 // ──────────────────────────────────────────────
-async function cmdTranslate() {
-  requireEnv('ANTHROPIC_API_KEY');
+async function cmdTranslate({ flatMap: extractedFlat = null } = {}) {
+  if (!DRY_RUN) requireEnv(...requiredProviderEnv());
 
-  const enNested = await readLocale('en');
-  const flatMap = nestedToFlat(enNested);
+  // sync --dry-run은 원문 파일을 쓰지 않으므로 추출 결과를 직접 전달
+  const flatMap = extractedFlat || nestedToFlat(await readLocale(SOURCE_LANG));
 
   if (Object.keys(flatMap).length === 0) {
-    console.error('❌ locales/en.json이 없거나 비어있습니다. 먼저 extract를 실행하세요.');
+    console.error(`❌ locales/${SOURCE_LANG}.json이 없거나 비어있습니다. 먼저 extract를 실행하세요.`);
     process.exit(1);
   }
 
-  const translator = new Translator(process.env.ANTHROPIC_API_KEY);
+  const translator = createTranslator();
+  const force = hasFlag('--force');
+  const locks = await loadLocks();
 
-  for (const lang of TARGET_LANGS) {
-    console.log(`\n🌐 ${lang} 번역 시작...`);
-    const translated = await translator.translateFlatMap(flatMap, lang);
-    const nested = flatToNested(translated);
-    await writeLocale(lang, nested);
-    console.log(`✅ locales/${lang}.json 저장 완료`);
+  if (DRY_RUN) {
+    const plans = {};
+    for (const lang of TARGET_LANGS) {
+      const existingFlat = nestedToFlat(await readLocale(lang));
+      plans[lang] = partitionLocked(flatMap, locks[lang], existingFlat, force).toTranslate;
+      planLockImpact(lang, Object.keys(flatMap), locks[lang], existingFlat, force);
+      plan.addWrite(`locales/${lang}.json`);
+    }
+    planVariants(TARGET_LANGS);
+    await planTranslation(translator, plans, flatMap);
+    return;
   }
+
+  // 원문 키 순서대로 병합 (잠긴 키는 기존 번역 유지,
+  // 비용 상한으로 번역하지 못한 키도 기존 번역 유지, 지역 변형에서 상속으로 바뀐 키는 재정의 삭제)
+  const saveTranslated = async (lang, existingFlat, kept, translated, inherited = []) => {
+    const inheritedKeys = new Set(inherited);
+    const merged = {};
+    for (const key of Object.keys(flatMap)) {
+      if (key in kept) merged[key] = kept[key];
+      else if (key in translated) merged[key] = translated[key];
+      else if (inheritedKeys.has(key)) continue;
+      else if (existingFlat[key]) merged[key] = existingFlat[key];
+    }
+    await writeLocale(lang, flatToNested(merged));
+    log(`✅ locales/${lang}.json 저장 완료`);
+    reportKept(lang, kept);
+
+    // --force로 덮어쓴 키는 더 이상 검토 완료 상태가 아님
+    if (force && locks[lang]) {
+      for (const key of Object.keys(translated)) delete locks[lang][key];
+    }
+  };
+
+  const translateOne = async lang => {
+    log(parentOf(lang) ? `\n🧬 ${lang} 지역 변형 조정 시작 (${parentOf(lang)} 기준)...` : `\n🌐 ${lang} 번역 시작...`);
+    const existingFlat = nestedToFlat(await readLocale(lang));
+    const { toTranslate, kept } = partitionLocked(flatMap, locks[lang], existingFlat, force);
+
+    const { translated, inherited } = Object.keys(toTranslate).length > 0
+      ? await translateLang(translator, lang, toTranslate, { context: flatMap })
+      : { translated: {}, inherited: [] };
+    await saveTranslated(lang, existingFlat, kept, translated, inherited);
+  };
+
+  if (hasFlag('--batch-api')) {
+    // 모든 언어의 배치를 Message Batches API로 한 번에 제출 (결과가 늦으면 다음 실행에서 이어받음)
+    // 지역 변형은 상위 번역 결과가 있어야 하므로 배치 결과를 저장한 뒤 대화형으로 조정
+    const batchLangs = TARGET_LANGS.filter(lang => !parentOf(lang));
+    const targets = {};
+    for (const lang of batchLangs) {
+      const existingFlat = nestedToFlat(await readLocale(lang));
+      targets[lang] = { existingFlat, ...partitionLocked(flatMap, locks[lang], existingFlat, force) };
+    }
+    console.log(`\n📦 Batch API 번역: ${batchLangs.join(', ')}`);
+    const results = await translator.translateWithBatchApi(
+      Object.fromEntries(batchLangs.map(lang => [lang, targets[lang].toTranslate])),
+      { context: flatMap }
+    );
+    if (!results) {
+      console.log('\n👉 배치 결과가 준비되면 npm run translate -- --batch-api 를 다시 실행하세요.');
+      return;
+    }
+    for (const lang of batchLangs) {
+      const { existingFlat, kept } = targets[lang];
+      await saveTranslated(lang, existingFlat, kept, results[lang]);
+    }
+    await runByPhase(TARGET_LANGS.filter(parentOf), translateOne);
+  } else {
+    await runByPhase(TARGET_LANGS, translateOne);
+  }
+
+  if (force) await saveLocks(locks);
+  await clearCheckpoint();
 }
 
 // ──────────────────────────────────────────────
 // update: 변경된 텍스트만 감지해 업데이트
 // ──────────────────────────────────────────────
 async function cmdUpdate() {
-  requireEnv('FIGMA_TOKEN', 'FIGMA_FILE_ID', 'ANTHROPIC_API_KEY');
+  if (hasFlag('--stale')) return cmdUpdateStale();
 
-  const { FIGMA_TOKEN, FIGMA_FILE_ID, FIGMA_PAGE_NAME } = process.env;
+  if (!DRY_RUN) requireEnv(...requiredProviderEnv());
 
-  console.log('🔍 Figma 파일 불러오는 중...');
-  const document = await fetchFigmaDocument(FIGMA_FILE_ID, FIGMA_TOKEN);
-  const { nodes: textNodes, stats } = extractTextNodes(document, FIGMA_PAGE_NAME || null);
-  if (stats.skippedKorean > 0) {
-    console.log(`   → 한글 텍스트 ${stats.skippedKorean}개 제외 (디자인 주석)`);
+  const document = await loadFigmaDocument();
+  const { nodes: textNodes, stats } = extractSourceNodes(document);
+  if (stats.skippedAnnotation > 0) {
+    console.log(`   → 디자인 주석 ${stats.skippedAnnotation}개 제외`);
   }
-  const currentFlat = buildFlatMap(textNodes);
+  const registry = await loadKeyRegistry();
+  const { flatMap: currentFlat, nodeIds: currentNodes } = buildKeyMap(textNodes, registry);
 
   const cachedFlat = await loadCache();
-  const { added, changed, removed } = diffFlatMaps(currentFlat, cachedFlat);
+  const cachedNodes = await loadNodeIndex();
+  const { added, changed, removed, moved } = diffFlatMaps(currentFlat, cachedFlat, currentNodes, cachedNodes);
 
   const addedCount = Object.keys(added).length;
   const changedCount = Object.keys(changed).length;
   const removedCount = removed.length;
+  const movedCount = moved.length;
 
   console.log(`\n📊 변경 사항 감지:`);
   console.log(`   + 추가: ${addedCount}개`);
   console.log(`   ~ 수정: ${changedCount}개`);
   console.log(`   - 삭제: ${removedCount}개`);
+  console.log(`   ↪ 이동: ${movedCount}개 (기존 번역 유지)`);
+  for (const { from, to } of moved.slice(0, 10)) console.log(`      ${from} → ${to}`);
+  if (movedCount > 10) console.log(`      ... 외 ${movedCount - 10}개`);
 
-  if (addedCount + changedCount + removedCount === 0) {
+  if (DRY_RUN) return planUpdate({ added, changed, removed, moved }, currentFlat);
+
+  if (addedCount + changedCount + removedCount + movedCount === 0) {
     console.log('\n✅ 변경된 텍스트가 없습니다.');
+    await saveCache(currentFlat, currentNodes);
+    await saveKeyRegistry(registry, currentNodes);
+    await saveBudgets(buildBudgets(textNodes, currentNodes, currentFlat));
     return;
   }
 
-  // en.json 업데이트
-  const enNested = await readLocale('en');
+  // 길이 예산은 번역 전에 갱신 (새/수정 키의 프롬프트에 사용)
+  await saveBudgets(buildBudgets(textNodes, currentNodes, currentFlat));
+
+  // 이동된 키는 모든 locale 파일에서 기존 번역을 새 키로 옮김 (재번역 없음)
+  await applyKeyMoves(moved);
+
+  // 원문 파일 업데이트
+  const sourceNested = await readLocale(SOURCE_LANG);
   for (const [key, value] of Object.entries({ ...added, ...changed })) {
-    setNestedKey(enNested, key, value);
+    setNestedKey(sourceNested, key, value);
   }
   for (const key of removed) {
-    removeNestedKey(enNested, key);
+    removeNestedKey(sourceNested, key);
   }
-  await writeLocale('en', enNested);
-  console.log('\n✅ locales/en.json 업데이트 완료');
+  await writeLocale(SOURCE_LANG, sourceNested);
+  console.log(`\n✅ locales/${SOURCE_LANG}.json 업데이트 완료`);
 
   // 번역이 필요한 키가 있으면 번역
   const toTranslate = { ...added, ...changed };
-  if (Object.keys(toTranslate).length === 0) {
-    // 삭제만 있는 경우 — 번역 파일에서도 제거
-    for (const lang of TARGET_LANGS) {
-      const nested = await readLocale(lang);
-      for (const key of removed) removeNestedKey(nested, key);
-      await writeLocale(lang, nested);
-      console.log(`✅ locales/${lang}.json 삭제 항목 반영 완료`);
+  const force = hasFlag('--force');
+  const locks = await loadLocks();
+  const translator = Object.keys(toTranslate).length > 0
+    ? createTranslator()
+    : null;
+
+  await runByPhase(TARGET_LANGS, async lang => {
+    const langNested = await readLocale(lang);
+    const { toTranslate: langToTranslate, kept } = partitionLocked(
+      toTranslate, locks[lang], nestedToFlat(langNested), force
+    );
+
+    // 추가/수정 반영 (잠긴 키 제외, 지역 변형은 상위 번역 기준으로 재정의만)
+    if (Object.keys(langToTranslate).length > 0) {
+      log(`\n🌐 ${lang} 번역 중...`);
+      const { translated, inherited } = await translateLang(translator, lang, langToTranslate, { context: currentFlat });
+      for (const [key, value] of Object.entries(translated)) {
+        setNestedKey(langNested, key, value);
+        if (force) delete locks[lang]?.[key];
+      }
+      for (const key of inherited) removeNestedKey(langNested, key);
+    }
+    // 삭제 반영 (잠금도 함께 제거)
+    for (const key of removed) {
+      removeNestedKey(langNested, key);
+      delete locks[lang]?.[key];
+    }
+
+    await writeLocale(lang, langNested);
+    log(`✅ locales/${lang}.json 업데이트 완료`);
+    reportKept(lang, kept);
+  });
+  await saveLocks(locks);
+
+  // 캐시 업데이트
+  await saveCache(currentFlat, currentNodes);
+  await saveKeyRegistry(registry, currentNodes);
+  await clearCheckpoint();
+  console.log('\n🎉 모든 업데이트 완료!');
+}
+
+// update --dry-run: 키 변경 → 언어별 번역 대상/잠금 영향/비용
+async function planUpdate(diff, currentFlat) {
+  const { added, changed, removed, moved } = diff;
+  plan.setDiff(diff);
+  if (Object.keys(added).length + Object.keys(changed).length + removed.length + moved.length === 0) return;
+
+  const toTranslate = { ...added, ...changed };
+  const force = hasFlag('--force');
+  const locks = await loadLocks();
+  const plans = {};
+  for (const lang of TARGET_LANGS) {
+    const langFlat = nestedToFlat(await readLocale(lang));
+    plans[lang] = partitionLocked(toTranslate, locks[lang], langFlat, force).toTranslate;
+    planLockImpact(lang, Object.keys(toTranslate), locks[lang], langFlat, force);
+    for (const key of removed) {
+      if (locks[lang]?.[key]) plan.addLock(lang, key, 'remove');
+    }
+    for (const { from, to } of moved) {
+      if (locks[lang]?.[from]) plan.addLock(lang, `${from} → ${to}`, 'move');
+    }
+    plan.addWrite(`locales/${lang}.json`);
+  }
+  plan.addWrite(`locales/${SOURCE_LANG}.json`, 'locales/.locks.json', '.cache/translation-cache.json', '.cache/key-registry.json', '.cache/length-budgets.json');
+  planVariants(TARGET_LANGS);
+  await planTranslation(createTranslator(), plans, currentFlat);
+}
+
+// ──────────────────────────────────────────────
+// stale: 원문이 바뀐 번역 감지
+// ──────────────────────────────────────────────
+async function collectStale() {
+  const sourceFlat = nestedToFlat(await readLocale(SOURCE_LANG));
+  const hashes = await loadSourceHashes();
+  const extractedFlat = await loadCache();
+
+  const report = {};
+  for (const lang of TARGET_LANGS) {
+    // 지역 변형은 상위 번역 + 재정의 기준 (상속 키도 번역된 것으로 봄)
+    const langFlat = await readEffectiveFlat(lang, TARGET_LANGS);
+    report[lang] = findStaleKeys(sourceFlat, langFlat, hashes[lang], extractedFlat);
+  }
+  return { sourceFlat, report };
+}
+
+async function cmdStale() {
+  if (DRY_RUN) plan.addNote('stale은 보고만 하는 명령입니다 — 변경되는 파일이 없습니다.');
+  const { report } = await collectStale();
+  const locks = await loadLocks();
+  let total = 0;
+
+  console.log(`📊 오래된 번역 점검 (원문 ${SOURCE_LANG} 변경 감지)`);
+  for (const [lang, { stale, missing, untracked }] of Object.entries(report)) {
+    total += stale.length + missing.length;
+    console.log(`\n  [${lang}] 오래됨 ${stale.length}개 · 누락 ${missing.length}개 · 기록 없음 ${untracked.length}개`);
+    for (const key of stale.slice(0, 10)) {
+      console.log(`      ~ ${key}${locks[lang]?.[key] ? '  🔒' : ''}`);
     }
+    if (stale.length > 10) console.log(`      ... 외 ${stale.length - 10}개`);
+  }
+
+  if (total === 0) {
+    console.log('\n✅ 모든 번역이 최신 원문 기준입니다.');
   } else {
-    const translator = new Translator(process.env.ANTHROPIC_API_KEY);
+    console.log('\n👉 npm run update -- --stale 로 오래된 번역만 다시 번역할 수 있습니다.');
+  }
+}
 
+// update --stale: 오래된/누락 번역만 다시 번역
+async function cmdUpdateStale() {
+  if (!DRY_RUN) requireEnv(...requiredProviderEnv());
+
+  const { sourceFlat, report } = await collectStale();
+  const force = hasFlag('--force');
+  const locks = await loadLocks();
+  let translator = null;
+
+  if (DRY_RUN) {
+    const plans = {};
     for (const lang of TARGET_LANGS) {
-      console.log(`\n🌐 ${lang} 번역 중...`);
-      const translatedFlat = await translator.translateFlatMap(toTranslate, lang);
-      const langNested = await readLocale(lang);
+      const { stale, missing } = report[lang];
+      const targets = Object.fromEntries([...stale, ...missing].map(k => [k, sourceFlat[k]]));
+      const langFlat = nestedToFlat(await readLocale(lang));
+      plans[lang] = partitionLocked(targets, locks[lang], langFlat, force).toTranslate;
+      planLockImpact(lang, Object.keys(targets), locks[lang], langFlat, force);
+      if (Object.keys(plans[lang]).length > 0) plan.addWrite(`locales/${lang}.json`);
+    }
+    planVariants(TARGET_LANGS);
+    await planTranslation(createTranslator(), plans, sourceFlat);
+    return;
+  }
 
-      // 추가/수정 반영
-      for (const [key, value] of Object.entries(translatedFlat)) {
-        setNestedKey(langNested, key, value);
-      }
-      // 삭제 반영
-      for (const key of removed) {
-        removeNestedKey(langNested, key);
-      }
+  await runByPhase(TARGET_LANGS, async lang => {
+    const { stale, missing } = report[lang];
+    const targets = Object.fromEntries([...stale, ...missing].map(k => [k, sourceFlat[k]]));
+    const langNested = await readLocale(lang);
+    const { toTranslate, kept } = partitionLocked(targets, locks[lang], nestedToFlat(langNested), force);
 
-      await writeLocale(lang, langNested);
-      console.log(`✅ locales/${lang}.json 업데이트 완료`);
+    if (Object.keys(toTranslate).length === 0) {
+      log(`\n✅ [${lang}] 다시 번역할 항목 없음`);
+      reportKept(lang, kept);
+      return;
     }
+
+    log(`\n🌐 ${lang} 오래된 번역 ${stale.length}개 · 누락 ${missing.length}개 다시 번역 중...`);
+    translator = translator || createTranslator();
+    const { translated, inherited } = await translateLang(translator, lang, toTranslate, { context: sourceFlat });
+    for (const [key, value] of Object.entries(translated)) {
+      setNestedKey(langNested, key, value);
+      if (force) delete locks[lang]?.[key];
+    }
+    for (const key of inherited) removeNestedKey(langNested, key);
+    await writeLocale(lang, langNested);
+    log(`✅ locales/${lang}.json 업데이트 완료`);
+    reportKept(lang, kept);
+  });
+
+  if (force) await saveLocks(locks);
+  await clearCheckpoint();
+}
+
+// ──────────────────────────────────────────────
+// retranslate: 신뢰도 낮은/플래그된/지정한 키만 다시 번역
+// ──────────────────────────────────────────────
+const MAX_CANDIDATES = 5;
+
+function parseRetranslateArgs() {
+  const fail = message => {
+    console.error(`❌ ${message}`);
+    console.error('   사용법: node src/index.js retranslate [--below <점수>] [--keys <글롭>] [--flagged [종류]] [--lang <코드>] [--instruction <지시>] [--candidates <N>]');
+    process.exit(1);
+  };
+  const list = value => value.split(',').map(v => v.trim()).filter(Boolean);
+
+  let below = null;
+  if (hasFlag('--below')) {
+    below = Number(flagValue('--below'));
+    if (!Number.isFinite(below) || below <= 0 || below > 100) fail('--below에는 1~100 사이 점수를 지정하세요.');
   }
+  const patterns = hasFlag('--keys') ? list(flagValue('--keys') || '') : [];
+  if (hasFlag('--keys') && patterns.length === 0) fail('--keys에 키 글롭을 지정하세요. 예: --keys "auth.*"');
 
-  // 캐시 업데이트
-  await saveCache(currentFlat);
-  console.log('\n🎉 모든 업데이트 완료!');
+  // --flagged 뒤의 값은 선택 (다음 인자가 플래그가 아니면 플래그 종류 목록)
+  let flagTypes = null;
+  if (hasFlag('--flagged')) {
+    const value = flagValue('--flagged');
+    flagTypes = value && !value.startsWith('--') ? list(value) : [];
+  }
+
+  const langs = hasFlag('--lang') ? list(flagValue('--lang') || '') : TARGET_LANGS;
+  const invalid = langs.filter(l => !isSupportedLang(l) || l === SOURCE_LANG);
+  if (langs.length === 0 || invalid.length > 0) fail(`번역 대상이 아닌 언어 코드: ${invalid.join(', ') || '(없음)'}`);
+
+  let candidates = null;
+  if (hasFlag('--candidates')) {
+    candidates = Number(flagValue('--candidates'));
+    if (!Number.isInteger(candidates) || candidates < 2 || candidates > MAX_CANDIDATES) {
+      fail(`--candidates에는 2~${MAX_CANDIDATES} 사이 후보 수를 지정하세요.`);
+    }
+  }
+
+  if (below === null && patterns.length === 0 && flagTypes === null) {
+    fail('재번역할 키 조건(--below, --keys, --flagged)을 하나 이상 지정하세요.');
+  }
+  return { below, patterns, flagTypes, langs, candidates };
+}
+
+async function cmdRetranslate() {
+  if (!DRY_RUN) requireEnv(...requiredProviderEnv());
+
+  const { langs, candidates, ...criteria } = parseRetranslateArgs();
+  const sourceFlat = nestedToFlat(await readLocale(SOURCE_LANG));
+  if (Object.keys(sourceFlat).length === 0) {
+    console.error(`❌ locales/${SOURCE_LANG}.json이 없거나 비어있습니다. 먼저 extract를 실행하세요.`);
+    process.exit(1);
+  }
+
+  const confidence = await loadConfidence();
+  const force = hasFlag('--force');
+  const locks = await loadLocks();
+  const targets = {};
+  for (const lang of langs) {
+    const langNested = await readLocale(lang);
+    const langFlat = nestedToFlat(langNested);
+    const selected = selectKeys(sourceFlat, {
+      scores: confidence[lang],
+      flags: confidence._flags?.[lang],
+      ...criteria,
+    });
+    targets[lang] = { langNested, langFlat, selected, ...partitionLocked(selected, locks[lang], langFlat, force) };
+  }
+
+  if (candidates) return retranslateCandidates(targets, candidates, sourceFlat);
+
+  if (DRY_RUN) {
+    const plans = {};
+    for (const [lang, { langFlat, selected, toTranslate }] of Object.entries(targets)) {
+      plans[lang] = toTranslate;
+      planLockImpact(lang, Object.keys(selected), locks[lang], langFlat, force);
+      if (Object.keys(toTranslate).length > 0) plan.addWrite(`locales/${lang}.json`);
+    }
+    planVariants(langs);
+    await planTranslation(createTranslator(), plans, sourceFlat);
+    return;
+  }
+
+  const total = Object.values(targets).reduce((sum, t) => sum + Object.keys(t.toTranslate).length, 0);
+  if (total === 0) {
+    console.log('✅ 조건에 맞는 재번역 대상 키가 없습니다.');
+    for (const [lang, { kept }] of Object.entries(targets)) reportKept(lang, kept);
+    return;
+  }
+
+  const translator = createTranslator();
+  await runByPhase(langs, async lang => {
+    const { langNested, langFlat, toTranslate, kept } = targets[lang];
+    const count = Object.keys(toTranslate).length;
+    if (count === 0) {
+      log(`\n✅ [${lang}] 재번역할 키 없음`);
+      reportKept(lang, kept);
+      return;
+    }
+
+    log(`\n🌐 ${lang} ${count}개 키 재번역 중...`);
+    const { translated, inherited } = await translateLang(translator, lang, toTranslate, { context: sourceFlat, previous: langFlat });
+    for (const [key, value] of Object.entries(translated)) {
+      setNestedKey(langNested, key, value);
+      if (force) delete locks[lang]?.[key];
+    }
+    for (const key of inherited) removeNestedKey(langNested, key);
+    await writeLocale(lang, langNested);
+    log(`✅ locales/${lang}.json ${Object.keys(translated).length}개 키 업데이트 완료`);
+    reportKept(lang, kept);
+  });
+
+  if (force) await saveLocks(locks);
+  await clearCheckpoint();
+}
+
+/**
+ * retranslate --candidates: locale 파일은 그대로 두고 키마다 후보 N개를 .cache/candidates.json에 저장
+ * (후보는 리뷰어가 고를 때만 반영되므로 잠긴 키도 포함, 지역 변형도 상위 번역 없이 바로 후보 생성)
+ */
+async function retranslateCandidates(targets, count, sourceFlat) {
+  const translator = createTranslator();
+  const plans = Object.fromEntries(Object.entries(targets).map(([lang, { selected }]) => [lang, selected]));
+
+  if (DRY_RUN) {
+    plan.setLanguages(await translator.estimate(plans, { context: sourceFlat, candidates: count }));
+    if (Object.values(plans).some(p => Object.keys(p).length > 0)) plan.addWrite('.cache/candidates.json');
+    plan.addNote(`번역 후보 ${count}개씩 생성 — locale 파일은 바뀌지 않습니다 (리뷰 페이지에서 선택).`);
+    return;
+  }
+
+  const total = Object.values(plans).reduce((sum, p) => sum + Object.keys(p).length, 0);
+  if (total === 0) {
+    console.log('✅ 조건에 맞는 키가 없습니다.');
+    return;
+  }
+
+  await runConcurrently(Object.keys(plans), async lang => {
+    const selected = plans[lang];
+    if (Object.keys(selected).length === 0) {
+      log(`\n✅ [${lang}] 후보를 만들 키 없음`);
+      return;
+    }
+    log(`\n🗂️  ${lang} ${Object.keys(selected).length}개 키 번역 후보 ${count}개씩 생성 중...`);
+    const result = await translator.generateCandidates(selected, lang, {
+      count,
+      context: sourceFlat,
+      previous: targets[lang].langFlat,
+    });
+    await saveCandidates(lang, result, sourceFlat);
+  });
+  console.log('\n✅ .cache/candidates.json 저장 완료 — npm run review 페이지에서 후보를 고르세요');
+}
+
+// ──────────────────────────────────────────────
+// rekey: 고정된 키를 현재 Figma 경로/텍스트 기준으로 다시 생성
+// ──────────────────────────────────────────────
+async function cmdRekey() {
+  const prefixes = positionalArgs();
+  const document = await loadFigmaDocument();
+  const { nodes: textNodes } = extractSourceNodes(document);
+
+  // 대상 키(전체 또는 prefix 일치)의 레지스트리 항목을 비워 새로 생성
+  const registry = await loadKeyRegistry();
+  const matches = key => prefixes.length === 0 || prefixes.some(p => key === p || key.startsWith(`${p}.`));
+  const kept = Object.fromEntries(Object.entries(registry).filter(([, key]) => !matches(key)));
+  const { nodeIds } = buildKeyMap(textNodes, kept);
+
+  const moves = [];
+  for (const [key, nodeId] of Object.entries(nodeIds)) {
+    if (registry[nodeId] && registry[nodeId] !== key) moves.push({ from: registry[nodeId], to: key });
+  }
+
+  if (moves.length === 0) {
+    console.log('\n✅ 변경할 키가 없습니다.');
+    return;
+  }
+
+  console.log(`\n↪ 키 ${moves.length}개 변경:`);
+  for (const { from, to } of moves.slice(0, 20)) console.log(`   ${from} → ${to}`);
+  if (moves.length > 20) console.log(`   ... 외 ${moves.length - 20}개`);
+
+  if (DRY_RUN) {
+    plan.setDiff({ moved: moves });
+    const locks = await loadLocks();
+    for (const [lang, langLocks] of Object.entries(locks)) {
+      for (const { from, to } of moves) {
+        if (langLocks[from]) plan.addLock(lang, `${from} → ${to}`, 'move');
+      }
+    }
+    for (const lang of await listLocaleLangs()) plan.addWrite(`locales/${lang}.json`);
+    plan.addWrite('locales/.locks.json', '.cache/source-hashes.json', '.cache/confidence.json', '.cache/translation-cache.json', '.cache/key-registry.json');
+    return;
+  }
+
+  await applyKeyMoves(moves);
+
+  // 캐시는 텍스트를 유지한 채 키만 변경 (텍스트 변경은 다음 update에서 감지)
+  const cachedFlat = await loadCache();
+  const cachedNodes = await loadNodeIndex();
+  await saveCache(renameKeys(cachedFlat, moves), renameKeys(cachedNodes, moves));
+  await saveKeyRegistry(kept, nodeIds);
+
+  console.log('\n✅ 키 변경 완료 — 앱 코드의 호출부도 새 키로 바꿔주세요.');
 }
 
 // ──────────────────────────────────────────────
 // sync: extract + translate 한번에
 // ──────────────────────────────────────────────
 async function cmdSync() {
-  await cmdExtract();
+  const flatMap = await cmdExtract();
+  if (DRY_RUN) return cmdTranslate({ flatMap });
   await cmdTranslate();
   console.log('\n🎉 전체 동기화 완료!');
 }
 
+// ──────────────────────────────────────────────
+// merge: 지역 변형의 앱용 전체 파일 (상위 번역 + 재정의 → locales/merged/<변형>.json)
+// ──────────────────────────────────────────────
+async function cmdMerge() {
+  const variants = TARGET_LANGS.filter(parentOf);
+  if (variants.length === 0) {
+    console.log('ℹ️  TARGET_LANGS에 지역 변형이 없습니다. (상위 언어와 함께 지정한 es-MX, zh-TW 등)');
+    return;
+  }
+
+  const sourceFlat = nestedToFlat(await readLocale(SOURCE_LANG));
+  for (const lang of variants) {
+    if (DRY_RUN) {
+      plan.addWrite(`locales/merged/${lang}.json`);
+      continue;
+    }
+    // 원문 키 순서로 (원문에서 삭제된 키는 제외)
+    const effective = await readEffectiveFlat(lang, TARGET_LANGS);
+    const merged = Object.fromEntries(Object.keys(sourceFlat).filter(key => effective[key]).map(key => [key, effective[key]]));
+    await writeMergedLocale(lang, flatToNested(merged));
+    console.log(`✅ locales/merged/${lang}.json 저장 (${parentOf(lang)} 번역 + 재정의, ${Object.keys(merged).length}개 키)`);
+  }
+}
+
+// ──────────────────────────────────────────────
+// lock / unlock: 검토 완료 번역 잠금 관리
+// ──────────────────────────────────────────────
+function parseLockArgs() {
+  const [lang, ...keys] = positionalArgs();
+  if (!lang || keys.length === 0) {
+    console.error('❌ 사용법: node src/index.js lock|unlock <lang> <key...>');
+    process.exit(1);
+  }
+  return { lang, keys };
+}
+
+async function cmdLock() {
+  const { lang, keys } = parseLockArgs();
+  const flat = nestedToFlat(await readLocale(lang));
+  const missing = keys.filter(k => !(k in flat));
+  if (missing.length > 0) {
+    console.warn(`⚠️  locales/${lang}.json에 없는 키: ${missing.join(', ')}`);
+  }
+  if (DRY_RUN) {
+    const locks = await loadLocks();
+    for (const key of keys.filter(k => k in flat && !locks[lang]?.[k])) plan.addLock(lang, key, 'lock');
+    if (plan.locks[lang]) plan.addWrite('locales/.locks.json');
+    return;
+  }
+  await lockKeys(lang, keys.filter(k => k in flat));
+  console.log(`🔒 [${lang}] ${keys.length - missing.length}개 키 잠금 완료`);
+}
+
+async function cmdUnlock() {
+  const { lang, keys } = parseLockArgs();
+  if (DRY_RUN) {
+    const locks = await loadLocks();
+    for (const key of keys.filter(k => locks[lang]?.[k])) plan.addLock(lang, key, 'unlock');
+    if (plan.locks[lang]) plan.addWrite('locales/.locks.json');
+    return;
+  }
+  const count = await unlockKeys(lang, keys);
+  console.log(`🔓 [${lang}] ${count}개 키 잠금 해제 완료`);
+}
+
+// ──────────────────────────────────────────────
+// glossary: 용어집(.cache/glossary.json) 관리
+// 잠긴 용어는 research 갱신 때 유지되고, 번역 프롬프트에서 조사 용어보다 우선
+// ──────────────────────────────────────────────
+const GLOSSARY_USAGE = [
+  'node src/index.js glossary list [--lang <코드,...>] [--locked]',
+  'node src/index.js glossary add <lang> <용어> <번역> [--lock]',
+  'node src/index.js glossary remove <lang> <용어>',
+  'node src/index.js glossary lock <lang> <용어> [번역]',
+  'node src/index.js glossary unlock <lang> <용어>',
+  'node src/index.js glossary import <파일.csv|파일.tbx> [--lang <코드>] [--lock]',
+  'node src/index.js glossary export <파일.csv|파일.tbx> [--lang <코드,...>]',
+];
+
+function glossaryFail(message) {
+  console.error(`❌ ${message}`);
+  console.error(`   사용법:\n${GLOSSARY_USAGE.map(line => `     ${line}`).join('\n')}`);
+  process.exit(1);
+}
+
+// 용어집 언어 확인 (원문 언어, 지원하지 않는 코드 거부)
+function glossaryLang(lang) {
+  if (!lang) glossaryFail('언어 코드를 지정하세요.');
+  if (!isSupportedLang(lang) || lang === SOURCE_LANG) glossaryFail(`용어집 대상이 아닌 언어 코드: ${lang}`);
+  return lang;
+}
+
+// 가져오기/내보내기 형식 (확장자 기준)
+function glossaryFormat(file) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.csv') return 'csv';
+  if (ext === '.tbx' || ext === '.xml') return 'tbx';
+  return glossaryFail(`지원하지 않는 파일 형식: ${file} (.csv 또는 .tbx)`);
+}
+
+// 용어집 저장 (--dry-run이면 계획에만 기록)
+async function writeGlossary(data, message) {
+  if (DRY_RUN) {
+    plan.addWrite('.cache/glossary.json');
+    plan.addNote(message);
+    return;
+  }
+  await saveGlossary(data);
+  console.log(`✅ ${message}`);
+}
+
+async function cmdGlossary() {
+  const [sub, ...args] = positionalArgs();
+  const langs = hasFlag('--lang')
+    ? (flagValue('--lang') || '').split(',').map(l => l.trim()).filter(Boolean).map(glossaryLang)
+    : null;
+  if (langs?.length === 0) glossaryFail('--lang에 언어 코드를 지정하세요.');
+  const data = await loadGlossary();
+
+  switch (sub) {
+    case 'list': {
+      const entries = listEntries(data, langs || glossaryLangs(data)).filter(e => !hasFlag('--locked') || e.locked);
+      if (entries.length === 0) {
+        console.log('ℹ️  용어집 항목이 없습니다. npm run research 또는 glossary add/import로 추가하세요.');
+        return;
+      }
+      for (const lang of [...new Set(entries.map(e => e.lang))]) {
+        const langEntries = entries.filter(e => e.lang === lang);
+        const lockedCount = langEntries.filter(e => e.locked).length;
+        console.log(`\n📚 [${lang}] ${langEntries.length}개 용어${lockedCount > 0 ? ` (🔒 잠금 ${lockedCount}개)` : ''}`);
+        for (const { term, translation, locked } of langEntries) {
+          console.log(`   ${locked ? '🔒' : '  '} ${term} → ${translation}`);
+        }
+      }
+      return;
+    }
+
+    case 'add': {
+      const [lang, term, translation] = args;
+      if (!term || !translation) glossaryFail('언어, 용어, 번역을 모두 지정하세요.');
+      glossaryLang(lang);
+      const lock = hasFlag('--lock');
+      const result = setEntry(data, lang, term, translation, { lock });
+      if (result === 'unchanged' && !lock) {
+        console.log(`ℹ️  [${lang}] "${term}" → "${translation}" 이미 등록되어 있습니다.`);
+        return;
+      }
+      const action = result === 'added' ? '추가' : '수정';
+      return writeGlossary(data, `[${lang}] "${term}" → "${translation}" ${action}${lock ? ' (🔒 잠금)' : ''}`);
+    }
+
+    case 'remove': {
+      const [lang, term] = args;
+      if (!term) glossaryFail('언어와 용어를 지정하세요.');
+      glossaryLang(lang);
+      if (!removeEntry(data, lang, term)) {
+        console.warn(`⚠️  [${lang}] 용어집에 없는 용어: ${term}`);
+        return;
+      }
+      return writeGlossary(data, `[${lang}] "${term}" 삭제`);
+    }
+
+    case 'lock': {
+      const [lang, term, translation = null] = args;
+      if (!term) glossaryFail('언어와 용어를 지정하세요.');
+      glossaryLang(lang);
+      const locked = lockEntry(data, lang, term, translation);
+      if (locked === null) glossaryFail(`[${lang}] 용어집에 없는 용어입니다: ${term} — 번역도 함께 지정하세요.`);
+      return writeGlossary(data, `🔒 [${lang}] "${term}" → "${locked}" 잠금 (research 갱신 때 유지, 번역 시 우선 적용)`);
+    }
+
+    case 'unlock': {
+      const [lang, term] = args;
+      if (!term) glossaryFail('언어와 용어를 지정하세요.');
+      glossaryLang(lang);
+      if (!unlockEntry(data, lang, term)) {
+        console.warn(`⚠️  [${lang}] 잠기지 않은 용어: ${term}`);
+        return;
+      }
+      return writeGlossary(data, `🔓 [${lang}] "${term}" 잠금 해제 (다음 research 갱신 때 바뀔 수 있음)`);
+    }
+
+    case 'import': {
+      const [file] = args;
+      if (!file) glossaryFail('가져올 파일을 지정하세요.');
+      const format = glossaryFormat(file);
+      if (!existsSync(file)) glossaryFail(`파일이 없습니다: ${file}`);
+      if (format === 'csv' && langs?.length > 1) glossaryFail('CSV 가져오기의 --lang에는 언어 하나만 지정하세요.');
+
+      const text = await readFile(file, 'utf-8');
+      let parsed;
+      try {
+        parsed = format === 'csv' ? parseCsv(text, { lang: langs?.[0] }) : parseTbx(text, SOURCE_LANG);
+      } catch (err) {
+        glossaryFail(`${file}: ${err.message}`);
+      }
+      // --lang이 있으면 그 언어만, 원문 언어 항목은 제외
+      const entries = parsed.entries.filter(e => e.lang !== SOURCE_LANG && (!langs || langs.includes(e.lang)));
+      if (parsed.skipped.length > 0) {
+        console.warn(`⚠️  건너뛴 항목 ${parsed.skipped.length}개`);
+        for (const reason of parsed.skipped.slice(0, 10)) console.warn(`      - ${reason}`);
+        if (parsed.skipped.length > 10) console.warn(`      ... 외 ${parsed.skipped.length - 10}개`);
+      }
+      if (entries.length === 0) {
+        console.log(`ℹ️  ${file}에서 가져올 항목이 없습니다.`);
+        return;
+      }
+      const lock = hasFlag('--lock');
+      const { added, updated, unchanged } = applyEntries(data, entries, { lock });
+      const lockedCount = entries.filter(e => lock || e.locked).length;
+      return writeGlossary(
+        data,
+        `${path.basename(file)}에서 ${entries.length}개 가져옴 — 추가 ${added} · 수정 ${updated} · 그대로 ${unchanged}` +
+        (lockedCount > 0 ? ` (🔒 잠금 ${lockedCount}개)` : '')
+      );
+    }
+
+    case 'export': {
+      const [file] = args;
+      if (!file) glossaryFail('저장할 파일을 지정하세요.');
+      const format = glossaryFormat(file);
+      const entries = listEntries(data, langs || glossaryLangs(data));
+      if (DRY_RUN) {
+        plan.addWrite(file);
+        plan.addNote(`용어집 ${entries.length}개 항목을 ${format.toUpperCase()}로 내보냅니다.`);
+        return;
+      }
+      await writeFile(file, format === 'csv' ? toCsv(entries) : toTbx(entries, SOURCE_LANG), 'utf-8');
+      console.log(`✅ ${file} 저장 (${format.toUpperCase()}, ${entries.length}개 항목)`);
+      return;
+    }
+
+    default:
+      glossaryFail(sub ? `알 수 없는 glossary 명령: ${sub}` : 'glossary 명령을 지정하세요.');
+  }
+}
+
 // ──────────────────────────────────────────────
 // 엔트리 포인트
 // ──────────────────────────────────────────────
 const command = process.argv[2];
 
+// --dry-run 계획 (명령마다 쓰기 직전에 기록) — --json이면 진행 메시지는 stderr로 보내 stdout은 JSON만
+const plan = DRY_RUN ? new DryRunPlan(command) : null;
+if (DRY_RUN && JSON_OUTPUT) console.log = console.error;
+
+// 명령 전체의 토큰 사용량/비용 집계 (--max-cost 상한 포함)
+let ledger;
+try {
+  ledger = new UsageLedger({ command, maxCost: parseMaxCost() });
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
 const commands = {
   extract: cmdExtract,
   translate: cmdTranslate,
   update: cmdUpdate,
   sync: cmdSync,
+  stale: cmdStale,
+  rekey: cmdRekey,
+  retranslate: cmdRetranslate,
+  merge: cmdMerge,
+  lock: cmdLock,
+  unlock: cmdUnlock,
+  glossary: cmdGlossary,
 };
 
 if (!command || !commands[command]) {
@@ -216,22 +1145,79 @@ if (!command || !commands[command]) {
 사용법: node src/index.js <command>
 
 Commands:
-  extract          Figma에서 텍스트를 추출해 locales/en.json 생성
-  translate        locales/en.json을 한국어/중국어/일본어로 번역
+  extract          Figma에서 원문 텍스트를 추출해 locales/<원문>.json 생성 (기본 en.json)
+  translate        원문을 대상 언어(TARGET_LANGS, 기본 한국어/중국어/일본어)로 번역
   update           Figma 변경 사항만 감지해 모든 locale 파일 업데이트
   sync             extract + translate를 한번에 실행 (처음 시작 시)
+  stale            원문이 바뀐 번역(오래된 번역) 보고
+  rekey [prefix...]  고정된 키를 현재 Figma 경로/텍스트 기준으로 다시 생성
+  retranslate      조건에 맞는 키만 다시 번역 (아래 retranslate 옵션 중 하나 이상 필요)
+  merge            지역 변형(es-MX, zh-TW 등)의 앱용 전체 파일 생성 → locales/merged/<lang>.json
+  lock <lang> <key...>    검토 완료 번역 잠금 (translate/update가 덮어쓰지 않음)
+  unlock <lang> <key...>  번역 잠금 해제
+  glossary <sub>   용어집 관리 — list, add, remove, lock, unlock, import, export (아래 glossary 명령 참고)
+
+Options:
+  --force          잠긴(검토 완료) 번역도 다시 번역해 덮어쓰기
+  --max-cost <USD> 비용 상한 — 도달하면 남은 요청을 건너뛰고 완료된 번역만 저장
+  --resume         중단된 translate/sync/update를 체크포인트(완료된 배치)부터 이어서 실행
+  --qa backtranslate  역번역으로 품질 점수 계산 (원문과 의미 판정/구조 비교, 어드민에 사유 표시)
+  --glossary-retry    용어집 지정 번역어를 쓰지 않은 키만 교정 재시도
+  --dry-run        파일을 쓰지 않고 실행 계획만 출력 (키 변경, 잠긴 번역 영향, 배치 수, 예상 비용)
+  --json           (--dry-run) 계획을 JSON으로 출력
+  --batch-api      (translate) Message Batches API로 모든 언어를 한 번에 제출 — 50% 할인,
+                   결과가 늦으면 같은 명령을 다시 실행해 이어받기 (anthropic 전용)
+  --stale          (update) Figma 대신 원문이 바뀐 번역만 다시 번역
+  --merged         (translate/update/sync/retranslate) 끝난 뒤 merge도 실행
+  --figma-file <path>  (extract/update/sync/rekey) Figma API 대신 저장된 문서 JSON 사용 — 토큰 불필요
+
+retranslate 옵션 (여러 개 지정 시 모두 만족하는 키만):
+  --below <점수>        신뢰도 점수가 이 값 미만인 키
+  --keys <글롭,...>     키 글롭 ("auth.*"는 한 단계, "auth.**"는 하위 전체)
+  --flagged [종류,...]  QA 플래그가 있는 키 (예: --flagged length,glossary)
+  --lang <코드,...>     대상 언어 (기본: TARGET_LANGS)
+  --instruction <지시>  추가 지시 — 현재 번역과 함께 보내 개선 (예: "make it shorter")
+  --candidates <N>      번역 대신 키마다 후보 N개(2~5)를 만들어 리뷰 페이지에서 선택 (locale 파일은 그대로)
+
+glossary 명령 (.cache/glossary.json):
+  list [--lang <코드,...>] [--locked]        용어 목록 (🔒 = 잠금)
+  add <lang> <용어> <번역> [--lock]           용어 추가/수정
+  remove <lang> <용어>                        용어 삭제
+  lock <lang> <용어> [번역]                   잠금 — research 갱신 때 유지, 번역 시 조사 용어보다 우선
+  unlock <lang> <용어>                        잠금 해제
+  import <파일.csv|.tbx> [--lang <코드>] [--lock]   CSV(lang,term,translation,locked) / TBX 가져오기
+  export <파일.csv|.tbx> [--lang <코드,...>]        CSV / TBX로 내보내기
 
 예시:
   npm run sync             # 처음 시작
   npm run update           # Figma 업데이트 이후
   npm run translate        # 번역만 다시 실행
+  node src/index.js retranslate --below 70 --lang ko   # 점수 낮은 한국어만 다시 번역
+  node src/index.js retranslate --keys "hero.*" --candidates 3   # 마케팅 문구 후보 3개씩
+  node src/index.js glossary lock ko "Prop Trading" "프롭 트레이딩"  # 용어 확정
 
 `);
   process.exit(0);
 }
 
-commands[command]().catch(err => {
-  console.error(`❌ 오류 발생:`, err.message);
-  if (process.env.DEBUG) console.error(err.stack);
-  process.exit(1);
-});
+// --merged: 번역 명령이 끝난 뒤 지역 변형의 전체 파일도 갱신
+const MERGE_AFTER = new Set(['translate', 'update', 'sync', 'retranslate']);
+
+commands[command]()
+  .then(async () => {
+    if (hasFlag('--merged') && MERGE_AFTER.has(command)) await cmdMerge();
+    if (plan) plan.print({ json: JSON_OUTPUT });
+    await ledger.finish();
+    if (ledger.exceeded) {
+      console.log('👉 남은 항목은 npm run update -- --stale 로 이어서 번역할 수 있습니다.');
+    }
+  })
+  .catch(async err => {
+    await ledger.finish().catch(() => {});
+    console.error(`❌ 오류 발생:`, err.message);
+    if (process.env.DEBUG) console.error(err.stack);
+    if (hasCheckpoint()) {
+      console.error(`👉 완료된 배치는 체크포인트에 저장됐습니다. npm run ${command} -- --resume 으로 이어서 진행하세요.`);
+    }
+    process.exit(1);
+  });
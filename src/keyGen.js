@@ -3,30 +3,51 @@
  * - Figma 노드 경로 + 텍스트 내용으로 중첩 JSON 키를 생성
  * - 예: path=["Header","Navigation"], text="Get Started" → header.navigation.get_started
  */
+import { createHash } from 'crypto';
 
 const MAX_PATH_DEPTH = 4;   // 경로 최대 깊이
 const MAX_KEY_LENGTH = 40;  // 단일 키 최대 길이
 
-/**
- * 노드 이름 → snake_case 키
- */
-export function nameToKey(name) {
+// 이름 → snake_case (keep에 걸리지 않는 문자는 공백 취급)
+function slugify(name, strip) {
   return name
     .toLowerCase()
     .trim()
-    .replace(/[^a-z0-9\s]/g, ' ')   // 특수문자 → 공백
+    .replace(strip, ' ')             // 특수문자 → 공백
     .replace(/\s+/g, '_')            // 공백 → 언더스코어
     .replace(/^_+|_+$/g, '')         // 앞뒤 언더스코어 제거
-    .substring(0, MAX_KEY_LENGTH)    // 길이 제한
-    || 'unknown';
+    .substring(0, MAX_KEY_LENGTH);   // 길이 제한
+}
+
+// 라틴 문자/숫자 포함 여부 (nameToKey 결과가 비지 않는 조건)
+function hasLatin(text) {
+  return /[a-z0-9]/i.test(text);
+}
+
+/**
+ * 노드 이름 → snake_case 키
+ */
+export function nameToKey(name) {
+  return slugify(name, /[^a-z0-9\s]/g) || 'unknown';
 }
 
 /**
  * 텍스트 내용 → snake_case 키 (첫 줄만, 길이 제한)
+ * - 라틴 문자가 없는 텍스트(한국어 원문 등)는 내용 해시로 생성 → 같은 텍스트는 항상 같은 키
  */
 export function textToKey(text) {
   const firstLine = text.split('\n')[0].trim().substring(0, 50);
-  return nameToKey(firstLine) || 'text';
+  if (hasLatin(firstLine)) return nameToKey(firstLine);
+  return `text_${createHash('sha1').update(firstLine, 'utf-8').digest('hex').substring(0, 8)}`;
+}
+
+/**
+ * 프레임 이름 → 경로 세그먼트
+ * - 라틴 문자가 없는 이름("홈 화면")은 한글 등 유니코드 문자/숫자를 그대로 사용 → 한국어 디자인도 화면 prefix 유지
+ * - 문자가 하나도 없는 이름(기호, 이모지만)은 빈 문자열 → prefix에서 제외
+ */
+function frameToKey(name) {
+  return hasLatin(name) ? nameToKey(name) : slugify(name, /[^\p{L}\p{N}\s]/gu);
 }
 
 /**
@@ -36,8 +57,8 @@ export function textToKey(text) {
 export function pathToPrefix(path) {
   return path
     .slice(-MAX_PATH_DEPTH)
-    .map(nameToKey)
-    .filter(k => k !== 'unknown' && k.length > 0)
+    .map(frameToKey)
+    .filter(k => k.length > 0)
     .join('.');
 }
 
@@ -46,27 +67,55 @@ export function pathToPrefix(path) {
  * 중복 키는 _2, _3으로 처리
  */
 export function buildFlatMap(textNodes) {
-  const usedKeys = new Map();
+  return buildKeyMap(textNodes).flatMap;
+}
+
+/**
+ * 텍스트 노드 배열 → 평면 맵 + 키별 Figma nodeId
+ * - nodeIds는 Figma 프레임 이름 변경 시 이동(rename) 감지에 사용
+ * - registry { nodeId: key }가 주어지면 등록된 노드는 기존 키를 그대로 사용
+ *   (텍스트 오타 수정, 프레임 이름 변경에도 키 유지) — 새 노드만 키 생성
+ * @returns { flatMap: { key: text }, nodeIds: { key: nodeId } }
+ */
+export function buildKeyMap(textNodes, registry = null) {
+  const usedKeys = new Set();
+  const assigned = new Map(); // 노드 index → 레지스트리 키
+
+  // 1차: 레지스트리에 등록된 노드의 키 선점
+  if (registry) {
+    textNodes.forEach(({ nodeId }, i) => {
+      const key = nodeId && registry[nodeId];
+      if (key && !usedKeys.has(key)) {
+        usedKeys.add(key);
+        assigned.set(i, key);
+      }
+    });
+  }
+
   const flatMap = {};
+  const nodeIds = {};
+
+  textNodes.forEach(({ text, path, nodeId }, i) => {
+    let key = assigned.get(i);
 
-  for (const { text, path } of textNodes) {
-    const prefix = pathToPrefix(path);
-    const leaf = textToKey(text);
-    let key = prefix ? `${prefix}.${leaf}` : leaf;
-
-    // 중복 처리
-    if (usedKeys.has(key)) {
-      const count = usedKeys.get(key) + 1;
-      usedKeys.set(key, count);
-      key = `${key}_${count}`;
-    } else {
-      usedKeys.set(key, 1);
+    if (!key) {
+      const prefix = pathToPrefix(path);
+      const leaf = textToKey(text);
+      const base = prefix ? `${prefix}.${leaf}` : leaf;
+
+      // 중복 처리
+      key = base;
+      for (let count = 2; usedKeys.has(key); count++) {
+        key = `${base}_${count}`;
+      }
+      usedKeys.add(key);
     }
 
     flatMap[key] = text;
-  }
+    if (nodeId) nodeIds[key] = nodeId;
+  });
 
-  return flatMap;
+  return { flatMap, nodeIds };
 }
 
 /**
@@ -0,0 +1,208 @@
+/**
+ * 언어 레지스트리 — 지원 언어 목록은 여기 한 곳에서만 관리
+ * - name: 프롬프트/로그용 이름 (영어 + 자국어 표기)
+ * - label: 리뷰 UI(server/export) 열 제목
+ * - script: 문자 체계 (SCRIPT_PATTERNS의 키) — 원문 텍스트 판별, 전각 여부
+ * - dir: 텍스트 방향 (ltr | rtl) — 리뷰 UI에서 dir 속성으로 사용
+ * - fallback: 지역 변형의 상위 언어 (zh-TW → zh) — 스타일 프로필 등을 상속
+ * - platforms / searchContext: 용어 조사(research)용 참고 서비스, 검색 키워드
+ *
+ * 새 언어 추가: 아래 LANGUAGES에 항목 하나만 추가하면 CLI 검증, 프롬프트, 리뷰 UI, 용어 조사에 모두 반영
+ */
+
+// 문자 체계별 정규식 (해당 문자가 하나라도 있으면 그 문자 체계의 텍스트)
+const SCRIPT_PATTERNS = {
+  Latin: /\p{Script=Latin}/u,
+  Hangul: /[가-힣]/,
+  Han: /\p{Script=Han}/u,
+  Japanese: /[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Han}]/u,
+  Cyrillic: /\p{Script=Cyrillic}/u,
+  Devanagari: /\p{Script=Devanagari}/u,
+  Arabic: /\p{Script=Arabic}/u,
+};
+
+// 전각(2단위) 문자를 쓰는 문자 체계 — 배치 크기, 길이 예산 계산에 사용
+const WIDE_SCRIPTS = new Set(['Hangul', 'Han', 'Japanese']);
+
+const LANGUAGES = {
+  en: {
+    name: 'English',
+    label: 'English',
+    script: 'Latin',
+    platforms: 'Binance, Coinbase Advanced, Kraken Pro, Bybit, OKX, FTMO, Topstep',
+    searchContext: 'crypto trading platform UI terminology futures prop trading',
+  },
+  ko: {
+    name: 'Korean (한국어)',
+    label: '한국어',
+    script: 'Hangul',
+    platforms: 'Upbit(업비트), Bithumb(빗썸), Bitget Korea, 키움증권 해외선물, 하이투자증권, MEXC 한국어, 바이낸스 한국어',
+    searchContext: '한국어 암호화폐 트레이딩 플랫폼 UI 용어 프롭트레이딩',
+  },
+  zh: {
+    name: 'Chinese Simplified (简体中文)',
+    label: '중국어',
+    script: 'Han',
+    platforms: 'OKX(欧易), 火币(HTX), 币安(Binance), Bybit中文, Gate.io, 币圈/加密货币社区',
+    searchContext: '加密货币交易平台界面用语 期货交易术语 自营交易',
+  },
+  'zh-TW': {
+    name: 'Chinese Traditional, Taiwan (繁體中文)',
+    label: '중국어 (번체)',
+    script: 'Han',
+    fallback: 'zh',
+    platforms: 'MAX 交易所, BitoPro(幣託), 幣安繁體中文, OKX 繁體中文, Bybit 繁體中文, Pionex 派網',
+    searchContext: '加密貨幣交易平台 介面用語 期貨交易 術語 繁體中文 台灣',
+  },
+  ja: {
+    name: 'Japanese (日本語)',
+    label: '일본어',
+    script: 'Japanese',
+    platforms: 'bitFlyer, GMO Coin, Coincheck, SBI VC Trade, DMM Bitcoin, バイナンスジャパン',
+    searchContext: '仮想通貨取引プラットフォーム UI用語 先物取引 プロップトレーディング',
+  },
+  id: {
+    name: 'Indonesian (Bahasa Indonesia)',
+    label: 'Indonesia',
+    script: 'Latin',
+    platforms: 'Indodax, Tokocrypto, Pintu, Rekeningku, Binance Indonesia, Bybit Indonesia',
+    searchContext: 'platform trading kripto Bahasa Indonesia terminologi UI prop trading',
+  },
+  hi: {
+    name: 'Hindi (हिन्दी)',
+    label: 'Hindi',
+    script: 'Devanagari',
+    platforms: 'WazirX, CoinDCX, ZebPay, CoinSwitch, Binance India, Bybit Hindi',
+    searchContext: 'क्रिप्टो ट्रेडिंग प्लेटफॉर्म UI हिंदी शब्दावली',
+  },
+  tr: {
+    name: 'Turkish (Türkçe)',
+    label: 'Türkçe',
+    script: 'Latin',
+    platforms: 'Binance Türkçe, Paribu, BtcTurk, Bitexen, ICRYPEX, Bybit Türkçe',
+    searchContext: 'kripto para işlem platformu Türkçe UI terminoloji prop trading',
+  },
+  vi: {
+    name: 'Vietnamese (Tiếng Việt)',
+    label: 'Tiếng Việt',
+    script: 'Latin',
+    platforms: 'Remitano, VNDC, Binance Vietnamese, Bybit Vietnam, Gate.io Vietnamese',
+    searchContext: 'nền tảng giao dịch tiền điện tử UI tiếng Việt thuật ngữ',
+  },
+  pt: {
+    name: 'Portuguese Brazilian (Português do Brasil)',
+    label: 'Português',
+    script: 'Latin',
+    platforms: 'Mercado Bitcoin, Foxbit, NovaDAX, Binance Brasil, Bybit Português',
+    searchContext: 'plataforma de trading criptomoedas UI português brasileiro terminologia',
+  },
+  'pt-PT': {
+    name: 'Portuguese European (Português europeu)',
+    label: 'Português (PT)',
+    script: 'Latin',
+    fallback: 'pt',
+    platforms: 'Binance Portugal, Criptoloja, Bit2Me, Bybit Português, Kraken Português',
+    searchContext: 'plataforma de negociação criptomoedas UI português europeu terminologia',
+  },
+  ru: {
+    name: 'Russian (Русский)',
+    label: 'Русский',
+    script: 'Cyrillic',
+    platforms: 'Binance Русский, Bybit Русский, Garantex, CommEX, OKX Русский',
+    searchContext: 'криптовалютная торговая платформа UI терминология пропрайетарный трейдинг',
+  },
+  de: {
+    name: 'German (Deutsch)',
+    label: 'Deutsch',
+    script: 'Latin',
+    platforms: 'Binance Deutschland, Bitpanda, Bison, Bybit Deutsch, Kraken Deutsch',
+    searchContext: 'Krypto-Handelsplattform UI Terminologie Deutsch Eigenhandel',
+  },
+  es: {
+    name: 'Spanish (Español)',
+    label: 'Español',
+    script: 'Latin',
+    platforms: 'Binance Español, Bitso, Ripio, Buda.com, Bybit Español, Kraken Español',
+    searchContext: 'plataforma trading criptomonedas UI terminología español prop trading',
+  },
+  'es-MX': {
+    name: 'Spanish Mexican (Español de México)',
+    label: 'Español (MX)',
+    script: 'Latin',
+    fallback: 'es',
+    platforms: 'Bitso, Binance México, Volabit, Bybit Español, Kraken México',
+    searchContext: 'plataforma trading criptomonedas UI terminología español México',
+  },
+  fr: {
+    name: 'French (Français)',
+    label: 'Français',
+    script: 'Latin',
+    platforms: 'Binance Français, Coinhouse, Paymium, Bybit Français, Kraken Français',
+    searchContext: 'plateforme trading cryptomonnaies UI terminologie français prop trading',
+  },
+  ar: {
+    name: 'Arabic (العربية)',
+    label: 'العربية',
+    script: 'Arabic',
+    dir: 'rtl',
+    platforms: 'Binance العربية, Rain, BitOasis, Bybit العربية, OKX العربية',
+    searchContext: 'منصة تداول العملات الرقمية مصطلحات واجهة المستخدم العقود الآجلة',
+  },
+};
+
+// 지원 언어 코드 (등록 순서)
+export const LANGUAGE_CODES = Object.keys(LANGUAGES);
+
+export function isSupportedLang(code) {
+  return Object.hasOwn(LANGUAGES, code);
+}
+
+/**
+ * 언어 정보 (없으면 null)
+ * @returns { code, name, label, script, dir, fallback, platforms, searchContext }
+ */
+export function getLanguage(code) {
+  if (!isSupportedLang(code)) return null;
+  const { dir = 'ltr', fallback = null, ...rest } = LANGUAGES[code];
+  return { code, ...rest, dir, fallback };
+}
+
+export function langName(code) {
+  return LANGUAGES[code]?.name || code;
+}
+
+export function langLabel(code) {
+  return LANGUAGES[code]?.label || code.toUpperCase();
+}
+
+export function langDir(code) {
+  return LANGUAGES[code]?.dir || 'ltr';
+}
+
+/**
+ * 폴백 체인 — 자기 자신부터 상위 언어 순서
+ *   예: fallbackChain('zh-TW') → ['zh-TW', 'zh']
+ */
+export function fallbackChain(code) {
+  const chain = [code];
+  let current = LANGUAGES[code]?.fallback;
+  while (current && !chain.includes(current)) {
+    chain.push(current);
+    current = LANGUAGES[current]?.fallback;
+  }
+  return chain;
+}
+
+/**
+ * 언어의 문자 체계 정규식 (목록에 없는 언어는 라틴 문자 기준)
+ */
+export function scriptPattern(code) {
+  return SCRIPT_PATTERNS[LANGUAGES[code]?.script] || SCRIPT_PATTERNS.Latin;
+}
+
+/**
+ * 전각 문자를 쓰는 언어 여부 (한국어/중국어/일본어)
+ */
+export function isWideScript(code) {
+  return WIDE_SCRIPTS.has(LANGUAGES[code]?.script);
+}
@@ -0,0 +1,112 @@
+/**
+ * 키별 길이 예산 (Figma 텍스트 박스 크기 기반)
+ * - 추출 시 TEXT 노드의 너비/높이/글꼴 크기로 "표시 폭" 예산 계산
+ * - 표시 폭 단위: 라틴 문자 1, 한글/한자/가나 등 전각 문자 2 (≈ 글꼴 크기의 0.5em / 1em)
+ * - 번역 프롬프트에 최대 글자 수로 전달, 번역 후 초과 키는 QA 플래그로 기록
+ * - 저장 위치: .cache/length-budgets.json  { "key": { width, fontSize, lines, maxUnits } }
+ */
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { PROJECT_DIR } from './config.js';
+
+const CACHE_DIR = path.join(PROJECT_DIR, '.cache');
+const BUDGET_FILE = path.join(CACHE_DIR, 'length-budgets.json');
+
+const LATIN_CHAR_EM = 0.5; // 라틴 문자 평균 폭 (글꼴 크기 대비)
+
+// 전각(2단위) 문자: 한글, CJK 한자, 가나, 전각 기호
+const WIDE_CHAR_RE = /[ᄀ-ᅟ⺀-꓏가-힣豈-﫿︰-﹏＀-｠￠-￦]/;
+
+/**
+ * 텍스트 표시 폭 (라틴 1, 전각 2 단위)
+ */
+export function displayWidth(text) {
+  let units = 0;
+  for (const ch of text) {
+    if (ch === '\n') continue;
+    units += WIDE_CHAR_RE.test(ch) ? 2 : 1;
+  }
+  return units;
+}
+
+/**
+ * Figma 노드 크기/스타일 → 길이 예산
+ * - 원문이 디자인상 들어가 있으므로 예산은 최소한 원문 표시 폭 이상
+ * - 자동 너비(WIDTH_AND_HEIGHT) 텍스트: 박스 대신 상위 컨테이너 폭 기준, 컨테이너를 모르면 예산 없음
+ * @returns { width, fontSize, lines, maxUnits } 또는 null (크기 정보 없음)
+ */
+export function computeBudget(metrics, sourceText) {
+  if (!metrics?.width || !metrics?.fontSize) return null;
+  if (metrics.autoResize === 'WIDTH_AND_HEIGHT' && !metrics.containerWidth) return null;
+
+  const { height, fontSize, lineHeight, letterSpacing = 0 } = metrics;
+  const width = metrics.autoResize === 'WIDTH_AND_HEIGHT' ? metrics.containerWidth : metrics.width;
+  const unitWidth = fontSize * LATIN_CHAR_EM + letterSpacing;
+  const unitsPerLine = Math.max(1, Math.floor(width / unitWidth));
+  const lines = height && lineHeight ? Math.max(1, Math.round(height / lineHeight)) : 1;
+
+  return {
+    width: Math.round(width),
+    fontSize,
+    lines,
+    maxUnits: Math.max(unitsPerLine * lines, displayWidth(sourceText)),
+  };
+}
+
+/**
+ * 추출 결과 → 키별 예산 맵
+ * @param textNodes extractTextNodes 결과 (metrics 포함)
+ * @param nodeIds   buildKeyMap 결과 { key: nodeId }
+ */
+export function buildBudgets(textNodes, nodeIds, flatMap) {
+  const metricsByNode = new Map(textNodes.map(n => [n.nodeId, n.metrics]));
+  const budgets = {};
+  for (const [key, nodeId] of Object.entries(nodeIds)) {
+    const budget = computeBudget(metricsByNode.get(nodeId), flatMap[key]);
+    if (budget) budgets[key] = budget;
+  }
+  return budgets;
+}
+
+/**
+ * 예산(표시 폭) → 번역 언어의 최대 글자 수
+ * @param wideScript 한국어/중국어/일본어처럼 전각 문자를 쓰는 언어 여부
+ */
+export function maxCharsFor(budget, wideScript) {
+  return wideScript ? Math.floor(budget.maxUnits / 2) : budget.maxUnits;
+}
+
+/**
+ * 번역 결과의 길이 예산 초과 검사
+ * @returns { key: [{ type: 'length', message, hint }] } — 초과한 키만 포함
+ */
+export function checkLengthBudgets(translatedMap, budgets, wideScript) {
+  const result = {};
+  for (const [key, text] of Object.entries(translatedMap)) {
+    const budget = budgets[key];
+    if (!budget || typeof text !== 'string') continue;
+    const used = displayWidth(text);
+    if (used <= budget.maxUnits) continue;
+    result[key] = [{
+      type: 'length',
+      message: `길이 초과: 표시 폭 ${used} / 최대 ${budget.maxUnits} (박스 ${budget.width}px, ${budget.fontSize}px 글꼴)`,
+      hint: `Too long for its UI text box — shorten to at most ${maxCharsFor(budget, wideScript)} characters`,
+    }];
+  }
+  return result;
+}
+
+export async function loadBudgets() {
+  if (!existsSync(BUDGET_FILE)) return {};
+  try {
+    return JSON.parse(await readFile(BUDGET_FILE, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+export async function saveBudgets(budgets) {
+  if (!existsSync(CACHE_DIR)) await mkdir(CACHE_DIR, { recursive: true });
+  await writeFile(BUDGET_FILE, JSON.stringify(budgets, null, 2), 'utf-8');
+}
@@ -1,13 +1,12 @@
 /**
  * locales 디렉토리 파일 읽기/쓰기
  */
-import { readFile, writeFile, mkdir } from 'fs/promises';
+import { readFile, writeFile, mkdir, readdir } from 'fs/promises';
 import { existsSync } from 'fs';
 import path from 'path';
 import { PROJECT_DIR } from './config.js';
 
 const LOCALES_DIR = path.join(PROJECT_DIR, 'locales');
-const SUPPORTED_LANGS = ['en', 'ko', 'zh', 'ja'];
 
 export async function ensureLocalesDir() {
   if (!existsSync(LOCALES_DIR)) {
@@ -19,6 +18,18 @@ export function localePath(lang) {
   return path.join(LOCALES_DIR, `${lang}.json`);
 }
 
+/**
+ * locales/ 디렉토리에 존재하는 모든 언어 코드 (en 포함)
+ */
+export async function listLocaleLangs() {
+  if (!existsSync(LOCALES_DIR)) return [];
+  const files = await readdir(LOCALES_DIR);
+  return files
+    .filter(f => f.endsWith('.json') && !f.startsWith('.'))
+    .map(f => f.replace('.json', ''))
+    .sort();
+}
+
 export async function readLocale(lang) {
   const file = localePath(lang);
   if (!existsSync(file)) return {};
@@ -35,6 +46,18 @@ export async function writeLocale(lang, data) {
   await writeFile(localePath(lang), JSON.stringify(data, null, 2) + '\n', 'utf-8');
 }
 
+/**
+ * 지역 변형의 전체 파일 (상위 언어 번역 + 재정의, variants.js) — 앱에서 그대로 쓰는 용도
+ */
+export function mergedLocalePath(lang) {
+  return path.join(LOCALES_DIR, 'merged', `${lang}.json`);
+}
+
+export async function writeMergedLocale(lang, data) {
+  await mkdir(path.dirname(mergedLocalePath(lang)), { recursive: true });
+  await writeFile(mergedLocalePath(lang), JSON.stringify(data, null, 2) + '\n', 'utf-8');
+}
+
 /**
  * 중첩 JSON에서 특정 키 삭제
  * "a.b.c" → nested 객체에서 a.b.c 제거
@@ -65,4 +88,32 @@ export function setNestedKey(obj, dotKey, value) {
   current[keys[keys.length - 1]] = value;
 }
 
-export { SUPPORTED_LANGS };
+/**
+ * 중첩 JSON에서 특정 키 값 조회 (없으면 undefined)
+ */
+export function getNestedKey(obj, dotKey) {
+  let current = obj;
+  for (const k of dotKey.split('.')) {
+    if (!current || typeof current !== 'object') return undefined;
+    current = current[k];
+  }
+  return current;
+}
+
+/**
+ * 중첩 JSON에서 키 이동 (from 값이 없으면 무시)
+ * - from 값을 모두 읽고 → 모두 지운 뒤 → to 키에 씀 (연쇄·교환 이동도 값 유지)
+ * @returns 이동한 키 개수
+ */
+export function moveNestedKeys(obj, moves) {
+  const values = [];
+  for (const { from, to } of moves) {
+    const value = getNestedKey(obj, from);
+    if (typeof value === 'string') values.push([to, value]);
+  }
+  for (const { from } of moves) {
+    if (typeof getNestedKey(obj, from) === 'string') removeNestedKey(obj, from);
+  }
+  for (const [to, value] of values) setNestedKey(obj, to, value);
+  return values.length;
+}
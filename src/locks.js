@@ -0,0 +1,81 @@
+/**
+ * 검토 완료(잠금) 번역 관리
+ * - 리뷰어가 어드민에서 저장한 번역은 언어별·키별로 잠금 처리
+ * - 잠긴 키는 translate / sync / update가 덮어쓰지 않음 (--force로 무시 가능)
+ * - 저장 위치: locales/.locks.json  { "ko": { "hero.get_started": "2026-03-10T..." } }
+ */
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { PROJECT_DIR } from './config.js';
+
+const LOCALES_DIR = path.join(PROJECT_DIR, 'locales');
+const LOCKS_FILE = path.join(LOCALES_DIR, '.locks.json');
+
+export async function loadLocks() {
+  if (!existsSync(LOCKS_FILE)) return {};
+  try {
+    return JSON.parse(await readFile(LOCKS_FILE, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+export async function saveLocks(locks) {
+  if (!existsSync(LOCALES_DIR)) await mkdir(LOCALES_DIR, { recursive: true });
+  // 빈 언어 항목 정리
+  const cleaned = Object.fromEntries(
+    Object.entries(locks).filter(([, keys]) => Object.keys(keys).length > 0)
+  );
+  await writeFile(LOCKS_FILE, JSON.stringify(cleaned, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * 키 잠금 (이미 잠긴 키는 잠금 시각만 갱신)
+ */
+export async function lockKeys(lang, keys) {
+  const locks = await loadLocks();
+  const now = new Date().toISOString();
+  locks[lang] = locks[lang] || {};
+  for (const key of keys) locks[lang][key] = now;
+  await saveLocks(locks);
+}
+
+/**
+ * 키 잠금 해제
+ * @returns 실제로 해제된 키 수
+ */
+export async function unlockKeys(lang, keys) {
+  const locks = await loadLocks();
+  if (!locks[lang]) return 0;
+  let count = 0;
+  for (const key of keys) {
+    if (key in locks[lang]) {
+      delete locks[lang][key];
+      count++;
+    }
+  }
+  if (count > 0) await saveLocks(locks);
+  return count;
+}
+
+/**
+ * 번역 대상 평면 맵을 잠긴 키 / 번역할 키로 분리
+ * - 잠겨 있고 기존 번역 값이 있는 키만 유지 (값이 없으면 잠금이 있어도 번역)
+ * - force: 잠금 무시, 전부 번역 대상
+ * @returns { toTranslate: { key: en }, kept: { key: 기존 번역 } }
+ */
+export function partitionLocked(flatMap, langLocks = {}, existingFlat = {}, force = false) {
+  const toTranslate = {};
+  const kept = {};
+
+  for (const [key, value] of Object.entries(flatMap)) {
+    if (!force && key in langLocks && existingFlat[key]) {
+      kept[key] = existingFlat[key];
+    } else {
+      toTranslate[key] = value;
+    }
+  }
+
+  return { toTranslate, kept };
+}
@@ -0,0 +1,125 @@
+/**
+ * 실행 계획 (--dry-run)
+ * - 명령이 실제로 할 일(키 변경, 잠긴 번역 영향, 언어별 배치 수, 예상 비용, 쓸 파일)을 모아서 출력
+ * - 파일은 하나도 쓰지 않음 — 각 명령이 쓰기 직전에 계획에 기록하고 멈춤
+ * - --json: 계획을 JSON으로 stdout에 출력 (진행 메시지는 stderr)
+ */
+
+const PREVIEW_LIMIT = 10; // 사람용 출력에서 목록당 보여줄 최대 항목 수
+
+// 잠긴 번역에 미치는 영향
+const LOCK_ACTIONS = {
+  kept: '유지 (잠금)',
+  overwrite: '덮어씀 (--force)',
+  remove: '삭제',
+  move: '키 이동',
+  lock: '잠금 추가',
+  unlock: '잠금 해제',
+};
+
+export class DryRunPlan {
+  constructor(command) {
+    this.command = command;
+    this.diff = null;       // { added: [], changed: [], removed: [], moved: [{ from, to }] }
+    this.locks = {};        // { lang: [{ key, action }] }
+    this.languages = {};    // { lang: { keys, batches, inputTokens, outputTokens, cost } }
+    this.writes = new Set(); // 실행 시 쓰일 파일
+    this.notes = [];
+  }
+
+  setDiff({ added = {}, changed = {}, removed = [], moved = [] }) {
+    this.diff = {
+      added: Object.keys(added),
+      changed: Object.keys(changed),
+      removed: [...removed],
+      moved: moved.map(({ from, to }) => ({ from, to })),
+    };
+  }
+
+  addLock(lang, key, action) {
+    if (!LOCK_ACTIONS[action]) throw new Error(`알 수 없는 잠금 영향: ${action}`);
+    (this.locks[lang] = this.locks[lang] || []).push({ key, action });
+  }
+
+  setLanguages(estimates) {
+    Object.assign(this.languages, estimates);
+  }
+
+  addWrite(...files) {
+    for (const file of files) this.writes.add(file);
+  }
+
+  addNote(message) {
+    this.notes.push(message);
+  }
+
+  get totalCost() {
+    return Object.values(this.languages).reduce((sum, l) => sum + l.cost, 0);
+  }
+
+  toJSON() {
+    return {
+      command: this.command,
+      dryRun: true,
+      diff: this.diff,
+      locks: this.locks,
+      languages: Object.fromEntries(
+        Object.entries(this.languages).map(([lang, l]) => [lang, { ...l, cost: Number(l.cost.toFixed(6)) }])
+      ),
+      estimatedCost: Number(this.totalCost.toFixed(6)),
+      writes: [...this.writes],
+      notes: this.notes,
+    };
+  }
+
+  print({ json = false } = {}) {
+    if (json) {
+      process.stdout.write(`${JSON.stringify(this.toJSON(), null, 2)}\n`);
+      return;
+    }
+
+    console.log(`\n🧪 실행 계획 (${this.command} --dry-run) — 파일은 변경되지 않았습니다`);
+
+    if (this.diff) {
+      const { added, changed, removed, moved } = this.diff;
+      console.log('\n📊 키 변경:');
+      printList('+ 추가', added);
+      printList('~ 수정', changed);
+      printList('- 삭제', removed);
+      printList('↪ 이동', moved.map(({ from, to }) => `${from} → ${to}`));
+    }
+
+    const lockLangs = Object.keys(this.locks);
+    if (lockLangs.length > 0) {
+      console.log('\n🔒 잠긴 번역 영향:');
+      for (const lang of lockLangs) {
+        const byAction = {};
+        for (const { key, action } of this.locks[lang]) (byAction[action] = byAction[action] || []).push(key);
+        for (const [action, keys] of Object.entries(byAction)) printList(`[${lang}] ${LOCK_ACTIONS[action]}`, keys);
+      }
+    }
+
+    const langs = Object.entries(this.languages);
+    if (langs.length > 0) {
+      console.log('\n🌐 번역 계획 (토큰/비용은 대략치):');
+      for (const [lang, l] of langs) {
+        console.log(
+          `   [${lang}] ${l.keys}개 키 · 배치 ${l.batches}개 · 입력 ~${l.inputTokens.toLocaleString()} · 출력 ~${l.outputTokens.toLocaleString()} 토큰 · ~$${l.cost.toFixed(4)}`
+        );
+      }
+      console.log(`   합계: ~$${this.totalCost.toFixed(4)}`);
+    }
+
+    if (this.writes.size > 0) {
+      console.log('\n📝 실행 시 변경될 파일:');
+      for (const file of this.writes) console.log(`   ${file}`);
+    }
+    for (const note of this.notes) console.log(`\nℹ️  ${note}`);
+  }
+}
+
+function printList(label, items) {
+  console.log(`   ${label}: ${items.length}개`);
+  for (const item of items.slice(0, PREVIEW_LIMIT)) console.log(`      ${item}`);
+  if (items.length > PREVIEW_LIMIT) console.log(`      ... 외 ${items.length - PREVIEW_LIMIT}개`);
+}
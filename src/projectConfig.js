@@ -0,0 +1,105 @@
+/**
+ * 프로젝트 설정 파일 (PROJECT_DIR/translate.config.json)
+ * - 제품마다 다른 번역 규칙을 코드 수정 없이 지정
+ * - 파일이 없으면 기본값(Whalebase 브랜드/암호화폐 티커/금융 약어) 사용
+ *
+ * 형식 (translate.config.example.json 참고):
+ * {
+ *   "doNotTranslate": ["Whalebase", "BTC", "PnL"],          // 그대로 유지할 용어 (대소문자 구분, 단어 단위)
+ *   "patterns": ["\\b[A-Z]{2,5}/USDT?\\b", "v\\d+(?:\\.\\d+)+"], // 그대로 유지할 정규식 (티커 쌍, 버전 등)
+ *   "transliterations": { "ko": { "Whalebase": "웨일베이스" } }, // 언어별 예외: 유지 대신 지정 표기 사용
+ *   "styles": { "ko": { "formality": "hamnida" } },            // 언어별 어조/스타일 재정의 (styleProfiles.js)
+ *   "sourceLanguage": "ko",                                    // 원문(디자인) 언어 — 기본 en, 환경변수 SOURCE_LANG이 우선
+ *   "annotationPattern": "^(?:메모|TODO|NOTE)[:：]"              // 이 정규식에 걸리는 Figma 텍스트는 디자인 주석으로 제외
+ * }
+ * annotationPattern 기본값(null): 원문이 한국어가 아니면 한글 텍스트를 주석으로,
+ *   원문이 한국어면 "메모:", "TODO:", "[설명]", "//"처럼 표시가 붙은 텍스트를 주석으로 제외 (figma.js KOREAN_ANNOTATION_PATTERN)
+ * 지정하지 않은 항목은 기본값 유지 (doNotTranslate를 지정하면 기본 목록을 대체)
+ */
+import { readFileSync, existsSync } from 'fs';
+import path from 'path';
+import { PROJECT_DIR } from './config.js';
+
+export const CONFIG_FILE = path.join(PROJECT_DIR, 'translate.config.json');
+
+const DEFAULT_CONFIG = {
+  doNotTranslate: [
+    // 서비스 이름
+    'Whalebase',
+    // 암호화폐 티커
+    'BTC', 'ETH', 'SOL', 'USDT', 'USDC', 'BNB',
+    // 금융 약어
+    'PnL', 'P&L', 'ROI', 'APY', 'APR', 'AML', 'KYC',
+    // 차트 지표
+    'RSI', 'MACD', 'EMA', 'SMA', 'VWAP', 'ATR', 'OBV',
+    // 주문 유형 약어
+    'OCO', 'GTC', 'GTD', 'IOC', 'FOK',
+  ],
+  patterns: [],
+  transliterations: {},
+  styles: {},
+  sourceLanguage: 'en',
+  annotationPattern: null, // null이면 원문 언어별 기본 규칙 (figma.js — 한국어 원문은 KOREAN_ANNOTATION_PATTERN)
+};
+
+let cached = null;
+
+/**
+ * 설정 로드 (한 번만 읽고 캐시)
+ */
+export function loadProjectConfig() {
+  if (cached) return cached;
+
+  let fileConfig = {};
+  if (existsSync(CONFIG_FILE)) {
+    try {
+      fileConfig = JSON.parse(readFileSync(CONFIG_FILE, 'utf-8'));
+    } catch (err) {
+      throw new Error(`translate.config.json 형식 오류: ${err.message}\n   → ${CONFIG_FILE}`);
+    }
+  }
+
+  cached = { ...DEFAULT_CONFIG, ...fileConfig };
+  validateConfig(cached);
+  return cached;
+}
+
+function validateConfig(config) {
+  if (!Array.isArray(config.doNotTranslate) || config.doNotTranslate.some(t => typeof t !== 'string')) {
+    throw new Error('translate.config.json: doNotTranslate는 문자열 배열이어야 합니다.');
+  }
+  if (!Array.isArray(config.patterns)) {
+    throw new Error('translate.config.json: patterns는 정규식 문자열 배열이어야 합니다.');
+  }
+  for (const pattern of config.patterns) {
+    try {
+      new RegExp(pattern, 'u');
+    } catch (err) {
+      throw new Error(`translate.config.json: 잘못된 정규식 "${pattern}" — ${err.message}`);
+    }
+  }
+  if (typeof config.transliterations !== 'object' || Array.isArray(config.transliterations)) {
+    throw new Error('translate.config.json: transliterations는 { 언어: { 용어: 표기 } } 형식이어야 합니다.');
+  }
+  if (typeof config.styles !== 'object' || Array.isArray(config.styles)) {
+    throw new Error('translate.config.json: styles는 { 언어: { formality, punctuation, thousandsSeparator, bannedWords } } 형식이어야 합니다.');
+  }
+  if (typeof config.sourceLanguage !== 'string' || !config.sourceLanguage.trim()) {
+    throw new Error('translate.config.json: sourceLanguage는 언어 코드 문자열이어야 합니다. 예: "ko"');
+  }
+  if (config.annotationPattern !== null) {
+    try {
+      new RegExp(config.annotationPattern, 'u');
+    } catch (err) {
+      throw new Error(`translate.config.json: 잘못된 annotationPattern "${config.annotationPattern}" — ${err.message}`);
+    }
+  }
+}
+
+/**
+ * 원문 언어 코드 (환경변수 SOURCE_LANG > translate.config.json sourceLanguage > en)
+ * - locales/<원문>.json이 번역의 기준, 나머지 언어는 모두 번역 대상
+ */
+export function sourceLang() {
+  return (process.env.SOURCE_LANG || loadProjectConfig().sourceLanguage).trim();
+}
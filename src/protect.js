@@ -0,0 +1,144 @@
+/**
+ * 번역 금지 구간 마스킹
+ * - 프로젝트 설정의 doNotTranslate 용어 / patterns 정규식에 걸리는 구간을
+ *   모델에 보내기 전에 ⟦0⟧, ⟦1⟧ … 토큰으로 바꾸고, 응답을 받은 뒤 원래 텍스트로 복원
+ * - 언어별 transliterations 예외가 있으면 복원 시 지정 표기로 교체
+ * - 토큰이 빠지거나 중복·변형된 응답은 복원 불가 → 해당 키는 번역 누락으로 처리 (구조 검증/교정 단계에서 재시도)
+ */
+import { loadProjectConfig } from './projectConfig.js';
+import { stripPlaceholders } from './validator.js';
+
+const TOKEN_RE = /⟦(\d+)⟧/g;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 단어 경계: 앞뒤에 글자/숫자가 붙으면 다른 단어 (BTC ≠ BTCUSD)
+// 단, 한글/한자/가나는 조사·어미가 붙어 쓰이므로 경계로 인정 ("Whalebase에서", "주문을")
+const WORD_CHAR = '(?![\\p{Script=Hangul}\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}])[\\p{L}\\p{N}]';
+
+/**
+ * 용어 → 단어 단위 정규식 소스 ('u' 플래그 필요)
+ */
+export function termPatternSource(term) {
+  return `(?<!${WORD_CHAR})${escapeRegExp(term)}(?!${WORD_CHAR})`;
+}
+
+/**
+ * 언어별 보호 규칙 [{ regex, replacement(선택) }]
+ */
+export function compileProtectRules(targetLang, config = loadProjectConfig()) {
+  const transliterations = config.transliterations[targetLang] || {};
+  const rules = config.doNotTranslate
+    .filter(term => term.trim())
+    .map(term => ({
+      regex: new RegExp(termPatternSource(term.trim()), 'gu'),
+      term: term.trim(),
+    }));
+  for (const pattern of config.patterns) {
+    rules.push({ regex: new RegExp(pattern, 'gu'), term: null });
+  }
+  // 음역 예외 용어가 doNotTranslate에 없어도 보호 대상
+  for (const term of Object.keys(transliterations)) {
+    if (!rules.some(r => r.term === term)) {
+      rules.push({ regex: new RegExp(termPatternSource(term), 'gu'), term });
+    }
+  }
+  return { rules, transliterations };
+}
+
+/**
+ * 텍스트 마스킹
+ * - 겹치는 구간은 먼저 시작하는(같으면 더 긴) 구간 우선
+ * @returns { masked, spans: [복원할 텍스트] }
+ */
+export function maskText(text, { rules, transliterations }) {
+  const matches = [];
+  for (const { regex } of rules) {
+    regex.lastIndex = 0;
+    for (const m of text.matchAll(regex)) {
+      if (m[0].length > 0) matches.push({ start: m.index, end: m.index + m[0].length, text: m[0] });
+    }
+  }
+  matches.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+
+  let masked = '';
+  let cursor = 0;
+  const spans = [];
+  for (const match of matches) {
+    if (match.start < cursor) continue;
+    masked += text.slice(cursor, match.start) + `⟦${spans.length}⟧`;
+    spans.push(transliterations[match.text] ?? match.text);
+    cursor = match.end;
+  }
+  masked += text.slice(cursor);
+  return { masked, spans };
+}
+
+/**
+ * 토큰 복원 — 원문의 토큰이 각각 정확히 한 번씩 있어야 복원
+ * @returns 복원된 텍스트, 토큰이 빠졌거나 중복됐거나 원문에 없는 번호(⟦3⟧)가 있으면 null
+ */
+export function unmaskText(text, spans) {
+  const tokens = [...text.matchAll(TOKEN_RE)].map(m => Number(m[1]));
+  if (tokens.length !== spans.length) return null;
+  if (tokens.some(i => i >= spans.length) || new Set(tokens).size !== tokens.length) return null;
+  return text.replace(TOKEN_RE, (token, idx) => spans[Number(idx)]);
+}
+
+/**
+ * 마스킹된 텍스트에 번역할 글자가 남아 있는지
+ * - 토큰(⟦0⟧)·자리표시자·태그뿐인 값("⟦0⟧", "{count} ⟦1⟧")은 번역해도 그대로여야 하므로 false
+ */
+export function hasTranslatableText(masked) {
+  return /\p{L}/u.test(stripPlaceholders(masked.replace(TOKEN_RE, ' ')));
+}
+
+/**
+ * 원문 토큰 번호에 맞춰 다른 텍스트(상위 언어 번역 등) 마스킹
+ * - 원문과 같은 보호 구간(복원 텍스트가 같음)은 원문과 같은 토큰 번호 → 응답을 원문 spans로 복원
+ * - 원문에 없는 보호 구간은 그대로 둠
+ */
+export function maskTextLike(text, spans, protect) {
+  const { masked, spans: own } = maskText(text, protect);
+  const used = new Set();
+  return masked.replace(TOKEN_RE, (token, idx) => {
+    const value = own[Number(idx)];
+    const i = spans.findIndex((span, j) => span === value && !used.has(j));
+    if (i === -1) return value;
+    used.add(i);
+    return `⟦${i}⟧`;
+  });
+}
+
+/**
+ * 배치 마스킹
+ * @returns { masked: { key: 마스킹된 원문 }, spans: { key: [복원 텍스트] } }
+ */
+export function maskBatch(batch, protect) {
+  const masked = {};
+  const spans = {};
+  for (const [key, text] of Object.entries(batch)) {
+    const result = maskText(text, protect);
+    masked[key] = result.masked;
+    if (result.spans.length > 0) spans[key] = result.spans;
+  }
+  return { masked, spans };
+}
+
+/**
+ * 배치 복원 (토큰이 맞지 않는 키는 결과에서 제외)
+ * @returns { restored: { key: 번역 }, broken: [토큰 누락/중복/오류 키] }
+ */
+export function unmaskBatch(translated, spans) {
+  const restored = {};
+  const broken = [];
+  for (const [key, text] of Object.entries(translated)) {
+    if (typeof text !== 'string') continue;
+    const value = unmaskText(text, spans[key] || []);
+    if (value === null) broken.push(key);
+    else restored[key] = value;
+  }
+  return { restored, broken };
+}
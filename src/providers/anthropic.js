@@ -0,0 +1,159 @@
+/**
+ * Anthropic(Claude) 번역 프로바이더
+ * - 번역: Sonnet (Haiku보다 품질이 훨씬 높음, 실제 플랫폼 표현 이해도 우수)
+ * - 신뢰도 점수 / 역번역 QA: Haiku로 충분
+ */
+import Anthropic from '@anthropic-ai/sdk';
+
+const DEFAULT_TRANSLATE_MODEL  = 'claude-sonnet-4-6';
+const DEFAULT_CONFIDENCE_MODEL = 'claude-haiku-4-5-20251001';
+
+export class AnthropicProvider {
+  constructor({ apiKey, translateModel, confidenceModel } = {}) {
+    this.name = 'anthropic';
+    // 재시도는 Scheduler가 담당 (retry-after/백오프를 전체 요청에 공통 적용)
+    this.client = new Anthropic({ apiKey, maxRetries: 0 });
+    this.translateModel = translateModel || DEFAULT_TRANSLATE_MODEL;
+    this.confidenceModel = confidenceModel || DEFAULT_CONFIDENCE_MODEL;
+  }
+
+  /**
+   * 번역 배치 요청
+   * - system(언어별 고정 규칙/용어집)은 cache_control로 캐시 → 같은 언어의 다음 배치는 캐시 읽기
+   * @returns { text, usage: { input_tokens, output_tokens, cache_creation_input_tokens, cache_read_input_tokens }, model }
+   */
+  async translateBatch({ system, prompt, maxTokens = 8192 }) {
+    return this._complete(this.translateModel, prompt, maxTokens, system);
+  }
+
+  /**
+   * 번역 후보 배치 요청 (키마다 여러 대안 + 근거) — 번역과 같은 모델, 같은 system 캐시 사용
+   */
+  async candidateBatch({ system, prompt, maxTokens = 8192 }) {
+    return this._complete(this.translateModel, prompt, maxTokens, system);
+  }
+
+  /**
+   * 신뢰도 점수 배치 요청
+   */
+  async scoreBatch({ prompt, maxTokens = 2048 }) {
+    return this._complete(this.confidenceModel, prompt, maxTokens);
+  }
+
+  /**
+   * 역번역 배치 요청 (번역 모델과 다른 모델로 검증 — 같은 실수를 반복하지 않도록)
+   */
+  async backTranslateBatch({ prompt, maxTokens = 4096 }) {
+    return this._complete(this.confidenceModel, prompt, maxTokens);
+  }
+
+  /**
+   * 의미 판정 배치 요청 (원문 ↔ 역번역이 같은 뜻인지 점수 + 근거)
+   */
+  async judgeBatch({ prompt, maxTokens = 2048 }) {
+    return this._complete(this.confidenceModel, prompt, maxTokens);
+  }
+
+  async _complete(model, prompt, maxTokens, system = null) {
+    let message;
+    try {
+      message = await this.client.messages.create({
+        model,
+        max_tokens: maxTokens,
+        ...(system && { system: [{ type: 'text', text: system, cache_control: { type: 'ephemeral' } }] }),
+        messages: [{ role: 'user', content: prompt }],
+      });
+    } catch (err) {
+      this._handleApiError(err);
+    }
+    const textBlock = message.content.find(b => b.type === 'text');
+    return { text: textBlock?.text ?? '', usage: message.usage, model };
+  }
+
+  // ──────────────────────────────────────────────
+  // Message Batches API (translate --batch-api)
+  // - 모든 언어의 번역 배치를 한 번에 제출, 결과는 나중에 수거 (요금 50% 할인, 최대 24시간)
+  // ──────────────────────────────────────────────
+
+  /**
+   * 번역 요청 일괄 제출
+   * @param requests [{ customId, system, prompt, maxTokens }]
+   * @returns { id }
+   */
+  async submitTranslateBatch(requests) {
+    let batch;
+    try {
+      batch = await this.client.messages.batches.create({
+        requests: requests.map(({ customId, system, prompt, maxTokens = 8192 }) => ({
+          custom_id: customId,
+          params: {
+            model: this.translateModel,
+            max_tokens: maxTokens,
+            ...(system && { system: [{ type: 'text', text: system, cache_control: { type: 'ephemeral' } }] }),
+            messages: [{ role: 'user', content: prompt }],
+          },
+        })),
+      });
+    } catch (err) {
+      this._handleApiError(err);
+    }
+    return { id: batch.id };
+  }
+
+  /**
+   * 처리 상태
+   * @returns { ended, counts: { processing, succeeded, errored, canceled, expired } }
+   */
+  async getBatchStatus(id) {
+    let batch;
+    try {
+      batch = await this.client.messages.batches.retrieve(id);
+    } catch (err) {
+      this._handleApiError(err);
+    }
+    return { ended: batch.processing_status === 'ended', counts: batch.request_counts };
+  }
+
+  /**
+   * 결과 (처리가 끝난 배치만)
+   * @returns [{ customId, text, usage, model } | { customId, error }]
+   */
+  async getBatchResults(id) {
+    const results = [];
+    try {
+      for await (const entry of await this.client.messages.batches.results(id)) {
+        const { result } = entry;
+        if (result.type === 'succeeded') {
+          const textBlock = result.message.content.find(b => b.type === 'text');
+          results.push({
+            customId: entry.custom_id,
+            text: textBlock?.text ?? '',
+            usage: result.message.usage,
+            model: result.message.model,
+          });
+        } else {
+          const detail = result.type === 'errored' ? `: ${result.error?.error?.message ?? result.error?.message ?? ''}` : '';
+          results.push({ customId: entry.custom_id, error: `${result.type}${detail}` });
+        }
+      }
+    } catch (err) {
+      this._handleApiError(err);
+    }
+    return results;
+  }
+
+  // ──────────────────────────────────────────────
+  // API 오류 처리
+  // ──────────────────────────────────────────────
+  _handleApiError(err) {
+    if (err.status === 401) {
+      throw new Error(
+        'Anthropic API 키가 유효하지 않습니다.\n' +
+        '   → .env 파일의 ANTHROPIC_API_KEY를 확인하세요.\n' +
+        '   → https://console.anthropic.com 에서 새 키를 발급받아 복사하세요.'
+      );
+    }
+    // 429/5xx는 status와 headers(retry-after)를 그대로 유지 → Scheduler가 재시도
+    throw err;
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * 번역 프로바이더 선택
+ *
+ * 모든 프로바이더는 같은 인터페이스를 구현:
+ *   translateBatch({ batch, targetLang, system, prompt, maxTokens }) → { text, usage, model }
+ *   scoreBatch({ pairs, targetLang, prompt, maxTokens })     → { text, usage, model }
+ *   backTranslateBatch({ batch, targetLang, prompt, maxTokens }) → { text, usage, model }  (역번역 QA)
+ *   candidateBatch({ batch, count, targetLang, system, prompt, maxTokens }) → { text, usage, model }  (번역 후보 N개)
+ *   judgeBatch({ items, targetLang, prompt, maxTokens })     → { text, usage, model }  (역번역 QA 의미 판정)
+ * text는 모델의 원문 응답 (JSON 파싱/복구는 Translator 담당)
+ * system은 언어별로 고정된 지시문 — 프롬프트 캐시 대상 (usage에 cache_creation/cache_read 토큰 포함)
+ *
+ * 선택 구현 (translate --batch-api — anthropic, mock만 지원):
+ *   submitTranslateBatch([{ customId, batch, targetLang, system, prompt, maxTokens }]) → { id }
+ *   getBatchStatus(id)  → { ended, counts }
+ *   getBatchResults(id) → [{ customId, text, usage, model } | { customId, error }]
+ *
+ * 환경변수 TRANSLATION_PROVIDER로 선택 (기본값: anthropic)
+ *   anthropic  Claude API (ANTHROPIC_API_KEY)
+ *   openai     OpenAI 호환 HTTP API (OPENAI_API_KEY, OPENAI_BASE_URL — 자체 서버 주소를 지정하면 키 생략 가능)
+ *   mock       오프라인 결정적 목 — API 키 불필요 (CI용)
+ * TRANSLATE_MODEL / CONFIDENCE_MODEL로 모델 이름 변경 가능
+ */
+import { AnthropicProvider } from './anthropic.js';
+import { OpenAICompatibleProvider } from './openai.js';
+import { MockProvider } from './mock.js';
+
+const PROVIDER_ENV = {
+  anthropic: () => ['ANTHROPIC_API_KEY'],
+  // 자체 호스팅 서버(vLLM, Ollama 등)는 키가 없음 — OPENAI_BASE_URL을 지정하면 키는 선택
+  openai: () => (process.env.OPENAI_BASE_URL ? [] : ['OPENAI_API_KEY']),
+  mock: () => [],
+};
+
+export function providerName() {
+  const name = (process.env.TRANSLATION_PROVIDER || 'anthropic').trim().toLowerCase();
+  if (!(name in PROVIDER_ENV)) {
+    throw new Error(
+      `지원하지 않는 번역 프로바이더: ${name}\n` +
+      `   → TRANSLATION_PROVIDER는 ${Object.keys(PROVIDER_ENV).join(', ')} 중 하나여야 합니다.`
+    );
+  }
+  return name;
+}
+
+/**
+ * 선택된 프로바이더에 필요한 환경변수 목록
+ */
+export function requiredProviderEnv() {
+  return PROVIDER_ENV[providerName()]();
+}
+
+export function createProvider(name = providerName()) {
+  const models = {
+    translateModel: process.env.TRANSLATE_MODEL || undefined,
+    confidenceModel: process.env.CONFIDENCE_MODEL || undefined,
+  };
+
+  switch (name) {
+    case 'anthropic':
+      return new AnthropicProvider({ apiKey: process.env.ANTHROPIC_API_KEY, ...models });
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        apiKey: process.env.OPENAI_API_KEY,
+        baseUrl: process.env.OPENAI_BASE_URL,
+        ...models,
+      });
+    case 'mock':
+      return new MockProvider();
+    default:
+      throw new Error(`지원하지 않는 번역 프로바이더: ${name}`);
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * 오프라인 목(mock) 번역 프로바이더
+ * - 네트워크/API 키 없이 translate, update를 끝까지 실행 (CI 테스트용)
+ * - 결정적 출력: 같은 입력이면 항상 같은 결과
+ *   번역 → "[ko] Get Started", 신뢰도 → 키 해시 기반 60~99점, 역번역 → 접두어 제거,
+ *   의미 판정 → 원문과 역번역이 같으면 100점, 다르면 60점
+ *   번역 후보 → "[ko/punchy] Get Started" (스타일별 N개)
+ */
+import { createHash } from 'crypto';
+
+const MOCK_STYLES = ['literal', 'punchy', 'formal', 'playful', 'concise'];
+
+export class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.translateModel = 'mock';
+    this.confidenceModel = 'mock';
+    this.cachedSystems = new Set();
+    this.batches = new Map(); // Message Batches 흉내 (같은 프로세스 안에서만 유지)
+  }
+
+  async translateBatch({ batch, targetLang, system }) {
+    const translated = Object.fromEntries(
+      Object.entries(batch).map(([key, text]) => [key, `[${targetLang}] ${text}`])
+    );
+    const result = this._result(batch, translated);
+    if (system) Object.assign(result.usage, this._cacheUsage(system));
+    return result;
+  }
+
+  async candidateBatch({ batch, count, targetLang, system }) {
+    const candidates = Object.fromEntries(
+      Object.entries(batch).map(([key, text]) => [key, MOCK_STYLES.slice(0, count).map(style => ({
+        text: `[${targetLang}/${style}] ${text}`,
+        style,
+        rationale: `mock ${style} candidate`,
+      }))])
+    );
+    const result = this._result(batch, candidates);
+    if (system) Object.assign(result.usage, this._cacheUsage(system));
+    return result;
+  }
+
+  // 프롬프트 캐시 흉내: 처음 보는 system은 캐시 생성, 이후 같은 system은 캐시 읽기
+  _cacheUsage(system) {
+    const tokens = Math.ceil(system.length / 4);
+    const id = hash(system);
+    if (this.cachedSystems.has(id)) return { cache_read_input_tokens: tokens, cache_creation_input_tokens: 0 };
+    this.cachedSystems.add(id);
+    return { cache_read_input_tokens: 0, cache_creation_input_tokens: tokens };
+  }
+
+  // Message Batches 흉내: 제출 즉시 처리 완료, 결과는 translateBatch와 동일
+  async submitTranslateBatch(requests) {
+    const id = `mockbatch_${hash(requests.map(r => r.customId).join(',')).substring(0, 12)}`;
+    this.batches.set(id, requests);
+    return { id };
+  }
+
+  async getBatchStatus(id) {
+    const requests = this.batches.get(id) || [];
+    return { ended: true, counts: { processing: 0, succeeded: requests.length, errored: 0, canceled: 0, expired: 0 } };
+  }
+
+  async getBatchResults(id) {
+    if (!this.batches.has(id)) throw new Error(`목 배치 ${id}를 찾을 수 없습니다. (목 배치는 같은 프로세스 안에서만 유지)`);
+    const results = [];
+    for (const { customId, batch, targetLang, system } of this.batches.get(id)) {
+      results.push({ customId, ...(await this.translateBatch({ batch, targetLang, system })) });
+    }
+    return results;
+  }
+
+  // 역번역: 목 번역의 "[ko] " 접두어를 떼어 원문 복원
+  async backTranslateBatch({ batch }) {
+    const back = Object.fromEntries(
+      Object.entries(batch).map(([key, text]) => [key, text.replace(/^\[[\w-]+\] /, '')])
+    );
+    return this._result(batch, back);
+  }
+
+  async judgeBatch({ items }) {
+    const normalize = text => text.trim().replace(/\s+/g, ' ').toLowerCase();
+    const judgements = Object.fromEntries(items.map(({ key, source, back }) => {
+      const same = normalize(source) === normalize(back);
+      return [key, { score: same ? 100 : 60, reason: same ? 'mock: identical' : 'mock: differs' }];
+    }));
+    return this._result(items, judgements);
+  }
+
+  async scoreBatch({ pairs }) {
+    const scores = Object.fromEntries(
+      pairs.map(({ key }) => [key, 60 + (parseInt(hash(key).substring(0, 4), 16) % 40)])
+    );
+    return this._result(pairs, scores);
+  }
+
+  // 토큰 사용량은 문자 수 기준 대략치 (4자 ≈ 1토큰)
+  _result(input, output) {
+    const text = JSON.stringify(output);
+    return {
+      text,
+      usage: {
+        input_tokens: Math.ceil(JSON.stringify(input).length / 4),
+        output_tokens: Math.ceil(text.length / 4),
+      },
+      model: 'mock',
+    };
+  }
+}
+
+function hash(text) {
+  return createHash('sha1').update(text, 'utf-8').digest('hex');
+}
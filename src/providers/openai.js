@@ -0,0 +1,97 @@
+/**
+ * OpenAI 호환 HTTP 번역 프로바이더
+ * - /chat/completions 엔드포인트를 제공하는 모든 서버 지원 (OpenAI, Azure 프록시, vLLM, Ollama 등)
+ * - OPENAI_BASE_URL로 서버 주소 지정, API 키(OPENAI_API_KEY)가 있을 때만 Authorization 헤더 전송
+ */
+import axios from 'axios';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_TRANSLATE_MODEL  = 'gpt-4o';
+const DEFAULT_CONFIDENCE_MODEL = 'gpt-4o-mini';
+const TIMEOUT_MS = 120000;
+
+export class OpenAICompatibleProvider {
+  constructor({ apiKey, baseUrl, translateModel, confidenceModel } = {}) {
+    this.name = 'openai';
+    this.apiKey = apiKey;
+    this.baseUrl = (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.translateModel = translateModel || DEFAULT_TRANSLATE_MODEL;
+    this.confidenceModel = confidenceModel || DEFAULT_CONFIDENCE_MODEL;
+  }
+
+  // system은 메시지 앞부분에 고정 → 서버의 자동 프롬프트 캐시(지원 시)에 걸림
+  async translateBatch({ system, prompt, maxTokens = 8192 }) {
+    return this._complete(this.translateModel, prompt, maxTokens, system);
+  }
+
+  async candidateBatch({ system, prompt, maxTokens = 8192 }) {
+    return this._complete(this.translateModel, prompt, maxTokens, system);
+  }
+
+  async scoreBatch({ prompt, maxTokens = 2048 }) {
+    return this._complete(this.confidenceModel, prompt, maxTokens);
+  }
+
+  async backTranslateBatch({ prompt, maxTokens = 4096 }) {
+    return this._complete(this.confidenceModel, prompt, maxTokens);
+  }
+
+  async judgeBatch({ prompt, maxTokens = 2048 }) {
+    return this._complete(this.confidenceModel, prompt, maxTokens);
+  }
+
+  async _complete(model, prompt, maxTokens, system = null) {
+    let response;
+    try {
+      response = await axios.post(
+        `${this.baseUrl}/chat/completions`,
+        {
+          model,
+          max_tokens: maxTokens,
+          messages: [
+            ...(system ? [{ role: 'system', content: system }] : []),
+            { role: 'user', content: prompt },
+          ],
+        },
+        {
+          headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+          timeout: TIMEOUT_MS,
+        }
+      );
+    } catch (err) {
+      this._handleApiError(err);
+    }
+
+    const { choices, usage } = response.data;
+    // prompt_tokens에는 캐시 적중분이 포함됨 → Anthropic과 같은 기준(캐시 제외 입력)으로 변환
+    const cached = usage?.prompt_tokens_details?.cached_tokens ?? 0;
+    return {
+      text: choices?.[0]?.message?.content ?? '',
+      usage: {
+        input_tokens: (usage?.prompt_tokens ?? 0) - cached,
+        output_tokens: usage?.completion_tokens ?? 0,
+        cache_read_input_tokens: cached,
+      },
+      model,
+    };
+  }
+
+  // ──────────────────────────────────────────────
+  // API 오류 처리 (axios 오류 → status/retry-after 포함 Error)
+  // ──────────────────────────────────────────────
+  _handleApiError(err) {
+    const status = err.response?.status;
+    if (status === 401) {
+      throw new Error(
+        'OpenAI 호환 API 키가 유효하지 않습니다.\n' +
+        '   → .env 파일의 OPENAI_API_KEY와 OPENAI_BASE_URL을 확인하세요.'
+      );
+    }
+    const detail = err.response?.data?.error?.message || err.message;
+    const wrapped = new Error(`OpenAI 호환 API 요청 실패${status ? ` (${status})` : ''}: ${detail}`);
+    // status와 retry-after 유지 → Scheduler가 429/5xx 재시도
+    wrapped.status = status;
+    wrapped.retryAfter = err.response?.headers?.['retry-after'];
+    throw wrapped;
+  }
+}
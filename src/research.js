@@ -1,7 +1,10 @@
 /**
  * 번역 품질 향상을 위한 실제 서비스 용어 조사
  * - Claude 웹 검색으로 실제 Prop Trading / Crypto 플랫폼에서 쓰는 표현 조사
- * - 결과를 .cache/glossary.json에 저장
+ * - 원문 언어(SOURCE_LANG / translate.config.json sourceLanguage, 기본 en) 용어 → 대상 언어 표현
+ * - 조사할 용어: npm run terms로 추출·검토한 후보(.cache/term-candidates.json)가 있으면 그 용어,
+ *   없으면 원문의 짧은 UI 텍스트 80개
+ * - 결과를 .cache/glossary.json에 저장 (잠긴 용어 — glossary lock — 는 조사하지 않고 그대로 유지)
  * - 이후 번역 시 참고 용어집으로 활용
  *
  * 실행: npm run research
@@ -13,80 +16,33 @@ import path from 'path';
 import { PROJECT_DIR } from './config.js';
 import { nestedToFlat } from './keyGen.js';
 import { readLocale } from './locales.js';
+import { UsageLedger, BudgetExceededError, parseMaxCost } from './usage.js';
+import { sourceLang } from './projectConfig.js';
+import { getLanguage, isSupportedLang, langName } from './languages.js';
+import { researchTerms } from './terms.js';
+import { GLOSSARY_FILE, loadGlossary, lockedTerms } from './glossary.js';
 
-const GLOSSARY_FILE = path.join(PROJECT_DIR, '.cache', 'glossary.json');
 const MODEL = 'claude-sonnet-4-6';
+// 언어당 조사할 용어 후보 최대 개수 (프롬프트/검색 횟수 제한)
+const MAX_RESEARCH_TERMS = 120;
 
-// 언어별 참고 서비스
-const REFERENCE_PLATFORMS = {
-  ko: 'Upbit(업비트), Bithumb(빗썸), Bitget Korea, 키움증권 해외선물, 하이투자증권, MEXC 한국어, 바이낸스 한국어',
-  zh: 'OKX(欧易), 火币(HTX), 币安(Binance), Bybit中文, Gate.io, 币圈/加密货币社区',
-  ja: 'bitFlyer, GMO Coin, Coincheck, SBI VC Trade, DMM Bitcoin, バイナンスジャパン',
-  id: 'Indodax, Tokocrypto, Pintu, Rekeningku, Binance Indonesia, Bybit Indonesia',
-  hi: 'WazirX, CoinDCX, ZebPay, CoinSwitch, Binance India, Bybit Hindi',
-  tr: 'Binance Türkçe, Paribu, BtcTurk, Bitexen, ICRYPEX, Bybit Türkçe',
-  vi: 'Remitano, VNDC, Binance Vietnamese, Bybit Vietnam, Gate.io Vietnamese',
-  pt: 'Mercado Bitcoin, Foxbit, NovaDAX, Binance Brasil, Bybit Português',
-  ru: 'Binance Русский, Bybit Русский, Garantex, CommEX, OKX Русский',
-  de: 'Binance Deutschland, Bitpanda, Bison, Bybit Deutsch, Kraken Deutsch',
-  es: 'Binance Español, Bitso, Ripio, Buda.com, Bybit Español, Kraken Español',
-  fr: 'Binance Français, Coinhouse, Paymium, Bybit Français, Kraken Français',
-};
-
-// 언어별 검색 쿼리 키워드
-const SEARCH_CONTEXT = {
-  ko: '한국어 암호화폐 트레이딩 플랫폼 UI 용어 프롭트레이딩',
-  zh: '加密货币交易平台界面用语 期货交易术语 自营交易',
-  ja: '仮想通貨取引プラットフォーム UI用語 先物取引 プロップトレーディング',
-  id: 'platform trading kripto Bahasa Indonesia terminologi UI prop trading',
-  hi: 'क्रिप्टो ट्रेडिंग प्लेटफॉर्म UI हिंदी शब्दावली',
-  tr: 'kripto para işlem platformu Türkçe UI terminoloji prop trading',
-  vi: 'nền tảng giao dịch tiền điện tử UI tiếng Việt thuật ngữ',
-  pt: 'plataforma de trading criptomoedas UI português brasileiro terminologia',
-  ru: 'криптовалютная торговая платформа UI терминология пропрайетарный трейдинг',
-  de: 'Krypto-Handelsplattform UI Terminologie Deutsch Eigenhandel',
-  es: 'plataforma trading criptomonedas UI terminología español prop trading',
-  fr: 'plateforme trading cryptomonnaies UI terminologie français prop trading',
-};
-
-// 전체 지원 언어
-const ALL_LANG_NAMES = {
-  ko: 'Korean (한국어)',
-  zh: 'Chinese Simplified (简体中文)',
-  ja: 'Japanese (日本語)',
-  id: 'Indonesian (Bahasa Indonesia)',
-  hi: 'Hindi (हिन्दी)',
-  tr: 'Turkish (Türkçe)',
-  vi: 'Vietnamese (Tiếng Việt)',
-  pt: 'Portuguese Brazilian (Português do Brasil)',
-  ru: 'Russian (Русский)',
-  de: 'German (Deutsch)',
-  es: 'Spanish (Español)',
-  fr: 'French (Français)',
-};
-
-// 환경변수 TARGET_LANGS에서 동적으로 읽기, 없으면 기본값 ko/zh/ja
-const LANGS = (process.env.TARGET_LANGS || 'ko,zh,ja')
+// 원문 언어 (용어집은 원문 용어 → 대상 언어 표현)
+const SOURCE_LANG = sourceLang();
+const SOURCE_NAME = langName(SOURCE_LANG);
+
+// 환경변수 TARGET_LANGS에서 동적으로 읽기, 없으면 기본값 ko/zh/ja (원문이 그중 하나면 대신 en)
+const LANGS = (process.env.TARGET_LANGS || ['ko', 'zh', 'ja'].map(l => (l === SOURCE_LANG ? 'en' : l)).join(','))
   .split(',')
   .map(s => s.trim())
-  .filter(l => ALL_LANG_NAMES[l]);
-
-const LANG_NAMES = Object.fromEntries(
-  LANGS.map(l => [l, ALL_LANG_NAMES[l]])
-);
+  .filter(l => isSupportedLang(l) && l !== SOURCE_LANG);
 
-export async function buildGlossary(forceRebuild = false) {
+export async function buildGlossary(forceRebuild = false, { ledger = null } = {}) {
   if (!process.env.ANTHROPIC_API_KEY) {
     throw new Error('ANTHROPIC_API_KEY가 설정되지 않았습니다.');
   }
 
   // 기존 용어집 로드 (있으면)
-  let existingGlossary = {};
-  if (existsSync(GLOSSARY_FILE)) {
-    try {
-      existingGlossary = JSON.parse(await readFile(GLOSSARY_FILE, 'utf-8'));
-    } catch { existingGlossary = {}; }
-  }
+  const existingGlossary = await loadGlossary();
 
   // 조사가 필요한 언어 결정
   // - forceRebuild: 전체 재조사
@@ -105,21 +61,26 @@ export async function buildGlossary(forceRebuild = false) {
   const skippedLangs = LANGS.filter(l => !langsToResearch.includes(l));
 
   if (skippedLangs.length > 0) {
-    console.log(`   ✅ 기존 용어집 유지: ${skippedLangs.map(l => ALL_LANG_NAMES[l]).join(', ')}`);
+    console.log(`   ✅ 기존 용어집 유지: ${skippedLangs.map(langName).join(', ')}`);
   }
   if (langsToResearch.length === 0) {
     console.log('   모든 언어의 용어집이 최신 상태입니다. (--force 옵션으로 강제 재조사 가능)');
     return existingGlossary;
   }
 
-  console.log(`   🔍 조사 대상: ${langsToResearch.map(l => ALL_LANG_NAMES[l]).join(', ')}`);
-
-  // en.json에서 번역 대상 텍스트 샘플 추출 (최대 80개)
-  const enNested = await readLocale('en');
-  const enFlat = nestedToFlat(enNested);
-  const sampleTexts = Object.values(enFlat)
-    .filter(t => t.length < 60)       // 짧은 UI 텍스트 위주
-    .slice(0, 80);
+  console.log(`   🔍 조사 대상: ${langsToResearch.map(langName).join(', ')}`);
+
+  // 조사할 용어: 검토된 용어 후보 우선, 없으면 원문 locale의 텍스트 샘플 (최대 80개)
+  let sampleTexts = await researchTerms(SOURCE_LANG, MAX_RESEARCH_TERMS);
+  if (sampleTexts) {
+    console.log(`   📋 용어 후보 ${sampleTexts.length}개 조사 (.cache/term-candidates.json)`);
+  } else {
+    const sourceFlat = nestedToFlat(await readLocale(SOURCE_LANG));
+    sampleTexts = Object.values(sourceFlat)
+      .filter(t => t.length < 60)       // 짧은 UI 텍스트 위주
+      .slice(0, 80);
+    console.log('   ℹ️  용어 후보 없음 — 원문 텍스트 샘플로 조사 (npm run terms로 후보를 먼저 추출·검토할 수 있습니다)');
+  }
 
   const client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
 
@@ -128,15 +89,26 @@ export async function buildGlossary(forceRebuild = false) {
 
   for (let i = 0; i < langsToResearch.length; i++) {
     const lang = langsToResearch[i];
-    console.log(`\n🔍 ${ALL_LANG_NAMES[lang]} 용어 조사 중...`);
-    console.log(`   참고 서비스: ${REFERENCE_PLATFORMS[lang]}`);
+
+    // 비용 상한 도달 시 남은 언어는 기존 용어집 유지
+    try {
+      ledger?.assertWithinBudget();
+    } catch (err) {
+      if (!(err instanceof BudgetExceededError)) throw err;
+      console.warn(`\n   ⛔ ${err.message} — 남은 언어 조사 생략: ${langsToResearch.slice(i).join(', ')}`);
+      break;
+    }
+
+    console.log(`\n🔍 ${langName(lang)} 용어 조사 중...`);
+    console.log(`   참고 서비스: ${getLanguage(lang).platforms}`);
 
     const existing = existingGlossary[lang] || null;
 
     let retried = false;
     for (let attempt = 1; attempt <= 3; attempt++) {
       try {
-        glossary[lang] = await researchLanguage(client, lang, sampleTexts);
+        const locked = lockedTerms(existingGlossary, lang);
+        glossary[lang] = await researchLanguage(client, lang, sampleTexts.filter(t => !(t in locked)), ledger);
         glossary[`_researched_at_${lang}`] = new Date().toISOString();
         const termCount = Object.keys(glossary[lang]).length;
         console.log(`   ✅ ${termCount}개 용어 수집 완료`);
@@ -186,10 +158,24 @@ export async function buildGlossary(forceRebuild = false) {
   return glossary;
 }
 
-async function researchLanguage(client, lang, sampleTexts) {
-  const langName = ALL_LANG_NAMES[lang];
-  const platforms = REFERENCE_PLATFORMS[lang];
-  const searchContext = SEARCH_CONTEXT[lang];
+// 응답 형식 예시 (원문이 영어면 기존 한국어 예시, 아니면 언어 이름으로 표시)
+function glossaryExample(lang) {
+  if (SOURCE_LANG === 'en') {
+    return `{
+  "English Term": "실제 사용되는 번역",
+  "Save": "저장",
+  "Dashboard": "대시보드",
+  ...
+}`;
+  }
+  return `{
+  "${SOURCE_NAME} term": "${langName(lang)} term actually used on platforms",
+  ...
+}`;
+}
+
+async function researchLanguage(client, lang, sampleTexts, ledger = null) {
+  const { name: targetName, platforms, searchContext } = getLanguage(lang);
 
   const message = await client.messages.create({
     model: MODEL,
@@ -206,21 +192,21 @@ async function researchLanguage(client, lang, sampleTexts) {
         role: 'user',
         content: `You are a professional localization researcher specializing in financial trading platforms.
 
-Research how actual prop trading and cryptocurrency trading platforms use UI terminology in ${langName}.
+Research how actual prop trading and cryptocurrency trading platforms use UI terminology in ${targetName}.
 
 Reference platforms to research: ${platforms}
 Search context: ${searchContext}
 
 RESEARCH TASKS:
-1. Search how major ${langName} crypto/trading platforms (${platforms}) actually display their UI
-2. Find real examples of how these English terms appear in ${langName} trading interfaces
-3. Look for community discussions (Reddit, Discord, Twitter/X, local forums) about trading UI terminology in ${langName}
+1. Search how major ${targetName} crypto/trading platforms (${platforms}) actually display their UI
+2. Find real examples of how these ${SOURCE_NAME} terms appear in ${targetName} trading interfaces
+3. Look for community discussions (Reddit, Discord, Twitter/X, local forums) about trading UI terminology in ${targetName}
 4. Check if traders prefer certain expressions over others
 
-English terms to find ${langName} equivalents for:
+${SOURCE_NAME} terms to find ${targetName} equivalents for:
 ${sampleTexts.join(', ')}
 
-After researching, create a glossary JSON object mapping English terms to their most natural, widely-used ${langName} equivalents as actually used on real platforms.
+After researching, create a glossary JSON object mapping ${SOURCE_NAME} terms (exactly as written above) to their most natural, widely-used ${targetName} equivalents as actually used on real platforms.
 
 Focus on:
 - Terms that major exchanges actually use (not just literal translations)
@@ -228,16 +214,13 @@ Focus on:
 - Natural-sounding UI text (buttons, labels, messages)
 
 Return ONLY a valid JSON object like this (no explanation):
-{
-  "English Term": "실제 사용되는 번역",
-  "Save": "저장",
-  "Dashboard": "대시보드",
-  ...
-}`,
+${glossaryExample(lang)}`,
       },
     ],
   });
 
+  ledger?.record({ model: message.model || MODEL, lang, usage: message.usage });
+
   // 최종 텍스트 응답 추출 (tool use 이후 마지막 text block)
   const textBlock = [...message.content].reverse().find(b => b.type === 'text');
   if (!textBlock) return {};
@@ -261,23 +244,24 @@ Return ONLY a valid JSON object like this (no explanation):
   }
 }
 
-export async function loadGlossary() {
-  if (!existsSync(GLOSSARY_FILE)) return {};
-  try {
-    return JSON.parse(await readFile(GLOSSARY_FILE, 'utf-8'));
-  } catch { return {}; }
-}
-
 // CLI 직접 실행 시
 if (process.argv[1].endsWith('research.js')) {
   const forceRebuild = process.argv.includes('--force');
+  let ledger;
+  try {
+    ledger = new UsageLedger({ command: 'research', maxCost: parseMaxCost() });
+  } catch (err) {
+    console.error('❌ 오류:', err.message);
+    process.exit(1);
+  }
 
   console.log('\n🌐 실제 트레이딩 플랫폼 용어 조사 시작...');
-  console.log(`   대상 언어: ${LANGS.map(l => ALL_LANG_NAMES[l]).join(', ')}`);
+  console.log(`   대상 언어: ${LANGS.map(langName).join(', ')}`);
   console.log('   웹 검색으로 실제 서비스 표현을 수집합니다.\n');
 
-  buildGlossary(forceRebuild)
-    .then(glossary => {
+  buildGlossary(forceRebuild, { ledger })
+    .then(async glossary => {
+      await ledger.finish();
       const langs = LANGS.filter(l => Object.keys(glossary[l] || {}).length > 0);
       console.log('\n📚 수집된 용어집 미리보기:');
       for (const lang of langs) {
@@ -292,7 +276,8 @@ if (process.argv[1].endsWith('research.js')) {
       }
       console.log('\n✅ 완료. 이제 npm run translate 실행 시 이 용어집이 자동 적용됩니다.\n');
     })
-    .catch(err => {
+    .catch(async err => {
+      await ledger.finish().catch(() => {});
       console.error('❌ 오류:', err.message);
       process.exit(1);
     });
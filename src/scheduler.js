@@ -0,0 +1,210 @@
+/**
+ * 번역 요청 스케줄러
+ * - 모든 언어/배치의 API 호출을 하나의 큐로 관리
+ * - 동시 실행 수 제한 + 토큰 버킷 방식 분당 요청 수 제한
+ * - 429/529/5xx 응답은 retry-after 헤더 또는 지수 백오프로 재시도
+ * - 진행 중인 모든 작업을 한 줄 진행률로 표시
+ *
+ * 환경변수 (.env):
+ *   TRANSLATE_CONCURRENCY       동시 API 요청 수 (기본값 4)
+ *   TRANSLATE_LANG_CONCURRENCY  동시에 번역할 언어 수 (기본값 3)
+ *   TRANSLATE_RPM               분당 최대 요청 수 (기본값 50)
+ */
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_LANG_CONCURRENCY = 3;
+const DEFAULT_RPM = 50;
+const MAX_RETRIES = 5;
+const BASE_DELAY_MS = 2000;   // 첫 재시도 대기 (이후 2배씩)
+const MAX_DELAY_MS = 120000;  // 최대 대기 2분
+
+const RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 토큰 버킷: 분당 rpm개 토큰을 균등하게 채움 (순간 최대 burst개)
+ */
+class TokenBucket {
+  constructor(rpm, burst = Math.max(1, Math.ceil(rpm / 6))) {
+    this.capacity = burst;
+    this.tokens = burst;
+    this.refillPerMs = rpm / 60000;
+    this.updatedAt = Date.now();
+  }
+
+  _refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  async take() {
+    for (;;) {
+      this._refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil((1 - this.tokens) / this.refillPerMs));
+    }
+  }
+
+  // 429 응답 시 버킷을 비워 다른 요청도 잠시 멈추게 함
+  drain() {
+    this._refill();
+    this.tokens = Math.min(this.tokens, 0);
+  }
+}
+
+/**
+ * 재시도 대기 시간 결정 (retry-after 우선, 없으면 지수 백오프 + 지터)
+ */
+function retryDelay(err, attempt) {
+  const header = err.retryAfter ?? err.headers?.['retry-after'] ?? err.response?.headers?.['retry-after'];
+  const seconds = Number(header);
+  if (Number.isFinite(seconds) && seconds > 0) return Math.min(seconds * 1000, MAX_DELAY_MS);
+  const backoff = BASE_DELAY_MS * 2 ** (attempt - 1);
+  return Math.min(backoff + Math.random() * 1000, MAX_DELAY_MS);
+}
+
+function errorStatus(err) {
+  return err.status ?? err.response?.status;
+}
+
+export class Scheduler {
+  constructor({
+    concurrency = envInt('TRANSLATE_CONCURRENCY', DEFAULT_CONCURRENCY),
+    requestsPerMinute = envInt('TRANSLATE_RPM', DEFAULT_RPM),
+    progress = new Progress(),
+  } = {}) {
+    this.concurrency = concurrency;
+    this.bucket = new TokenBucket(requestsPerMinute);
+    this.progress = progress;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * 작업 실행 (동시 실행/요청 속도 제한, 재시도 포함)
+   * @param task () => Promise — API 호출 1회
+   */
+  async run(task) {
+    await this._acquire();
+    try {
+      for (let attempt = 1; ; attempt++) {
+        await this.bucket.take();
+        try {
+          return await task();
+        } catch (err) {
+          const status = errorStatus(err);
+          if (!RETRYABLE_STATUS.has(status)) throw err;
+          if (attempt > MAX_RETRIES) {
+            if (status === 429) throw new Error(`API 요청 한도 초과 (${MAX_RETRIES}회 재시도 실패) — 잠시 후 다시 시도하세요.`);
+            throw err;
+          }
+          if (status === 429) this.bucket.drain();
+          const delay = retryDelay(err, attempt);
+          this.progress.log(`   ⏳ API 응답 ${status} — ${Math.round(delay / 1000)}초 후 재시도 (${attempt}/${MAX_RETRIES})`);
+          await sleep(delay);
+        }
+      }
+    } finally {
+      this._release();
+    }
+  }
+
+  _acquire() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  _release() {
+    const next = this.waiting.shift();
+    if (next) next();
+    else this.active--;
+  }
+}
+
+/**
+ * 여러 언어 작업을 동시에 limit개씩 실행
+ */
+export async function runConcurrently(items, worker, limit = envInt('TRANSLATE_LANG_CONCURRENCY', DEFAULT_LANG_CONCURRENCY)) {
+  const results = new Array(items.length);
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i], i);
+    }
+  });
+  await Promise.all(lanes);
+  return results;
+}
+
+/**
+ * 진행 중인 모든 작업의 진행률 표시
+ * - TTY: 마지막 줄을 "[ko 3/10] [zh 1/10]" 형태로 계속 갱신
+ * - 비 TTY(CI 등): 작업 그룹이 끝날 때만 한 줄 출력
+ */
+export class Progress {
+  constructor(stream = process.stdout) {
+    this.stream = stream;
+    this.isTTY = Boolean(stream.isTTY);
+    this.groups = new Map(); // label → { done, total }
+    this.lineShown = false;
+  }
+
+  add(label, count) {
+    const group = this.groups.get(label) || { done: 0, total: 0 };
+    group.total += count;
+    this.groups.set(label, group);
+    this._render();
+  }
+
+  tick(label, count = 1) {
+    const group = this.groups.get(label);
+    if (!group) return;
+    group.done += count;
+    if (group.done >= group.total) {
+      this.groups.delete(label);
+      if (!this.isTTY) this.log(`   ✔ ${label} ${group.done}/${group.total}`);
+    }
+    this._render();
+  }
+
+  /**
+   * 진행률 줄을 지우고 메시지 출력 후 다시 그림
+   */
+  log(message) {
+    this._clear();
+    console.log(message);
+    this._render();
+  }
+
+  _clear() {
+    if (this.isTTY && this.lineShown) {
+      this.stream.write('\r\x1b[K');
+      this.lineShown = false;
+    }
+  }
+
+  _render() {
+    if (!this.isTTY) return;
+    this._clear();
+    if (this.groups.size === 0) return;
+    const parts = [...this.groups].map(([label, { done, total }]) => `[${label} ${done}/${total}]`);
+    this.stream.write(`   진행 중 ${parts.join(' ')}`);
+    this.lineShown = true;
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * 재번역 대상 키 선택 (retranslate)
+ * - 신뢰도 점수 기준 (--below), 키 글롭 (--keys), QA 플래그 (--flagged)
+ * - 지정한 조건을 모두 만족하는 키만 선택 (AND)
+ *
+ * 키 글롭: "*"는 한 단계(점 사이), "**"는 여러 단계, "?"는 한 글자
+ *   예: "auth.*" → auth.title, auth.login (auth.form.email 제외)
+ *       "auth.**" → auth 아래 전체, "*.submit" → 모든 화면의 submit
+ */
+
+/**
+ * 키 글롭 → 정규식
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*' && pattern[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (ch === '*') {
+      source += '[^.]*';
+    } else if (ch === '?') {
+      source += '[^.]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * 언어 하나의 재번역 대상 선택
+ * @param sourceFlat  원문 { key: text }
+ * @param scores      신뢰도 점수 { key: 0~100 } (confidence.json[lang])
+ * @param flags       QA 플래그 { key: [{ type, message }] } (confidence.json._flags[lang])
+ * @param below       이 점수 미만만 (null이면 조건 없음, 점수 없는 키는 제외)
+ * @param patterns    키 글롭 목록 (하나라도 일치, 빈 배열이면 조건 없음)
+ * @param flagTypes   null이면 조건 없음, []이면 플래그가 하나라도 있는 키, 지정하면 해당 종류만
+ * @returns { key: text }
+ */
+export function selectKeys(sourceFlat, { scores = {}, flags = {}, below = null, patterns = [], flagTypes = null } = {}) {
+  const globs = patterns.map(globToRegExp);
+  const selected = {};
+  for (const [key, text] of Object.entries(sourceFlat)) {
+    if (below !== null && !(typeof scores[key] === 'number' && scores[key] < below)) continue;
+    if (globs.length > 0 && !globs.some(re => re.test(key))) continue;
+    if (flagTypes !== null) {
+      const keyFlags = flags[key] || [];
+      const matched = flagTypes.length === 0 ? keyFlags.length > 0 : keyFlags.some(f => flagTypes.includes(f.type));
+      if (!matched) continue;
+    }
+    selected[key] = text;
+  }
+  return selected;
+}
@@ -10,25 +10,27 @@ import { existsSync } from 'fs';
 import path from 'path';
 import { nestedToFlat, flatToNested } from './keyGen.js';
 import { loadConfidence } from './translator.js';
+import { sourceLang } from './projectConfig.js';
+import { langLabel, langDir } from './languages.js';
+import { variantParent, readEffectiveFlat } from './variants.js';
 import { readLocale, writeLocale, setNestedKey } from './locales.js';
+import { loadLocks, lockKeys } from './locks.js';
+import { recordSourceHashes } from './cache.js';
+import { loadCandidates, currentCandidates } from './candidates.js';
 import { PROJECT_DIR } from './config.js';
 
 const PORT = 3000;
 
-const ALL_LANG_LABELS = {
-  ko: '한국어', zh: '중국어', ja: '일본어',
-  id: 'Indonesia', hi: 'Hindi', tr: 'Türkçe',
-  vi: 'Tiếng Việt', pt: 'Português', ru: 'Русский',
-  de: 'Deutsch', es: 'Español', fr: 'Français',
-};
+// locales/ 디렉토리에서 실제 존재하는 번역 파일을 자동 감지 (원문 locale 제외)
+// 원문 언어 (SOURCE_LANG / translate.config.json sourceLanguage, 기본 en)
+const SOURCE_LANG = sourceLang();
 
-// locales/ 디렉토리에서 실제 존재하는 번역 파일을 자동 감지 (en.json 제외)
 async function detectLangs() {
   const localesDir = path.join(PROJECT_DIR, 'locales');
   try {
     const files = await readdir(localesDir);
     return files
-      .filter(f => f.endsWith('.json') && f !== 'en.json' && !f.startsWith('.'))
+      .filter(f => f.endsWith('.json') && f !== `${SOURCE_LANG}.json` && !f.startsWith('.'))
       .map(f => f.replace('.json', ''))
       .sort();
   } catch {
@@ -66,31 +68,41 @@ function checkAuth(req, res) {
 // 모든 번역 데이터를 테이블 형식으로 병합
 // ──────────────────────────────────────────────
 async function buildTableData(langs) {
-  const enNested = await readLocale('en');
-  const enFlat = nestedToFlat(enNested);
+  const sourceFlat = nestedToFlat(await readLocale(SOURCE_LANG));
 
   const langFlats = {};
+  const effectiveFlats = {}; // 지역 변형은 상위 언어 번역 + 재정의
   for (const lang of langs) {
     const nested = await readLocale(lang);
     langFlats[lang] = nestedToFlat(nested);
+    effectiveFlats[lang] = await readEffectiveFlat(lang, langs);
   }
 
   const confidence = await loadConfidence();
+  const locks = await loadLocks();
+  // retranslate --candidates로 만든 번역 후보 (원문이 바뀐 키는 제외)
+  const allCandidates = await loadCandidates();
+  const candidates = Object.fromEntries(langs.map(lang => [lang, currentCandidates(allCandidates, lang, sourceFlat)]));
 
-  const rows = Object.entries(enFlat).map(([key, enText]) => {
+  const rows = Object.entries(sourceFlat).map(([key, sourceText]) => {
     const langData = {};
     let minConfidence = 100;
 
     for (const lang of langs) {
-      const text = langFlats[lang][key] || '';
+      const text = langFlats[lang][key] || effectiveFlats[lang][key] || '';
+      const inheritedFrom = !langFlats[lang][key] && text ? variantParent(lang, langs) : null;
       const score = confidence[lang]?.[key] ?? null;
-      langData[lang] = { text, confidence: score };
+      const locked = Boolean(locks[lang]?.[key]);
+      const flags = confidence._flags?.[lang]?.[key] || [];
+      const reason = confidence._reasons?.[lang]?.[key] || null;
+      langData[lang] = { text, confidence: score, locked, flags, reason, inheritedFrom, candidates: candidates[lang][key] || [] };
       if (score !== null && score < minConfidence) minConfidence = score;
     }
 
     if (minConfidence === 100) minConfidence = null;
+    const flagged = langs.some(l => langData[l].flags.length > 0);
 
-    return { key, en: enText, langs: langData, minConfidence };
+    return { key, source: sourceText, langs: langData, minConfidence, flagged };
   });
 
   rows.sort((a, b) => (a.minConfidence ?? 100) - (b.minConfidence ?? 100));
@@ -101,9 +113,11 @@ async function buildTableData(langs) {
 // HTML 어드민 페이지
 // ──────────────────────────────────────────────
 function buildHTML(rows, langs) {
-  const langLabels = Object.fromEntries(langs.map(l => [l, ALL_LANG_LABELS[l] || l.toUpperCase()]));
+  const langLabels = Object.fromEntries(langs.map(l => [l, langLabel(l)]));
+  const langDirs = Object.fromEntries(langs.map(l => [l, langDir(l)]));
   const totalKeys = rows.length;
   const needsReview = rows.filter(r => r.minConfidence !== null && r.minConfidence < 80).length;
+  const flaggedCount = rows.filter(r => r.flagged).length;
   const hasConfidence = rows.some(r => r.minConfidence !== null);
   const avgConf = hasConfidence
     ? Math.round(rows.filter(r => r.minConfidence !== null).reduce((s, r) => s + r.minConfidence, 0) / rows.filter(r => r.minConfidence !== null).length)
@@ -153,8 +167,8 @@ function buildHTML(rows, langs) {
   /* 키 열 */
   .td-key { font-family: monospace; font-size: 11px; color: #888; max-width: 200px; word-break: break-all; }
 
-  /* 영어 원문 */
-  .td-en { color: #444; max-width: 180px; }
+  /* 원문 */
+  .td-source { color: #444; max-width: 180px; }
 
   /* 번역 셀 */
   .td-lang { position: relative; min-width: 160px; max-width: 200px; }
@@ -162,7 +176,11 @@ function buildHTML(rows, langs) {
   .lang-text[contenteditable="true"] { outline: 2px solid #4a90d9; border-radius: 4px; padding: 2px 4px; background: #f0f7ff; min-height: 22px; }
   .edit-btn { display: none; position: absolute; top: 6px; right: 6px; background: #e8f0fe; border: none; border-radius: 4px; padding: 2px 8px; font-size: 11px; cursor: pointer; color: #4a90d9; }
   .td-lang:hover .edit-btn { display: block; }
+  .td-lang.rtl .edit-btn { right: auto; left: 6px; }
   .changed-badge { display: inline-block; background: #fff3cd; color: #856404; font-size: 10px; padding: 1px 5px; border-radius: 3px; margin-left: 4px; }
+  .lang-text.inherited { color: #999; }
+  .inherited-badge { display: inline-block; background: #f1f3f5; color: #868e96; font-size: 10px; padding: 1px 5px; border-radius: 3px; margin-left: 4px; }
+  .locked-badge { display: inline-block; background: #e3f2fd; color: #1565c0; font-size: 10px; padding: 1px 5px; border-radius: 3px; margin-left: 4px; }
 
   /* 신뢰도 배지 */
   .confidence { display: inline-block; font-size: 11px; font-weight: 700; padding: 2px 7px; border-radius: 10px; margin-top: 4px; }
@@ -170,6 +188,20 @@ function buildHTML(rows, langs) {
   .conf-mid  { background: #fff3cd; color: #856404; }
   .conf-low  { background: #f8d7da; color: #721c24; }
   .conf-none { background: #e9ecef; color: #6c757d; }
+  .qa-flag { display: inline-block; background: #fdecea; color: #b71c1c; font-size: 11px; font-weight: 700; padding: 2px 7px; border-radius: 10px; margin: 4px 0 0 4px; cursor: help; }
+  .qa-reason { font-size: 11px; color: #6c757d; margin-top: 4px; line-height: 1.4; }
+
+  /* 번역 후보 (retranslate --candidates) */
+  .candidates { margin-top: 6px; display: flex; flex-direction: column; gap: 4px; }
+  .candidate { position: relative; border: 1px solid #e0e4f0; border-radius: 6px; padding: 4px 8px; cursor: pointer; background: #fbfcff; line-height: 1.4; }
+  .candidate:hover { border-color: #4a90d9; background: #f0f7ff; }
+  .candidate.selected { border-color: #4CAF50; background: #eef8ee; }
+  .candidate-style { display: inline-block; background: #ede7f6; color: #5e35b1; font-size: 10px; padding: 1px 5px; border-radius: 3px; margin-right: 4px; }
+  .candidate-rationale { font-size: 11px; color: #888; margin-top: 2px; }
+  .candidate-problem { color: #b71c1c; font-size: 11px; margin-left: 4px; cursor: help; }
+  .candidate-edit { display: none; position: absolute; top: 3px; right: 4px; background: #e8f0fe; border: none; border-radius: 4px; padding: 1px 6px; font-size: 10px; cursor: pointer; color: #4a90d9; }
+  .candidate:hover .candidate-edit { display: block; }
+  .td-lang.rtl .candidate-edit { right: auto; left: 4px; }
 
   /* 최소 신뢰도 열 */
   .td-min-conf { text-align: center; white-space: nowrap; }
@@ -197,6 +229,7 @@ function buildHTML(rows, langs) {
       <option value="review">검토 필요 (80% 미만)</option>
       <option value="low">낮음 (50% 미만)</option>
       <option value="no-score">점수 없음</option>
+      <option value="flagged">QA 문제 있음</option>
     </select>
     <button class="btn-save" id="saveBtn" onclick="saveChanges()" disabled>저장</button>
     <span class="save-status" id="saveStatus"></span>
@@ -212,6 +245,10 @@ function buildHTML(rows, langs) {
     <div class="num">${needsReview}</div>
     <div class="label">검토 필요</div>
   </div>
+  <div class="stat-card ${flaggedCount > 0 ? 'danger' : 'good'}">
+    <div class="num">${flaggedCount}</div>
+    <div class="label">QA 문제</div>
+  </div>
   ${avgConf !== null ? `
   <div class="stat-card ${avgConf >= 90 ? 'good' : avgConf >= 70 ? 'warning' : 'danger'}">
     <div class="num">${avgConf}%</div>
@@ -232,7 +269,7 @@ function buildHTML(rows, langs) {
     <thead>
       <tr>
         <th>키</th>
-        <th>영어 (원문)</th>
+        <th>${langLabel(SOURCE_LANG)} (원문)</th>
         ${langs.map(l => `<th>${langLabels[l]}</th>`).join('\n        ')}
         <th style="text-align:center">최소 신뢰도</th>
       </tr>
@@ -246,6 +283,8 @@ function buildHTML(rows, langs) {
 const ALL_ROWS = ${rowsJson};
 const LANGS = ${JSON.stringify(langs)};
 const LANG_LABELS = ${JSON.stringify(langLabels)};
+const LANG_DIRS = ${JSON.stringify(langDirs)}; // 텍스트 방향 (ar 등 RTL 언어는 'rtl')
+const SOURCE_DIR = ${JSON.stringify(langDir(SOURCE_LANG))};
 let changes = {}; // { "ko::header.nav.home": "수정된 텍스트" }
 
 function confClass(score) {
@@ -261,6 +300,15 @@ function barClass(score) {
   return 'bar-low';
 }
 
+// QA 플래그 배지 (마우스를 올리면 문제 목록 표시)
+function flagBadge(flags) {
+  const badge = document.createElement('span');
+  badge.className = 'qa-flag';
+  badge.textContent = '⚠ QA ' + flags.length;
+  badge.title = flags.map(f => '• ' + f.message).join('\\n');
+  return badge;
+}
+
 function renderTable(rows) {
   const tbody = document.getElementById('tableBody');
   tbody.innerHTML = '';
@@ -275,26 +323,29 @@ function renderTable(rows) {
     tdKey.textContent = row.key;
     tr.appendChild(tdKey);
 
-    // 영어 열
-    const tdEn = document.createElement('td');
-    tdEn.className = 'td-en';
-    tdEn.textContent = row.en;
-    tr.appendChild(tdEn);
+    // 원문 열
+    const tdSource = document.createElement('td');
+    tdSource.className = 'td-source';
+    tdSource.textContent = row.source;
+    tdSource.dir = SOURCE_DIR;
+    tr.appendChild(tdSource);
 
     // 언어별 열
     LANGS.forEach(lang => {
-      const { text, confidence } = row.langs[lang];
+      const { text, confidence, locked, flags, reason, inheritedFrom, candidates } = row.langs[lang];
       const changeKey = lang + '::' + row.key;
       const currentText = changes[changeKey] ?? text;
       const isChanged = changeKey in changes;
 
       const td = document.createElement('td');
-      td.className = 'td-lang';
+      td.className = 'td-lang' + (LANG_DIRS[lang] === 'rtl' ? ' rtl' : '');
 
       const span = document.createElement('span');
       span.className = 'lang-text';
       span.textContent = currentText;
       span.dataset.lang = lang;
+      span.lang = lang;
+      span.dir = LANG_DIRS[lang];
       span.dataset.key = row.key;
       span.dataset.original = text;
 
@@ -308,6 +359,15 @@ function renderTable(rows) {
       confBadge.textContent = confidence !== null ? confidence + '%' : '점수 없음';
 
       td.appendChild(span);
+      // 지역 변형: 재정의가 없어 상위 언어 번역을 그대로 쓰는 키 (편집하면 이 언어의 재정의로 저장)
+      if (inheritedFrom && !(changeKey in changes)) {
+        span.classList.add('inherited');
+        const inheritBadge = document.createElement('span');
+        inheritBadge.className = 'inherited-badge';
+        inheritBadge.textContent = '↳ ' + inheritedFrom;
+        inheritBadge.title = inheritedFrom + ' 번역 상속 — 편집하면 ' + lang + ' 재정의로 저장';
+        td.appendChild(inheritBadge);
+      }
       if (isChanged) {
         const badge = document.createElement('span');
         badge.className = 'changed-badge';
@@ -317,6 +377,21 @@ function renderTable(rows) {
       td.appendChild(editBtn);
       td.appendChild(document.createElement('br'));
       td.appendChild(confBadge);
+      if (flags.length > 0) td.appendChild(flagBadge(flags));
+      if (reason) {
+        const reasonEl = document.createElement('div');
+        reasonEl.className = 'qa-reason';
+        reasonEl.textContent = reason;
+        td.appendChild(reasonEl);
+      }
+      if (locked) {
+        const lockBadge = document.createElement('span');
+        lockBadge.className = 'locked-badge';
+        lockBadge.textContent = '🔒 검토 완료';
+        lockBadge.title = 'translate/update 실행 시 덮어쓰지 않습니다 (--force 제외)';
+        td.appendChild(lockBadge);
+      }
+      if (candidates.length > 0) td.appendChild(candidateList(candidates, span, editBtn, currentText));
 
       tr.appendChild(td);
     });
@@ -344,6 +419,59 @@ function renderTable(rows) {
   });
 }
 
+// 번역 후보 목록: 클릭하면 그 후보로 바꾸고, "편집"은 후보에서 출발해 직접 고치기 (여러 후보 합치기)
+function candidateList(candidates, span, editBtn, currentText) {
+  const list = document.createElement('div');
+  list.className = 'candidates';
+  candidates.forEach(item => {
+    const el = document.createElement('div');
+    el.className = 'candidate' + (item.text === currentText ? ' selected' : '');
+    el.dataset.text = item.text;
+    el.dir = span.dir;
+    el.title = '클릭하면 이 후보로 교체';
+
+    if (item.style) {
+      const style = document.createElement('span');
+      style.className = 'candidate-style';
+      style.textContent = item.style;
+      el.appendChild(style);
+    }
+    el.appendChild(document.createTextNode(item.text));
+    if (item.problems?.length > 0) {
+      const problem = document.createElement('span');
+      problem.className = 'candidate-problem';
+      problem.textContent = '⚠ ' + item.problems.length;
+      problem.title = item.problems.map(p => '• ' + p).join('\\n');
+      el.appendChild(problem);
+    }
+    if (item.rationale) {
+      const rationale = document.createElement('div');
+      rationale.className = 'candidate-rationale';
+      rationale.textContent = item.rationale;
+      el.appendChild(rationale);
+    }
+
+    const edit = document.createElement('button');
+    edit.className = 'candidate-edit';
+    edit.textContent = '편집';
+    edit.title = '이 후보에서 시작해 직접 수정';
+    edit.onclick = (e) => {
+      e.stopPropagation();
+      span.textContent = item.text;
+      startEdit(span, editBtn);
+    };
+    el.appendChild(edit);
+
+    el.onclick = () => {
+      if (span.contentEditable === 'true') return;
+      span.textContent = item.text;
+      recordChange(span, item.text);
+    };
+    list.appendChild(el);
+  });
+  return list;
+}
+
 function startEdit(span, btn) {
   span.contentEditable = 'true';
   span.focus();
@@ -368,10 +496,12 @@ function finishEdit(span, btn) {
   btn.textContent = '편집';
   btn.onclick = () => startEdit(span, btn);
 
-  const lang = span.dataset.lang;
-  const key = span.dataset.key;
-  const newText = span.textContent.trim();
-  const changeKey = lang + '::' + key;
+  recordChange(span, span.textContent.trim());
+}
+
+// 셀의 새 텍스트를 변경 목록에 반영 (원래 번역과 같으면 변경 취소)
+function recordChange(span, newText) {
+  const changeKey = span.dataset.lang + '::' + span.dataset.key;
 
   if (newText !== span.dataset.original) {
     changes[changeKey] = newText;
@@ -384,7 +514,11 @@ function finishEdit(span, btn) {
     }
   } else {
     delete changes[changeKey];
+    if (span.nextSibling?.classList?.contains('changed-badge')) span.nextSibling.remove();
   }
+  span.parentNode.querySelectorAll('.candidate').forEach(el => {
+    el.classList.toggle('selected', el.dataset.text === newText);
+  });
 
   document.getElementById('saveBtn').disabled = Object.keys(changes).length === 0;
 }
@@ -397,13 +531,14 @@ function applyFilter() {
     // 검색 필터
     if (search) {
       const inKey = row.key.toLowerCase().includes(search);
-      const inEn = row.en.toLowerCase().includes(search);
+      const inSource = row.source.toLowerCase().includes(search);
       const inLang = LANGS.some(l => row.langs[l].text.toLowerCase().includes(search));
-      if (!inKey && !inEn && !inLang) return false;
+      if (!inKey && !inSource && !inLang) return false;
     }
     // 신뢰도 필터
     if (filter === 'review') return row.minConfidence !== null && row.minConfidence < 80;
     if (filter === 'low') return row.minConfidence !== null && row.minConfidence < 50;
+    if (filter === 'flagged') return row.flagged;
     if (filter === 'no-score') return row.minConfidence === null;
     return true;
   });
@@ -432,6 +567,13 @@ async function saveChanges() {
 
     if (data.success) {
       const count = Object.keys(changes).length;
+      // 저장된 번역은 검토 완료(잠금) 상태로 표시
+      for (const changeKey of Object.keys(changes)) {
+        const idx = changeKey.indexOf('::');
+        const row = ALL_ROWS.find(r => r.key === changeKey.slice(idx + 2));
+        const lang = changeKey.slice(0, idx);
+        if (row) { row.langs[lang].text = changes[changeKey]; row.langs[lang].locked = true; }
+      }
       changes = {};
       status.textContent = count + '개 저장 완료 ✓';
       setTimeout(() => { status.textContent = ''; }, 3000);
@@ -441,6 +583,7 @@ async function saveChanges() {
       document.querySelectorAll('.lang-text').forEach(span => {
         span.dataset.original = span.textContent;
       });
+      applyFilter();
     } else {
       status.textContent = '저장 실패';
       btn.disabled = false;
@@ -482,12 +625,20 @@ const server = createServer(async (req, res) => {
           if (!byLang[lang]) byLang[lang] = {};
           byLang[lang][key] = text;
         }
+        const sourceFlat = nestedToFlat(await readLocale(SOURCE_LANG));
         for (const [lang, updates] of Object.entries(byLang)) {
           const nested = await readLocale(lang);
           for (const [key, text] of Object.entries(updates)) {
             setNestedKey(nested, key, text);
           }
           await writeLocale(lang, nested);
+          // 리뷰어가 수정한 번역은 잠금 → 이후 translate/update가 덮어쓰지 않음
+          await lockKeys(lang, Object.keys(updates));
+          // 리뷰어가 현재 원문을 기준으로 수정했으므로 원문 해시도 갱신
+          await recordSourceHashes(
+            lang,
+            Object.fromEntries(Object.keys(updates).filter(k => k in sourceFlat).map(k => [k, sourceFlat[k]]))
+          );
         }
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ success: true }));
@@ -503,8 +654,8 @@ const server = createServer(async (req, res) => {
   // GET / — 어드민 페이지
   if (req.method === 'GET' && (req.url === '/' || req.url === '')) {
     try {
-      // en.json이 없으면 안내
-      if (!existsSync(path.join(PROJECT_DIR, 'locales', 'en.json'))) {
+      // 원문 locale이 없으면 안내
+      if (!existsSync(path.join(PROJECT_DIR, 'locales', `${SOURCE_LANG}.json`))) {
         res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
         res.end(`<html><body style="font-family:sans-serif;padding:40px">
           <h2>⚠️ 번역 데이터가 없습니다</h2>
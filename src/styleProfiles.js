@@ -0,0 +1,240 @@
+/**
+ * 언어별 어조/스타일 프로필
+ * - 격식(해요체/합니다체, です・ます, tu/vous, du/Sie), 문장부호, 숫자 표기, 금지어
+ * - 번역 프롬프트에 STYLE GUIDE로 주입, 번역 후 기계적으로 검사 가능한 규칙은 'style' QA 플래그
+ * - translate.config.json의 styles로 언어별 재정의 (항목 단위로 덮어씀)
+ *   예: { "styles": { "ko": { "formality": "hamnida", "bannedWords": ["귀하"] } } }
+ */
+import { loadProjectConfig, sourceLang } from './projectConfig.js';
+import { fallbackChain } from './languages.js';
+
+// 격식 수준별 프롬프트 문구 + 검사 패턴 ([정규식, 플래그 메시지])
+const FORMALITY = {
+  ko: {
+    haeyo: {
+      prompt: 'Use the polite 해요체 (…해요, …세요) for full sentences; never 합니다체. Buttons and labels are short noun phrases (저장, 시작하기).',
+      forbid: [['(?:니다|니까)(?=[.!?\\s]|$)', '합니다체 어미 사용 — 해요체로 통일']],
+    },
+    hamnida: {
+      prompt: 'Use the formal 합니다체 (…합니다, …십시오) for full sentences; never 해요체. Buttons and labels are short noun phrases (저장, 시작하기).',
+      forbid: [['(?:[해세어아에예게네래까워와줘져돼봐]요|죠)(?=[.!?\\s]|$)', '해요체 어미 사용 — 합니다체로 통일']],
+    },
+  },
+  ja: {
+    desumasu: {
+      prompt: 'Use the polite です/ます form for sentences; never plain だ/である. Buttons and labels are short noun phrases.',
+      forbid: [['(?:だ|である|だった)(?=[。！？!?]|$)', '常体(だ/である) 사용 — です/ます로 통일']],
+    },
+    plain: {
+      prompt: 'Use the plain だ/である form for sentences; never です/ます.',
+      forbid: [['(?:です|ます|でした|ました)(?=[。！？!?]|$)', '敬体(です/ます) 사용 — 常体로 통일']],
+    },
+  },
+  fr: {
+    vous: {
+      prompt: 'Address the user with "vous" (votre, vos); never "tu".',
+      forbid: [['(?<![\\p{L}])(?:tu|toi|ton|ta|tes)(?![\\p{L}])', '"tu" 사용 — "vous"로 통일', 'iu']],
+    },
+    tu: {
+      prompt: 'Address the user with "tu" (ton, ta, tes); never "vous".',
+      forbid: [['(?<![\\p{L}])(?:vous|votre|vos)(?![\\p{L}])', '"vous" 사용 — "tu"로 통일', 'iu']],
+    },
+  },
+  de: {
+    sie: {
+      prompt: 'Address the user with formal "Sie" (Ihr, Ihnen); never "du".',
+      forbid: [['(?<![\\p{L}])(?:du|dich|dir|dein|deine|deinen|deinem|deiner|deines)(?![\\p{L}])', '"du" 사용 — "Sie"로 통일', 'iu']],
+    },
+    du: {
+      prompt: 'Address the user with informal "du" (dein, dir); never "Sie".',
+      forbid: [['(?<![\\p{L}])(?:Ihr|Ihre|Ihren|Ihrem|Ihrer|Ihres|Ihnen)(?![\\p{L}])', '"Sie" 사용 — "du"로 통일', 'u']],
+    },
+  },
+  es: {
+    tu: { prompt: 'Address the user with "tú"; never "usted".', forbid: [] },
+    usted: { prompt: 'Address the user with "usted"; never "tú".', forbid: [] },
+  },
+  pt: {
+    voce: { prompt: 'Address the user with "você" (Brazilian Portuguese); never "tu".', forbid: [] },
+  },
+};
+
+// 기본 프로필 (formality는 FORMALITY의 키)
+const DEFAULT_PROFILES = {
+  ko: {
+    formality: 'haeyo',
+    punctuation: 'No period at the end of buttons, labels and titles.',
+    thousandsSeparator: ',',
+    bannedWords: ['당신', '귀하'],
+  },
+  ja: {
+    formality: 'desumasu',
+    punctuation: 'Use full-width punctuation (、。！？) in sentences; no 。 at the end of buttons and labels.',
+    thousandsSeparator: ',',
+    bannedWords: ['お前', '貴様'],
+  },
+  zh: {
+    formality: null,
+    punctuation: 'Use full-width punctuation (，。！？：；) between Chinese characters; no 。 at the end of buttons and labels.',
+    thousandsSeparator: ',',
+    bannedWords: [],
+    fullwidthPunctuation: true,
+  },
+  fr: {
+    formality: 'vous',
+    punctuation: 'Put a (non-breaking) space before : ; ! ? and use « » for quotes.',
+    thousandsSeparator: ' ',
+    bannedWords: [],
+    frenchSpacing: true,
+  },
+  de: {
+    formality: 'sie',
+    punctuation: 'Use „…" for quotes. No period at the end of buttons and labels.',
+    thousandsSeparator: '.',
+    bannedWords: [],
+  },
+  es: { formality: 'tu', punctuation: 'Use opening ¿ and ¡ in questions and exclamations.', thousandsSeparator: '.', bannedWords: [] },
+  pt: { formality: 'voce', punctuation: '', thousandsSeparator: '.', bannedWords: [] },
+  ru: { formality: null, punctuation: 'Use «» for quotes.', thousandsSeparator: ' ', bannedWords: [] },
+  tr: { formality: null, punctuation: '', thousandsSeparator: '.', bannedWords: [] },
+  id: { formality: null, punctuation: '', thousandsSeparator: '.', bannedWords: [] },
+  vi: { formality: null, punctuation: '', thousandsSeparator: '.', bannedWords: [] },
+  hi: { formality: null, punctuation: '', thousandsSeparator: ',', bannedWords: [] },
+  ar: { formality: null, punctuation: 'Use Arabic punctuation (، ؛ ؟) in sentences.', thousandsSeparator: ',', bannedWords: [] },
+  // 지역 변형: 상위 언어 프로필에서 다른 항목만
+  'zh-TW': { punctuation: 'Use full-width punctuation (，。！？：；) between Chinese characters and 「」 for quotes; no 。 at the end of buttons and labels.' },
+  'pt-PT': { formality: null, thousandsSeparator: ' ' },
+  'es-MX': { thousandsSeparator: ',' },
+};
+
+// 천 단위 구분자 이름 (프롬프트/메시지용)
+const SEPARATOR_NAMES = { ',': 'comma', '.': 'period', ' ': 'space' };
+
+/**
+ * 격식 표 — 지역 변형은 폴백 체인에서 처음 정의된 언어의 표 사용 (es-MX → es)
+ */
+function formalityTable(lang) {
+  const owner = fallbackChain(lang).find(l => FORMALITY[l]);
+  return owner ? FORMALITY[owner] : {};
+}
+
+/**
+ * 언어별 프로필 (기본값 + 프로젝트 설정 재정의)
+ * - 지역 변형은 상위 언어 프로필 위에 자기 항목을 덮어씀 (zh-TW → zh)
+ */
+export function styleProfile(lang, config = loadProjectConfig()) {
+  const chain = fallbackChain(lang).reverse();
+  const profile = {
+    formality: null,
+    punctuation: '',
+    thousandsSeparator: ',',
+    bannedWords: [],
+    ...Object.assign({}, ...chain.map(l => DEFAULT_PROFILES[l] || {})),
+    ...Object.assign({}, ...chain.map(l => config.styles?.[l] || {})),
+  };
+  if (profile.formality && !formalityTable(lang)[profile.formality]) {
+    const options = Object.keys(formalityTable(lang));
+    throw new Error(
+      `translate.config.json: ${lang}의 formality "${profile.formality}"는 지원하지 않습니다.` +
+      (options.length > 0 ? ` (${options.join(', ')} 중 선택)` : ' (이 언어는 formality 설정 없음)')
+    );
+  }
+  return profile;
+}
+
+/**
+ * 번역 프롬프트용 STYLE GUIDE 섹션
+ */
+export function styleSection(lang, profile = styleProfile(lang)) {
+  const lines = [];
+  if (profile.formality) lines.push(`- Register: ${formalityTable(lang)[profile.formality].prompt}`);
+  if (profile.punctuation) lines.push(`- Punctuation: ${profile.punctuation}`);
+  const separator = SEPARATOR_NAMES[profile.thousandsSeparator] || `"${profile.thousandsSeparator}"`;
+  lines.push(`- Numbers: group thousands with a ${separator} (keep currency symbols and amounts from the source)`);
+  if (profile.bannedWords.length > 0) lines.push(`- Never use these words: ${profile.bannedWords.join(', ')}`);
+  return `\nSTYLE GUIDE (${lang}):\n${lines.join('\n')}\n`;
+}
+
+// 천 단위로 묶인 숫자 ("10,000", "1.250.000", "12 500")
+// - 0으로 시작하는 숫자(0.001 BTC)는 소수, 소수부가 붙은 숫자(1,250.50)는 구분자/소수점을 가릴 수 없어 제외
+const GROUPED_NUMBER_RE = /(?<![\d.,])(\d{1,3})((?:[,. \u00a0\u202f]\d{3})+)(?!\d|[.,]\d)/g;
+
+function groupedNumbers(text) {
+  return [...text.matchAll(GROUPED_NUMBER_RE)]
+    .filter(m => !m[1].startsWith('0'))
+    .map(m => ({
+      text: m[0],
+      digits: m[0].replace(/\D/g, ''),
+      separator: /[ \u00a0\u202f]/.test(m[2][0]) ? ' ' : m[2][0],
+    }));
+}
+
+/**
+ * 번역문 스타일 검사 (기계적으로 확인 가능한 규칙만)
+ * @returns [{ type: 'style', message, hint }]
+ */
+export function lintStyle(lang, source, translated, profile = styleProfile(lang)) {
+  if (typeof translated !== 'string' || !translated) return [];
+  const issues = [];
+  const add = (message, hint) => issues.push({ type: 'style', message, hint });
+
+  // 격식 (어미/호칭)
+  const formality = profile.formality ? formalityTable(lang)[profile.formality] : null;
+  for (const [pattern, message, flags = 'u'] of formality?.forbid || []) {
+    if (new RegExp(pattern, flags).test(translated)) add(message, formality.prompt);
+  }
+
+  // 금지어
+  for (const word of profile.bannedWords) {
+    if (translated.toLowerCase().includes(word.toLowerCase())) {
+      add(`금지어 사용: "${word}"`, `Do not use the word "${word}"`);
+    }
+  }
+
+  // 원문에 없는 끝 마침표 (버튼/라벨)
+  const endsWithPeriod = text => /[.。．]$/.test(text.trim());
+  if (!endsWithPeriod(source) && endsWithPeriod(translated)) {
+    add('원문에 없는 끝 마침표', 'Remove the trailing period — the source has none');
+  }
+
+  // 천 단위 구분자 — 원문에서도 천 단위로 묶인 같은 숫자만 검사
+  const expected = profile.thousandsSeparator;
+  // 원문 언어의 구분자로 묶인 숫자만 천 단위 숫자로 봄 (영어 원문의 2.100 같은 버전 번호 제외)
+  const sourceSeparator = styleProfile(sourceLang()).thousandsSeparator;
+  const sourceNumbers = new Set(
+    groupedNumbers(source).filter(n => n.separator === sourceSeparator).map(n => n.digits)
+  );
+  for (const { text, digits, separator } of groupedNumbers(translated)) {
+    if (sourceNumbers.has(digits) && separator !== expected) {
+      const name = SEPARATOR_NAMES[expected] || expected;
+      add(`숫자 표기: ${text} — 천 단위 구분자 "${expected}" 사용`, `Group thousands with a ${name} (e.g. ${text.replace(/[,. \u00a0\u202f]/g, expected)})`);
+      break;
+    }
+  }
+
+  // 중국어 전각 문장부호
+  if (profile.fullwidthPunctuation && /[\u4e00-\u9fff][,!?;:](?=[\u4e00-\u9fff])/.test(translated)) {
+    add('반각 문장부호 사용 — 전각(，！？；：)으로 통일', 'Use full-width punctuation (，！？；：) between Chinese characters');
+  }
+
+  // 프랑스어 문장부호 앞 공백
+  if (profile.frenchSpacing && /[\p{L}\p{N}][!?;:](?=\s|$)/u.test(translated)) {
+    add('프랑스어 문장부호(: ; ! ?) 앞 공백 누락', 'Put a non-breaking space before : ; ! ? as in French typography');
+  }
+
+  return issues;
+}
+
+/**
+ * 배치 전체 검사
+ * @returns { key: issues[] } — 문제 있는 키만 포함
+ */
+export function lintStyleBatch(lang, sourceMap, translatedMap) {
+  const profile = styleProfile(lang);
+  const result = {};
+  for (const [key, source] of Object.entries(sourceMap)) {
+    const issues = lintStyle(lang, source, translatedMap[key], profile);
+    if (issues.length > 0) result[key] = issues;
+  }
+  return result;
+}
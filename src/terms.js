@@ -0,0 +1,233 @@
+/**
+ * 원문 용어 후보 추출 (오프라인 — API 호출 없음)
+ * - locales/<원문>.json에서 반복되는 여러 단어 표현, 제품/고유 명사, 대문자 구문을 찾아
+ *   등장 횟수(문자열 수)와 화면 분산(키 경로 첫 단계 수)으로 순위를 매김
+ * - 결과: .cache/term-candidates.json — 손으로 검토 후 research가 이 용어들을 조사
+ *   필요 없는 용어는 "skip": true로 표시 (다시 추출해도 유지)
+ * - 번역 금지 용어(translate.config.json doNotTranslate)는 조사할 필요가 없어 제외
+ * - 단어는 공백/문장부호로 나눔 → 띄어쓰기가 없는 원문(zh/ja)은 구문 단위로만 잡힘
+ *
+ * 실행: npm run terms [-- --min <횟수>] [-- --limit <개수>]
+ */
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { PROJECT_DIR } from './config.js';
+import { nestedToFlat } from './keyGen.js';
+import { readLocale } from './locales.js';
+import { screenOf } from './batching.js';
+import { loadProjectConfig, sourceLang } from './projectConfig.js';
+
+const TERMS_FILE = path.join(PROJECT_DIR, '.cache', 'term-candidates.json');
+
+const DEFAULT_MIN_COUNT = 2;
+const DEFAULT_LIMIT = 200;
+const MAX_WORDS = 4;
+
+// 자리표시자/태그는 용어가 아님 → 구간 경계로 취급
+const NON_TEXT_RE = /\{\{[^}]*\}\}|\{[^}]*\}|%\d*\$?[sd]|:[a-z_]\w*|<[^>]+>/g;
+// 문장부호/줄바꿈에서 구간을 나눔 (구간을 넘는 n-gram은 만들지 않음)
+const SEGMENT_SPLIT_RE = /[\n.,!?;:()[\]"“”|/·•…—–]+/u;
+const WORD_RE = /[\p{L}\p{N}][\p{L}\p{N}&'’-]*/gu;
+
+// 영어 기능어 — 여러 단어 표현의 처음/끝에 올 수 없음 (원문이 영어일 때만 적용)
+const EN_STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'nor', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'from', 'with',
+  'into', 'onto', 'over', 'under', 'about', 'as', 'per', 'via', 'vs', 'is', 'are', 'was', 'were', 'be', 'been',
+  'am', 'do', 'does', 'did', 'has', 'have', 'had', 'will', 'can', 'could', 'should', 'would', 'may', 'might',
+  'must', 'not', 'no', 'yes', 'it', 'its', 'this', 'that', 'these', 'those', 'you', 'your', 'yours', 'we',
+  'our', 'us', 'i', 'my', 'me', 'he', 'she', 'they', 'them', 'their', 'all', 'any', 'each', 'every', 'some',
+  'more', 'most', 'less', 'than', 'then', 'so', 'if', 'when', 'while', 'up', 'out', 'off', 'just', 'now',
+  'here', 'there', 'what', 'which', 'who', 'how', 'why', 'get', 'got', 'let', 'lets', "let's",
+]);
+// 용어 안쪽에는 허용하는 기능어 ("Terms of Service", "Profit and Loss")
+const EN_INNER_WORDS = new Set(['of', 'and', '&']);
+
+// ──────────────────────────────────────────────
+// 추출
+// ──────────────────────────────────────────────
+
+const isCapitalized = word => /^\p{Lu}/u.test(word);
+// 약어/제품명: 전부 대문자(USDT) 또는 대소문자 혼합(PnL, TradingView)
+const isProductLike = word => /^\p{Lu}[\p{Lu}\p{N}&]+$/u.test(word) || /\p{Ll}\p{Lu}/u.test(word);
+
+/**
+ * 원문 → 용어 후보 목록 (점수 내림차순)
+ * @param sourceFlat { key: 원문 }
+ * @returns [{ term, kind, count, screens, score, keys }]
+ *   kind: phrase(여러 단어 표현) | capitalized(대문자 구문) | noun(제품/고유 명사, 약어)
+ */
+export function mineTerms(sourceFlat, {
+  lang = sourceLang(),
+  minCount = DEFAULT_MIN_COUNT,
+  limit = DEFAULT_LIMIT,
+  exclude = loadProjectConfig().doNotTranslate,
+} = {}) {
+  const stopwords = lang === 'en' ? EN_STOPWORDS : new Set();
+  const innerWords = lang === 'en' ? EN_INNER_WORDS : new Set();
+  const excluded = new Set(exclude.map(t => t.toLowerCase()));
+  const found = new Map(); // 소문자 용어 → { forms: Map(표기 → 횟수), keys: Set, screens: Set, words }
+
+  for (const [key, text] of Object.entries(sourceFlat)) {
+    const seenInKey = new Set();
+    for (const segment of text.replace(NON_TEXT_RE, '\n').split(SEGMENT_SPLIT_RE)) {
+      const words = segment.match(WORD_RE) || [];
+      // 제목식 대문자 표기("Get Started Now")의 단어 하나하나는 고유 명사로 보지 않음
+      const titleCase = words.length > 1 && words.every(w => isCapitalized(w) || stopwords.has(w.toLowerCase()));
+      for (let start = 0; start < words.length; start++) {
+        for (let n = 1; n <= MAX_WORDS && start + n <= words.length; n++) {
+          const gram = words.slice(start, start + n);
+          if (!isTermLike(gram, { midSentence: start > 0 && !titleCase, stopwords, innerWords })) continue;
+          const term = gram.join(' ');
+          const id = term.toLowerCase();
+          if (excluded.has(id)) continue;
+
+          if (!found.has(id)) found.set(id, { forms: new Map(), keys: new Set(), screens: new Set(), words: n });
+          const entry = found.get(id);
+          entry.forms.set(term, (entry.forms.get(term) || 0) + 1);
+          // 같은 문자열 안의 반복은 한 번만 (등장 횟수 = 용어가 나오는 문자열 수)
+          if (!seenInKey.has(id)) {
+            seenInKey.add(id);
+            entry.keys.add(key);
+            entry.screens.add(screenOf(key));
+          }
+        }
+      }
+    }
+  }
+
+  const candidates = [...found.values()]
+    .filter(entry => entry.keys.size >= minCount)
+    .map(entry => {
+      const term = [...entry.forms].sort((a, b) => b[1] - a[1])[0][0]; // 가장 많이 쓰인 표기
+      return {
+        term,
+        kind: entry.words === 1 ? 'noun' : term.split(' ').every(w => isCapitalized(w) || innerWords.has(w)) ? 'capitalized' : 'phrase',
+        count: entry.keys.size,
+        screens: entry.screens.size,
+        score: termScore(entry.keys.size, entry.screens.size, entry.words),
+        keys: [...entry.keys].slice(0, 5),
+      };
+    });
+
+  return dropSubsumed(candidates)
+    .sort((a, b) => b.score - a.score || b.count - a.count || a.term.localeCompare(b.term))
+    .slice(0, limit);
+}
+
+/**
+ * n-gram이 용어 후보가 될 수 있는지
+ * - 한 단어: 제품명/약어, 또는 문장 중간의 대문자 단어만 (일반 소문자 단어는 제외)
+ * - 여러 단어: 기능어가 없고(안쪽의 of/and는 허용) 숫자만으로 된 단어가 없어야 함
+ */
+function isTermLike(gram, { midSentence, stopwords, innerWords }) {
+  if (gram.some(word => /^\p{N}+$/u.test(word))) return false;
+  if (gram.length === 1) {
+    const [word] = gram;
+    if (word.length < 2 || stopwords.has(word.toLowerCase())) return false;
+    return isProductLike(word) || (isCapitalized(word) && midSentence);
+  }
+  const lower = gram.map(word => word.toLowerCase());
+  if (stopwords.has(lower[0]) || stopwords.has(lower[lower.length - 1])) return false;
+  return !lower.slice(1, -1).some(word => stopwords.has(word) && !innerWords.has(word));
+}
+
+// 점수: 등장 횟수 × 화면 분산 가중치 × 여러 단어 가중치 (여러 화면에 걸친 긴 표현일수록 용어일 가능성이 높음)
+function termScore(count, screens, words) {
+  return Math.round(count * Math.log2(screens + 1) * (1 + 0.25 * (words - 1)) * 10) / 10;
+}
+
+// 더 긴 후보 안에 포함되고 등장 횟수가 같은 짧은 후보는 제거 ("Prop" ⊂ "Prop Trading")
+function dropSubsumed(candidates) {
+  const padded = term => ` ${term.toLowerCase()} `;
+  return candidates.filter(candidate => !candidates.some(other =>
+    other !== candidate &&
+    other.count === candidate.count &&
+    other.term.length > candidate.term.length &&
+    padded(other.term).includes(padded(candidate.term))
+  ));
+}
+
+// ──────────────────────────────────────────────
+// 저장/로드
+// ──────────────────────────────────────────────
+
+export async function loadTermCandidates() {
+  if (!existsSync(TERMS_FILE)) return null;
+  try {
+    return JSON.parse(await readFile(TERMS_FILE, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 후보 저장 — 이전 파일에서 손으로 표시한 skip은 같은 용어에 그대로 유지
+ */
+export async function saveTermCandidates(terms, lang = sourceLang()) {
+  const previous = await loadTermCandidates();
+  const skipped = new Set((previous?.terms || []).filter(t => t.skip).map(t => t.term.toLowerCase()));
+  const data = {
+    _generated_at: new Date().toISOString(),
+    sourceLanguage: lang,
+    terms: terms.map(t => (skipped.has(t.term.toLowerCase()) ? { ...t, skip: true } : t)),
+  };
+  const cacheDir = path.dirname(TERMS_FILE);
+  if (!existsSync(cacheDir)) await mkdir(cacheDir, { recursive: true });
+  await writeFile(TERMS_FILE, JSON.stringify(data, null, 2), 'utf-8');
+  return data;
+}
+
+/**
+ * research가 조사할 용어 (skip 제외, 점수 순) — 후보 파일이 없거나 다른 원문 언어 기준이면 null
+ */
+export async function researchTerms(lang = sourceLang(), limit = DEFAULT_LIMIT) {
+  const data = await loadTermCandidates();
+  if (!data || data.sourceLanguage !== lang) return null;
+  const terms = data.terms.filter(t => !t.skip).map(t => t.term).slice(0, limit);
+  return terms.length > 0 ? terms : null;
+}
+
+// CLI 직접 실행 시
+if (process.argv[1].endsWith('terms.js')) {
+  const numberFlag = (name, fallback) => {
+    const idx = process.argv.indexOf(name);
+    if (idx === -1) return fallback;
+    const value = Number(process.argv[idx + 1]);
+    if (!Number.isInteger(value) || value < 1) {
+      console.error(`❌ ${name}에는 1 이상의 정수를 지정하세요.`);
+      process.exit(1);
+    }
+    return value;
+  };
+
+  const lang = sourceLang();
+  const minCount = numberFlag('--min', DEFAULT_MIN_COUNT);
+  const limit = numberFlag('--limit', DEFAULT_LIMIT);
+
+  const run = async () => {
+    const sourceFlat = nestedToFlat(await readLocale(lang));
+    if (Object.keys(sourceFlat).length === 0) {
+      throw new Error(`locales/${lang}.json이 없거나 비어있습니다. 먼저 extract를 실행하세요.`);
+    }
+    console.log(`\n🔎 locales/${lang}.json에서 용어 후보 추출 중... (${Object.keys(sourceFlat).length}개 문자열, ${minCount}회 이상)`);
+
+    const { terms } = await saveTermCandidates(mineTerms(sourceFlat, { lang, minCount, limit }), lang);
+    if (terms.length === 0) {
+      console.log('   조건에 맞는 용어가 없습니다. (--min 1로 한 번만 나온 용어도 포함 가능)');
+      return;
+    }
+
+    console.log(`\n📋 상위 용어 후보 (${terms.length}개 중 ${Math.min(20, terms.length)}개):`);
+    for (const { term, kind, count, screens, score, skip } of terms.slice(0, 20)) {
+      console.log(`   ${String(score).padStart(6)}  ${term}  (${kind}, ${count}회 · ${screens}개 화면)${skip ? '  [skip]' : ''}`);
+    }
+    console.log(`\n💾 저장: ${TERMS_FILE}`);
+    console.log('   필요 없는 용어는 "skip": true로 표시한 뒤 npm run research를 실행하세요.\n');
+  };
+
+  run().catch(err => {
+    console.error('❌ 오류:', err.message);
+    process.exit(1);
+  });
+}
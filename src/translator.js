@@ -1,192 +1,869 @@
 /**
- * Claude API 기반 번역기
- * - 1단계: 번역 (실제 플랫폼 용어집 참고, Sonnet 사용)
+ * LLM 기반 번역기
+ * - 1단계: 번역 (실제 플랫폼 용어집 참고, 화면 단위 배치 + 같은 화면 문자열을 문맥으로 첨부)
+ * - 1-2단계: 구조 검증 (자리표시자/태그/줄바꿈/공백) → 불일치 키는 교정 재시도, 남으면 QA 플래그
+ * - 1-3단계: 길이 예산 검사 (Figma 텍스트 박스 기준) → 초과 키는 QA 플래그
+ * - 1-4단계: 용어집 준수 검사 → 위반 키는 QA 플래그 (glossaryRetry 시 교정 재시도)
+ * - 1-5단계: 스타일 검사 (언어별 어조/문장부호/숫자 표기/금지어 프로필) → 위반 키는 QA 플래그
  * - 2단계: 신뢰도 점수 (별도 호출, 실패해도 번역 결과에 영향 없음)
+ *   qaMode 'backtranslate': 모델 자기 평가 대신 역번역 + 의미 판정 점수 + 키별 사유 (_reasons)
+ * - 실제 API 호출은 프로바이더가 담당 (providers/ — anthropic, openai, mock)
+ * - 모든 호출은 공유 Scheduler를 거침 (동시 실행/속도 제한/재시도) → 배치는 병렬 처리
+ * - 규칙/스타일/용어집은 언어별 고정 시스템 프롬프트 → 프롬프트 캐시로 배치마다 재전송 비용 절감
+ * - 호출마다 토큰 사용량을 UsageLedger에 기록, 비용 상한 도달 시 남은 배치는 건너뜀
+ * - 끝난 배치는 체크포인트 저널에 기록 → resume 시 중단된 실행의 완료 키를 건너뜀
+ * - 원문 언어는 설정 가능 (SOURCE_LANG / translate.config.json sourceLanguage, 기본 en) — 프롬프트에 반영
+ * - instruction: 재번역 시 추가 지시("더 짧게", "격식체로") + 현재 번역을 함께 보내 개선 요청
+ * - batch API 모드: 모든 언어의 배치를 Message Batches API로 한 번에 제출 (50% 할인)
+ *   배치 ID는 .cache/batch-job.json에 저장 → 결과가 늦으면 다음 실행에서 이어받음
+ * - 지역 변형(adaptFlatMap): 상위 언어 번역을 보내 지역 차이가 필요한 키만 재정의로 받음 (variants.js)
+ * - 번역 후보(generateCandidates): 키마다 접근이 다른 대안 N개 + 근거 → 리뷰 화면에서 선택 (candidates.js)
  */
-import Anthropic from '@anthropic-ai/sdk';
 import { readFile, writeFile, mkdir } from 'fs/promises';
 import { existsSync } from 'fs';
 import path from 'path';
 import { PROJECT_DIR } from './config.js';
-import { loadGlossary } from './research.js';
-
-const LANGUAGES = {
-  ko: 'Korean (한국어)',
-  zh: 'Chinese Simplified (简体中文)',
-  ja: 'Japanese (日本語)',
-  id: 'Indonesian (Bahasa Indonesia)',
-  hi: 'Hindi (हिन्दी)',
-  tr: 'Turkish (Türkçe)',
-  vi: 'Vietnamese (Tiếng Việt)',
-  pt: 'Portuguese Brazilian (Português do Brasil)',
-  ru: 'Russian (Русский)',
-  de: 'German (Deutsch)',
-  es: 'Spanish (Español)',
-  fr: 'French (Français)',
-};
-
-// 번역: Sonnet (Haiku보다 품질이 훨씬 높음, 실제 플랫폼 표현 이해도 우수)
-const TRANSLATE_MODEL  = 'claude-sonnet-4-6';
-const CONFIDENCE_MODEL = 'claude-haiku-4-5-20251001'; // 신뢰도 점수는 Haiku로 충분
-
-// CJK(ko/zh/ja)는 영어 대비 텍스트 길이가 비슷하거나 짧음 → 50개 배치 가능
+import { loadGlossary, glossaryFor, lockedTerms } from './glossary.js';
+import { recordSourceHashes, renameLangKeys } from './cache.js';
+import { createProvider } from './providers/index.js';
+import { validateBatch, validateTranslation, STRUCTURE_ISSUE_TYPES } from './validator.js';
+import { loadBudgets, maxCharsFor, checkLengthBudgets } from './lengthBudget.js';
+import { Scheduler } from './scheduler.js';
+import { withFileQueue } from './fileQueue.js';
+import { BudgetExceededError, estimateCost, BATCH_MULTIPLIER } from './usage.js';
+import { appendCheckpoint, loadCheckpoint } from './checkpoint.js';
+import { loadBatchJob, saveBatchJob, clearBatchJob } from './batchJob.js';
+import { planBatches, estimateTokens } from './batching.js';
+import { scoreBackTranslation, buildJudgePrompt } from './backTranslation.js';
+import { checkGlossaryCompliance } from './glossaryCheck.js';
+import { compileProtectRules, maskBatch, maskTextLike, unmaskBatch, unmaskText, hasTranslatableText } from './protect.js';
+import { styleProfile, styleSection, lintStyle, lintStyleBatch } from './styleProfiles.js';
+import { sourceLang as configuredSourceLang } from './projectConfig.js';
+import { isSupportedLang, isWideScript, langName } from './languages.js';
+
+// 전각 문자 언어(ko/zh/ja, languages.js의 isWideScript)는 영어 대비 텍스트 길이가 비슷하거나 짧음 → 50개 배치 가능
 // 기타 언어(hi/ar/vi/pt 등)는 영어보다 3~5배 길어 토큰 초과 위험 → 25개로 제한
-const CJK_LANGS = new Set(['ko', 'zh', 'ja']);
 const TRANSLATE_BATCH_SIZE_CJK   = 50;
 const TRANSLATE_BATCH_SIZE_OTHER = 25;
+// 배치당 원문 토큰 예산 — 기타 언어는 출력이 최대 5배 → 응답 8192 토큰 안에 들어오도록
+const TRANSLATE_BATCH_TOKENS_CJK   = 2400;
+const TRANSLATE_BATCH_TOKENS_OTHER = 1200;
 const CONFIDENCE_BATCH_SIZE = 80;
 
+// 비용 추정(--dry-run)용 출력/원문 토큰 비율 — 실제 사용량 기준 대략치
+const OUTPUT_TOKEN_RATIO_CJK   = 1.2;
+const OUTPUT_TOKEN_RATIO_OTHER = 1.8;
+const SCORE_OUTPUT_TOKENS_PER_KEY = 8;
+const CANDIDATE_RATIONALE_TOKENS = 25; // 후보 1개당 style/rationale 출력
+const JUDGE_OUTPUT_TOKENS_PER_KEY = 20; // 의미 판정 점수 + 짧은 근거
+const PROMPT_OVERHEAD_TOKENS = 150;
+
+// Message Batches API 결과 대기 (환경변수로 조정, 대기 시간 0이면 제출만 하고 종료)
+const BATCH_POLL_SECONDS = Number(process.env.BATCH_POLL_SECONDS || 30);
+const BATCH_MAX_WAIT_MINUTES = Number(process.env.BATCH_MAX_WAIT_MINUTES ?? 60);
+
 const CONFIDENCE_FILE = path.join(PROJECT_DIR, '.cache', 'confidence.json');
 
 // ──────────────────────────────────────────────
-// 번역에서 영어 그대로 유지할 용어 (진짜 고유명사/약어만)
+// 번역하지 않고 원문 표기 그대로 유지할 용어
+// 프로젝트별 용어/정규식은 translate.config.json → 마스킹 토큰으로 보호 (protect.js)
 // ──────────────────────────────────────────────
-const KEEP_IN_ENGLISH = `
-Service name: "Whalebase" — always keep exactly as "Whalebase" in all languages, never translate or transliterate
-Cryptocurrency tickers: BTC, ETH, SOL, USDT, USDC, BNB (and any other crypto tickers)
-Financial abbreviations: PnL, P&L, ROI, APY, APR, AML, KYC
-Chart indicators: RSI, MACD, EMA, SMA, VWAP, ATR, OBV
-Order type abbreviations: OCO, GTC, GTD, IOC, FOK
-Brand/product names that are proper nouns
-`.trim();
+const KEEP_UNTRANSLATED = 'proper nouns, brand/product names, cryptocurrency tickers and financial abbreviations';
 
 export class Translator {
-  constructor(apiKey) {
-    this.client = new Anthropic({ apiKey });
+  constructor({
+    provider = createProvider(),
+    scheduler = new Scheduler(),
+    ledger = null,
+    resume = false,
+    qaMode = 'selfrate',
+    glossaryRetry = false,
+    instruction = null,
+    sourceLang = configuredSourceLang(),
+  } = {}) {
+    if (!isSupportedLang(sourceLang)) throw new Error(`지원하지 않는 원문 언어: ${sourceLang}`);
+    this.provider = provider;
+    this.sourceLang = sourceLang;
+    this.sourceName = langName(sourceLang);
+    this.instruction = instruction;
+    this.qaMode = qaMode;
+    this.glossaryRetry = glossaryRetry;
+    this.scheduler = scheduler;
+    this.ledger = ledger;
+    this.resume = resume;
+    this.progress = scheduler.progress;
     this._glossaryCache = null;
+    this._budgetCache = null;
+    this._protectCache = {};
+    this._systemCache = {};
+    this._previousCache = {}; // 언어별 현재 번역 (instruction과 함께 프롬프트에 첨부)
+  }
+
+  // 진행률 표시줄과 겹치지 않게 로그 출력
+  _log(message) {
+    this.progress.log(message);
+  }
+
+  // 프로바이더 호출: 비용 상한 확인 → Scheduler 경유 → 사용량 기록
+  async _call(targetLang, request) {
+    const result = await this.scheduler.run(() => {
+      this.ledger?.assertWithinBudget();
+      return request();
+    });
+    this.ledger?.record({ model: result.model, lang: targetLang, usage: result.usage });
+    return result;
+  }
+
+  async _getBudgets() {
+    if (!this._budgetCache) {
+      this._budgetCache = await loadBudgets();
+    }
+    return this._budgetCache;
   }
 
   async _getGlossary(lang) {
     if (!this._glossaryCache) {
       this._glossaryCache = await loadGlossary();
     }
-    return this._glossaryCache[lang] || {};
+    return glossaryFor(this._glossaryCache, lang);
   }
 
   // ──────────────────────────────────────────────
   // 메인: 번역 실행 (신뢰도 점수는 별도)
   // ──────────────────────────────────────────────
-  async translateFlatMap(flatMap, targetLang) {
-    const langName = LANGUAGES[targetLang];
-    if (!langName) throw new Error(`지원하지 않는 언어: ${targetLang}`);
+  /**
+   * @param context  문맥용 전체 원문 { key: en } — 같은 화면의 번역 대상이 아닌 문자열도 참고
+   *                 (기본: flatMap 자체, update처럼 일부 키만 번역할 때 전체 en을 전달)
+   * @param previous 현재 번역 { key: 번역 } — instruction이 있을 때 개선 대상으로 프롬프트에 첨부
+   */
+  async translateFlatMap(flatMap, targetLang, { context = flatMap, previous = {} } = {}) {
+    const glossary = await this._prepareLanguage(targetLang);
+    this._previousCache[targetLang] = previous;
+
+    const entries = Object.entries(flatMap);
+    const translatedResult = {};
+
+    // 중단된 실행 이어하기: 체크포인트에서 원문이 그대로인 키 복원 (검증/점수는 다시 수행)
+    if (this.resume) {
+      Object.assign(translatedResult, await loadCheckpoint(targetLang, flatMap));
+      const restoredCount = Object.keys(translatedResult).length;
+      if (restoredCount > 0) {
+        this._log(`   ♻️  [${targetLang}] 체크포인트에서 ${restoredCount}/${entries.length}개 복원`);
+      }
+    }
+    const pending = entries.filter(([key]) => !(key in translatedResult));
+
+    // 1단계: 번역 (화면 단위 배치 병렬 — 동시 요청 수는 Scheduler가 제한)
+    const batches = this._planBatches(Object.fromEntries(pending), targetLang, { ...context, ...flatMap });
+    const progressLabel = `${targetLang} 번역`;
+    this.progress.add(progressLabel, batches.length);
+    const translatedBatches = await Promise.all(batches.map(async ({ batch, context: screenContext }) => {
+      try {
+        const translated = await this._translateProtected(batch, targetLang, glossary, screenContext);
+        await appendCheckpoint(targetLang, batch, translated);
+        return translated;
+      } catch (err) {
+        // 비용 상한 도달: 이 배치는 건너뛰고 완료된 배치만 반환
+        if (err instanceof BudgetExceededError) return {};
+        throw err;
+      } finally {
+        this.progress.tick(progressLabel);
+      }
+    }));
+    for (const translated of translatedBatches) Object.assign(translatedResult, translated);
+
+    return this._finishLanguage(flatMap, translatedResult, targetLang, glossary);
+  }
+
+  // ──────────────────────────────────────────────
+  // 지역 변형: 상위 언어 번역 → 필요한 키만 재정의 (es-MX ← es)
+  // ──────────────────────────────────────────────
+  /**
+   * @param flatMap    원문 { key: text } — 상위 언어 번역이 없는 키는 건너뜀 (다음 실행에서 처리)
+   * @param parentFlat 상위 언어 번역 { key: 번역 }
+   * @param previous   현재 재정의 { key: 번역 } — instruction이 있을 때 함께 첨부
+   * @returns { overrides: { key: 번역 }, inherited: [key] } — inherited는 상위 번역을 그대로 쓰는 키
+   */
+  async adaptFlatMap(flatMap, parentFlat, targetLang, parentLang, { context = flatMap, previous = {} } = {}) {
+    const glossary = await this._prepareLanguage(targetLang);
+    this._previousCache[targetLang] = previous;
+
+    const adaptable = Object.fromEntries(Object.entries(flatMap).filter(([key]) => parentFlat[key]));
+    const batches = this._planBatches(adaptable, targetLang, { ...context, ...flatMap });
+    const progressLabel = `${targetLang} 변형`;
+    this.progress.add(progressLabel, batches.length);
+    const skipped = { batch: {}, changed: {}, broken: [] };
+    const adaptedBatches = await Promise.all(batches.map(async ({ batch }) => {
+      try {
+        const adapted = await this._adaptBatch(batch, parentFlat, targetLang, parentLang, glossary);
+        return adapted ? { batch, ...adapted } : skipped;
+      } catch (err) {
+        if (err instanceof BudgetExceededError) return skipped;
+        throw err;
+      } finally {
+        this.progress.tick(progressLabel);
+      }
+    }));
+
+    const overrides = {};
+    const inherited = [];
+    const broken = [];
+    for (const { batch, changed, broken: batchBroken } of adaptedBatches) {
+      broken.push(...batchBroken);
+      for (const key of Object.keys(batch)) {
+        if (key in changed) overrides[key] = changed[key];
+        else if (!batchBroken.includes(key)) inherited.push(key);
+      }
+    }
+    this._log(`   🧬 [${targetLang}] ${parentLang} 번역 기준 — 재정의 ${Object.keys(overrides).length}개 · 상속 ${inherited.length}개`);
+    if (broken.length > 0) {
+      this._log(`   ⚠️  [${targetLang}] 보호 토큰 누락/오류 ${broken.length}개 — 교정 단계에서 다시 번역`);
+    }
+
+    // 상속 키도 원문 해시를 기록해 두어야 원문이 바뀌었을 때 오래된 변형으로 감지됨
+    await recordSourceHashes(targetLang, Object.fromEntries(inherited.map(key => [key, flatMap[key]])));
+    // 토큰이 맞지 않은 키는 번역 없이 넘겨 구조 검증(누락) → 교정 단계에서 다시 번역
+    const overrideSources = Object.fromEntries([...Object.keys(overrides), ...broken].map(key => [key, flatMap[key]]));
+    await this._finishLanguage(overrideSources, overrides, targetLang, glossary);
+    return { overrides, inherited };
+  }
+
+  // 변형 시스템 프롬프트 (상위/대상 언어 쌍별 고정 — 프롬프트 캐시 대상)
+  _adaptSystemPrompt(targetLang, parentLang, glossary = {}) {
+    const cacheKey = `${parentLang}>${targetLang}`;
+    if (this._systemCache[cacheKey]) return this._systemCache[cacheKey];
+
+    const targetName = langName(targetLang);
+    const parentName = langName(parentLang);
+    const glossaryEntries = Object.entries(glossary).filter(([term]) => !term.startsWith('_'));
+    const glossarySection = glossaryEntries.length > 0
+      ? `\nREFERENCE GLOSSARY (terms actually used on real ${targetName} trading platforms):
+${glossaryEntries.map(([term, tr]) => `  "${term}" → "${tr}"`).join('\n')}\n`
+      : '';
+
+    this._systemCache[cacheKey] = `You adapt ${parentName} UI translations for ${targetName} users.
+This is a professional prop trading and cryptocurrency platform UI.
+${styleSection(targetLang)}${glossarySection}
+Each item has the ${this.sourceName} source and the current ${parentName} translation.
+Change a translation only when ${targetName} users would find it wrong or unnatural:
+regional vocabulary and spelling, writing system (e.g. Simplified → Traditional Chinese characters),
+currency and number wording, and forms of address.
+
+Rules:
+- Return ONLY a JSON object with the keys that need a change, mapped to the adapted ${targetName} text
+- Omit keys that are already correct for ${targetName}. Return {} if nothing needs to change
+- Keep template variables ({variable}, {{var}}, %s, %d, :var), HTML tags and ${KEEP_UNTRANSLATED} exactly as in the current translation
+- Tokens like ⟦0⟧, ⟦1⟧ mark protected terms — each token of the source must appear exactly once, unchanged, in the adapted text
+- No markdown, no explanation, nothing else.`;
+    return this._systemCache[cacheKey];
+  }
+
+  /**
+   * 변형 배치 1개 → { changed: 바뀐 키만 { key: 번역 }, broken: [보호 토큰이 맞지 않은 키] }
+   * - 원문/상위 번역/현재 재정의를 같은 토큰 번호로 마스킹해 보내고 응답은 원문 spans로 복원 (_translateProtected와 같은 보호)
+   * - 상위 번역과 같은 값은 상속으로 처리
+   * 파싱에 끝내 실패하면 null — 배치 전체를 건너뜀 (상속으로 기록하지 않음)
+   */
+  async _adaptBatch(batch, parentFlat, targetLang, parentLang, glossary, retryCount = 0) {
+    const { masked, spans } = this._maskBatch(batch, targetLang);
+    const protect = this._protectCache[targetLang];
+    const maskLike = (key, text) => maskTextLike(text, spans[key] || [], protect);
+    const items = Object.fromEntries(
+      Object.entries(masked).map(([key, source]) => [key, { source, current: maskLike(key, parentFlat[key]) }])
+    );
+    let instructionSection = '';
+    if (this.instruction) {
+      const previous = this._previousCache[targetLang] || {};
+      const current = Object.keys(batch).filter(key => previous[key]);
+      instructionSection = `ADDITIONAL INSTRUCTION (applies to every value in this request): ${this.instruction}\n\n` +
+        (current.length > 0
+          ? `CURRENT ${targetLang} OVERRIDES (revise these following the instruction above):
+${current.map(key => `  "${key}": ${JSON.stringify(maskLike(key, previous[key]))}`).join('\n')}\n\n`
+          : '');
+    }
+    const system = this._adaptSystemPrompt(targetLang, parentLang, glossary);
+    const prompt = `${instructionSection}Adapt these ${langName(parentLang)} translations for ${langName(targetLang)}:
+
+${JSON.stringify(items, null, 2)}`;
+
+    const currentBatch = Object.fromEntries(Object.entries(items).map(([key, { current }]) => [key, current]));
+    const { text } = await this._call(
+      targetLang, () => this.provider.translateBatch({ batch: currentBatch, targetLang, system, prompt, maxTokens: 8192 })
+    );
+
+    let parsed;
+    try {
+      parsed = JSON.parse(extractJsonText(text.trim()));
+    } catch {
+      if (retryCount < 2) {
+        this._log(`   ⚠️  [${targetLang}] 변형 응답 파싱 실패, 재시도 (${retryCount + 1}/2)...`);
+        return this._adaptBatch(batch, parentFlat, targetLang, parentLang, glossary, retryCount + 1);
+      }
+      this._log(`   ❌ [${targetLang}] 변형 응답 파싱 실패 — 해당 배치는 기존 번역 유지`);
+      return null;
+    }
+
+    const changed = {};
+    const broken = [];
+    for (const [key, value] of Object.entries(parsed)) {
+      if (!(key in batch) || typeof value !== 'string' || !value) continue;
+      const restored = unmaskText(value, spans[key] || []);
+      if (restored === null) broken.push(key);
+      else if (restored !== parentFlat[key]) changed[key] = restored;
+    }
+    return { changed, broken };
+  }
+
+  // ──────────────────────────────────────────────
+  // 번역 후보: 키마다 접근이 다른 대안 N개 + 짧은 근거 (리뷰어가 고르거나 합침)
+  // locale 파일/QA 점수는 건드리지 않음 — 저장은 호출 측(candidates.js)
+  // ──────────────────────────────────────────────
+  /**
+   * @param count 키당 후보 수
+   * @returns { key: [{ text, style, rationale, problems: [메시지] }] } — 구조/스타일 문제는 problems에 표시
+   */
+  async generateCandidates(flatMap, targetLang, { count = 3, context = flatMap, previous = {} } = {}) {
+    const glossary = await this._prepareLanguage(targetLang);
+    this._previousCache[targetLang] = previous;
+
+    // 응답이 키당 count배 → 배치를 그만큼 작게
+    const batches = this._planBatches(flatMap, targetLang, { ...context, ...flatMap }, count);
+    const progressLabel = `${targetLang} 후보`;
+    this.progress.add(progressLabel, batches.length);
+    const candidateBatches = await Promise.all(batches.map(async ({ batch, context: screenContext }) => {
+      try {
+        return await this._candidateBatch(batch, targetLang, glossary, screenContext, count);
+      } catch (err) {
+        if (err instanceof BudgetExceededError) return {};
+        throw err;
+      } finally {
+        this.progress.tick(progressLabel);
+      }
+    }));
+
+    const result = Object.assign({}, ...candidateBatches);
+    const profile = styleProfile(targetLang);
+    for (const [key, items] of Object.entries(result)) {
+      for (const item of items) {
+        item.problems = [
+          ...validateTranslation(flatMap[key], item.text),
+          ...lintStyle(targetLang, flatMap[key], item.text, profile),
+        ].map(issue => issue.message);
+      }
+    }
+    const total = Object.values(result).reduce((sum, items) => sum + items.length, 0);
+    this._log(`   🗂️  [${targetLang}] 후보 ${total}개 생성 (${Object.keys(result).length}/${Object.keys(flatMap).length}개 키)`);
+    return result;
+  }
+
+  _buildCandidateRequest(batch, targetLang, glossary, context, count) {
+    const targetName = langName(targetLang);
+    const system = this._systemPrompt(targetLang, glossary);
+    const prompt = `${this._batchSections(batch, targetLang, context)}Write ${count} genuinely different ${targetName} translations for each ${this.sourceName} value in this JSON,
+so a reviewer can pick one — e.g. a literal one, a punchy one, a formal one. Every candidate must follow the rules and glossary.
+Label each candidate with a one-word style and a one-sentence rationale in English.
+
+For this request, return ONLY a JSON object mapping each key to an array of exactly ${count} candidates:
+{ "key": [{ "text": "...", "style": "literal", "rationale": "..." }] }
+
+${JSON.stringify(batch, null, 2)}`;
+    return { system, prompt };
+  }
+
+  /**
+   * 후보 배치 1개 → { key: [{ text, style, rationale }] }
+   * 보호 토큰이 빠진 후보와 중복 후보는 제외, 파싱에 끝내 실패하면 빈 결과
+   */
+  async _candidateBatch(batch, targetLang, glossary, context, count, retryCount = 0) {
+    const { masked, spans } = this._maskBatch(batch, targetLang);
+    const { system, prompt } = this._buildCandidateRequest(masked, targetLang, glossary, context, count);
+    const { text } = await this._call(
+      targetLang, () => this.provider.candidateBatch({ batch: masked, count, targetLang, system, prompt, maxTokens: 8192 })
+    );
+
+    let parsed;
+    try {
+      parsed = JSON.parse(extractJsonText(text.trim()));
+    } catch {
+      if (retryCount < 2) {
+        this._log(`   ⚠️  [${targetLang}] 후보 응답 파싱 실패, 재시도 (${retryCount + 1}/2)...`);
+        return this._candidateBatch(batch, targetLang, glossary, context, count, retryCount + 1);
+      }
+      this._log(`   ❌ [${targetLang}] 후보 응답 파싱 실패 — 해당 배치 건너뜀`);
+      return {};
+    }
+
+    const result = {};
+    for (const key of Object.keys(batch)) {
+      if (!Array.isArray(parsed[key])) continue;
+      const items = [];
+      for (const candidate of parsed[key]) {
+        if (typeof candidate?.text !== 'string' || !candidate.text) continue;
+        const restored = unmaskText(candidate.text, spans[key] || []);
+        if (restored === null || items.some(item => item.text === restored)) continue;
+        items.push({
+          text: restored,
+          style: typeof candidate.style === 'string' ? candidate.style : '',
+          rationale: typeof candidate.rationale === 'string' ? candidate.rationale : '',
+        });
+      }
+      if (items.length > 0) result[key] = items.slice(0, count);
+    }
+    return result;
+  }
+
+  // ──────────────────────────────────────────────
+  // Batch API 모드: 모든 언어를 한 번에 제출 → 결과 수거 → 언어별 검증/점수
+  // ──────────────────────────────────────────────
+  /**
+   * @param plans    { lang: { key: en } } 언어별 번역 대상
+   * @param context  문맥용 전체 원문 { key: en }
+   * @returns { lang: { key: 번역 } } — 결과가 아직 준비되지 않았으면 null (다음 실행에서 이어받음)
+   */
+  async translateWithBatchApi(plans, { context = {} } = {}) {
+    if (typeof this.provider.submitTranslateBatch !== 'function') {
+      throw new Error(`--batch-api는 Message Batches API를 지원하는 프로바이더(anthropic, mock)에서만 사용할 수 있습니다. (현재: ${this.provider.name})`);
+    }
+
+    const glossaries = {};
+    for (const lang of Object.keys(plans)) glossaries[lang] = await this._prepareLanguage(lang);
+
+    // 이전 실행에서 제출한 배치가 있으면 다시 제출하지 않고 이어받음
+    let job = await loadBatchJob();
+    if (job) {
+      this._log(`   ♻️  이전에 제출한 배치 ${job.id} 이어받기 (${Object.keys(job.requests).length}개 요청, ${job.submittedAt} 제출)`);
+    } else {
+      job = await this._submitBatchJob(plans, context, glossaries);
+      if (!job) return this._finishBatchLanguages(plans, {}, glossaries);
+    }
+
+    if (!(await this._waitForBatch(job.id))) {
+      this._log(`   ⏸️  배치 ${job.id} 처리 중 — 나중에 같은 명령을 다시 실행하면 결과를 이어받습니다.`);
+      return null;
+    }
+
+    // 결과 수거: 응답 파싱/부분 복구는 대화형 번역과 같은 로직, 실패한 요청은 대화형으로 다시 번역
+    const results = Object.fromEntries(Object.keys(plans).map(lang => [lang, {}]));
+    const batchResults = await this.scheduler.run(() => this.provider.getBatchResults(job.id));
+    const progressLabel = 'Batch 결과 반영';
+    this.progress.add(progressLabel, batchResults.length);
+    await Promise.all(batchResults.map(async result => {
+      try {
+        const request = job.requests[result.customId];
+        if (!request || !plans[request.lang]) return;
+        const { lang, source, batch, spans, context: screenContext } = request;
+        let translated;
+        if (result.error) {
+          this._log(`   ⚠️  [${lang}] 배치 요청 ${result.customId} 실패 (${result.error}) — 대화형으로 다시 번역`);
+          translated = await this._translateBatch(batch, lang, glossaries[lang], screenContext);
+        } else {
+          this.ledger?.record({ model: result.model, lang, usage: result.usage, batch: true });
+          translated = await this._parseTranslation(result.text, batch, lang, glossaries[lang], screenContext);
+        }
+        const { restored, broken } = unmaskBatch(translated, spans);
+        if (broken.length > 0) {
+          this._log(`   ⚠️  [${lang}] 보호 토큰 누락/오류 ${broken.length}개 — 교정 단계에서 다시 번역`);
+        }
+        await appendCheckpoint(lang, source, restored);
+        // 제출 이후 원문이 바뀐 키는 버림 (아래에서 다시 번역)
+        for (const [key, value] of Object.entries(restored)) {
+          if (plans[lang][key] === source[key]) results[lang][key] = value;
+        }
+      } catch (err) {
+        if (!(err instanceof BudgetExceededError)) throw err;
+      } finally {
+        this.progress.tick(progressLabel);
+      }
+    }));
+    await clearBatchJob();
+
+    // 배치에 없던 키 (제출 이후 추가/변경된 원문)는 대화형으로 번역
+    for (const [lang, flatMap] of Object.entries(plans)) {
+      const leftover = Object.fromEntries(Object.entries(flatMap).filter(([key]) => !(key in results[lang])));
+      if (Object.keys(leftover).length === 0 || this.ledger?.exceeded) continue;
+      this._log(`   ➕ [${lang}] 배치에 없던 ${Object.keys(leftover).length}개 키 대화형 번역`);
+      const batches = this._planBatches(leftover, lang, { ...context, ...flatMap });
+      await Promise.all(batches.map(async ({ batch, context: screenContext }) => {
+        try {
+          Object.assign(results[lang], await this._translateProtected(batch, lang, glossaries[lang], screenContext));
+        } catch (err) {
+          if (!(err instanceof BudgetExceededError)) throw err;
+        }
+      }));
+    }
+
+    return this._finishBatchLanguages(plans, results, glossaries);
+  }
+
+  // 언어별 배치 계획 → 마스킹 → 요청 생성 → 한 번에 제출 (제출할 키가 없으면 null)
+  async _submitBatchJob(plans, context, glossaries) {
+    const requests = [];
+    const jobRequests = {};
+    for (const [lang, flatMap] of Object.entries(plans)) {
+      const batches = this._planBatches(flatMap, lang, { ...context, ...flatMap });
+      batches.forEach(({ batch: source, context: screenContext }, i) => {
+        const { masked, spans } = this._maskBatch(source, lang);
+        const { system, prompt } = this._buildTranslateRequest(masked, lang, glossaries[lang], screenContext);
+        const customId = `${lang}-${i}`;
+        requests.push({ customId, batch: masked, targetLang: lang, system, prompt, maxTokens: 8192 });
+        jobRequests[customId] = { lang, source, batch: masked, spans, context: screenContext };
+      });
+    }
+    if (requests.length === 0) return null;
+
+    this.ledger?.assertWithinBudget();
+    const { id } = await this.scheduler.run(() => this.provider.submitTranslateBatch(requests));
+    const job = { id, submittedAt: new Date().toISOString(), requests: jobRequests };
+    await saveBatchJob(job);
+    this._log(`   📦 Message Batches API에 ${requests.length}개 요청 제출 (${Object.keys(plans).join(', ')}) — ID: ${id}`);
+    return job;
+  }
+
+  // 배치 처리 완료까지 대기 (BATCH_MAX_WAIT_MINUTES 안에 끝나지 않으면 false)
+  async _waitForBatch(id) {
+    const deadline = Date.now() + BATCH_MAX_WAIT_MINUTES * 60_000;
+    while (true) {
+      const { ended, counts } = await this.scheduler.run(() => this.provider.getBatchStatus(id));
+      if (ended) return true;
+      const done = counts.succeeded + counts.errored + counts.canceled + counts.expired;
+      const total = done + counts.processing;
+      if (Date.now() + BATCH_POLL_SECONDS * 1000 > deadline) return false;
+      this._log(`   ⏳ 배치 처리 중 ${done}/${total} — ${BATCH_POLL_SECONDS}초 후 다시 확인`);
+      await new Promise(resolve => setTimeout(resolve, BATCH_POLL_SECONDS * 1000));
+    }
+  }
+
+  // 언어별 후처리 (구조 교정/검사/점수) — 언어 간 병렬
+  async _finishBatchLanguages(plans, results, glossaries) {
+    const output = {};
+    await Promise.all(Object.entries(plans).map(async ([lang, flatMap]) => {
+      output[lang] = await this._finishLanguage(flatMap, results[lang] || {}, lang, glossaries[lang]);
+    }));
+    return output;
+  }
+
+  // ──────────────────────────────────────────────
+  // 실행 계획 (--dry-run): API 호출 없이 배치 수/토큰/비용 추정
+  // ──────────────────────────────────────────────
+  /**
+   * @param plans      { lang: { key: en } } 언어별 번역 대상
+   * @param candidates 키당 후보 수 (retranslate --candidates — 후보 요청만, QA 점수 없음)
+   * @returns { lang: { keys, batches, inputTokens, outputTokens, cost } } — 토큰/비용은 문자 수 기준 대략치
+   */
+  async estimate(plans, { context = {}, batchApi = false, candidates = 0 } = {}) {
+    await this._getBudgets();
+    const { translateModel, confidenceModel } = this.provider;
+    const result = {};
+
+    for (const [lang, flatMap] of Object.entries(plans)) {
+      this._assertTargetLang(lang);
+      const glossary = await this._getGlossary(lang);
+      const batches = this._planBatches(flatMap, lang, { ...context, ...flatMap }, candidates || 1);
+      const outputRatio = isWideScript(lang) ? OUTPUT_TOKEN_RATIO_CJK : OUTPUT_TOKEN_RATIO_OTHER;
+
+      // 번역: 시스템 프롬프트는 첫 배치에서 캐시 생성, 이후 배치는 캐시 읽기
+      let input = 0, cacheWrite = 0, cacheRead = 0, output = 0;
+      batches.forEach(({ batch, context: screenContext }, i) => {
+        const { masked } = this._maskBatch(batch, lang);
+        const { system, prompt } = candidates
+          ? this._buildCandidateRequest(masked, lang, glossary, screenContext, candidates)
+          : this._buildTranslateRequest(masked, lang, glossary, screenContext);
+        const systemTokens = estimateTokens('', system);
+        if (i === 0) cacheWrite += systemTokens;
+        else cacheRead += systemTokens;
+        input += estimateTokens('', prompt);
+        const batchOutput = Math.ceil(estimateTokens('', JSON.stringify(masked)) * outputRatio);
+        output += candidates
+          ? (batchOutput + Object.keys(masked).length * CANDIDATE_RATIONALE_TOKENS) * candidates
+          : batchOutput;
+      });
+      let cost = estimateCost(translateModel, input, output, cacheWrite, cacheRead);
+      if (batchApi) cost *= BATCH_MULTIPLIER;
+
+      const keyCount = Object.keys(flatMap).length;
+      if (candidates) {
+        result[lang] = { keys: keyCount, batches: batches.length, inputTokens: input + cacheWrite + cacheRead, outputTokens: output, cost };
+        continue;
+      }
+
+      // QA 점수: 자기 평가는 원문+번역 입력/짧은 출력,
+      // 역번역은 번역 입력/원문 길이 출력 + 의미 판정(원문+역번역 입력/짧은 점수·근거 출력)
+      const sourceTokens = Object.entries(flatMap).reduce((sum, [key, text]) => sum + estimateTokens(key, text), 0);
+      const scoreCalls = Math.ceil(keyCount / CONFIDENCE_BATCH_SIZE);
+      const translatedTokens = Math.ceil(sourceTokens * outputRatio);
+      const backtranslate = this.qaMode === 'backtranslate';
+      const qaInput = scoreCalls * PROMPT_OVERHEAD_TOKENS * (backtranslate ? 2 : 1) + translatedTokens + sourceTokens * (backtranslate ? 2 : 1);
+      const qaOutput = backtranslate
+        ? sourceTokens + keyCount * JUDGE_OUTPUT_TOKENS_PER_KEY
+        : keyCount * SCORE_OUTPUT_TOKENS_PER_KEY;
+      cost += estimateCost(confidenceModel, qaInput, qaOutput);
+
+      result[lang] = {
+        keys: keyCount,
+        batches: batches.length,
+        inputTokens: input + cacheWrite + cacheRead + qaInput,
+        outputTokens: output + qaOutput,
+        cost,
+      };
+    }
+    return result;
+  }
+
+  // 언어별 준비: 용어집(research.js로 생성된 실제 플랫폼 표현) + 길이 예산 로드
+  async _prepareLanguage(targetLang) {
+    this._assertTargetLang(targetLang);
 
-    // 용어집 로드 (research.js로 생성된 실제 플랫폼 표현)
     const glossary = await this._getGlossary(targetLang);
     const glossarySize = Object.keys(glossary).length;
     if (glossarySize > 0) {
-      console.log(`   📚 용어집 적용 중 (${glossarySize}개 참고 표현)`);
+      const lockedCount = Object.keys(lockedTerms(this._glossaryCache, targetLang)).length;
+      this._log(`   📚 [${targetLang}] 용어집 적용 중 (${glossarySize}개 참고 표현${lockedCount > 0 ? ` · 🔒 필수 ${lockedCount}개` : ''})`);
     } else {
-      console.log(`   ℹ️  용어집 없음 — npm run research 실행 시 번역 품질이 향상됩니다`);
+      this._log(`   ℹ️  [${targetLang}] 용어집 없음 — npm run research 실행 시 번역 품질이 향상됩니다`);
     }
 
+    // 길이 예산 (extract/update 시 Figma 텍스트 박스에서 계산)
+    await this._getBudgets();
+    return glossary;
+  }
+
+  _assertTargetLang(targetLang) {
+    if (!isSupportedLang(targetLang)) throw new Error(`지원하지 않는 언어: ${targetLang}`);
+    if (targetLang === this.sourceLang) throw new Error(`원문 언어(${targetLang})는 번역 대상이 될 수 없습니다.`);
+  }
+
+  // 화면 단위 배치 계획 (CJK는 배치를 더 크게, outputScale: 키당 응답이 몇 배인지 — 후보 N개면 N)
+  _planBatches(flatMap, targetLang, contextMap, outputScale = 1) {
+    const wide = isWideScript(targetLang);
+    return planBatches(flatMap, {
+      maxItems: Math.max(1, Math.floor((wide ? TRANSLATE_BATCH_SIZE_CJK : TRANSLATE_BATCH_SIZE_OTHER) / outputScale)),
+      maxTokens: Math.ceil((wide ? TRANSLATE_BATCH_TOKENS_CJK : TRANSLATE_BATCH_TOKENS_OTHER) / outputScale),
+      contextMap,
+    });
+  }
+
+  /**
+   * 번역 이후 단계: 구조 교정 → 길이/용어집/스타일 검사 → 원문 해시 → 신뢰도 점수
+   * (대화형 번역과 Batch API 결과 공통)
+   */
+  async _finishLanguage(flatMap, translatedResult, targetLang, glossary) {
     const entries = Object.entries(flatMap);
-    const translatedResult = {};
-    const batchSize = CJK_LANGS.has(targetLang) ? TRANSLATE_BATCH_SIZE_CJK : TRANSLATE_BATCH_SIZE_OTHER;
+    const budgets = this._budgetCache || {};
+
+    // 비용 상한으로 건너뛴 키는 검증/점수 대상에서 제외 (다음 실행에서 번역)
+    let checkedMap = flatMap;
+    if (this.ledger?.exceeded) {
+      this._log(`   ⛔ [${targetLang}] 비용 상한 도달 — ${Object.keys(translatedResult).length}/${entries.length}개만 번역`);
+      checkedMap = Object.fromEntries(entries.filter(([key]) => key in translatedResult));
+    }
+
+    // 1-2단계: 구조 검증 → 불일치 키는 교정 프롬프트로 재시도, 남은 문제는 QA 플래그로 기록
+    const structureIssues = await this._correctStructure(checkedMap, translatedResult, targetLang);
+    await this._saveFlags(targetLang, Object.keys(checkedMap), structureIssues, STRUCTURE_ISSUE_TYPES);
+    const flaggedCount = Object.keys(structureIssues).length;
+    if (flaggedCount > 0) {
+      this._log(`   ⚠️  [${targetLang}] 구조 문제 ${flaggedCount}개 남음 (자리표시자/태그 등) — 어드민에서 확인하세요`);
+    }
+
+    // 1-3단계: 길이 예산 초과 검사 (더 짧은 표현은 어드민/재번역으로 요청)
+    const lengthIssues = checkLengthBudgets(translatedResult, budgets, isWideScript(targetLang));
+    await this._saveFlags(targetLang, Object.keys(checkedMap), lengthIssues, ['length']);
+    const overCount = Object.keys(lengthIssues).length;
+    if (overCount > 0) {
+      this._log(`   ⚠️  [${targetLang}] 길이 예산 초과 ${overCount}개 — 디자인 박스보다 긴 번역`);
+    }
 
-    // 1단계: 번역
-    for (let i = 0; i < entries.length; i += batchSize) {
-      const batch = Object.fromEntries(entries.slice(i, i + batchSize));
-      const batchNum = Math.floor(i / batchSize) + 1;
-      const totalBatches = Math.ceil(entries.length / batchSize);
-      process.stdout.write(`   번역 중 [${targetLang}] 배치 ${batchNum}/${totalBatches}...`);
+    // 1-4단계: 용어집 준수 검사 (원문의 용어집 용어 → 지정 번역어 사용 여부)
+    const glossaryIssues = await this._checkGlossary(checkedMap, translatedResult, glossary, targetLang);
+    await this._saveFlags(targetLang, Object.keys(checkedMap), glossaryIssues, ['glossary']);
+    const violationCount = Object.keys(glossaryIssues).length;
+    if (violationCount > 0) {
+      this._log(`   ⚠️  [${targetLang}] 용어집 위반 ${violationCount}개 — 어드민 QA 필터에서 확인하세요`);
+    }
 
-      const translated = await this._translateBatch(batch, langName, glossary);
-      Object.assign(translatedResult, translated);
-      console.log(' 완료');
+    // 1-5단계: 스타일 검사 (격식/문장부호/숫자 표기/금지어)
+    const styleIssues = lintStyleBatch(targetLang, checkedMap, translatedResult);
+    await this._saveFlags(targetLang, Object.keys(checkedMap), styleIssues, ['style']);
+    const styleCount = Object.keys(styleIssues).length;
+    if (styleCount > 0) {
+      this._log(`   ⚠️  [${targetLang}] 스타일 규칙 위반 ${styleCount}개 (어조/문장부호/숫자 표기/금지어)`);
     }
 
+    // 번역에 사용된 원문 해시 기록 (원문 변경 시 오래된 번역 감지용)
+    await recordSourceHashes(
+      targetLang,
+      Object.fromEntries(Object.keys(translatedResult).filter(k => k in flatMap).map(k => [k, flatMap[k]]))
+    );
+
     // 2단계: 신뢰도 점수 (실패해도 번역 결과에 영향 없음)
     try {
       const confidenceResult = {};
-      const entries2 = Object.entries(flatMap);
+      const reasonResult = {};
+      const entries2 = Object.entries(checkedMap);
+      const scoreJobs = [];
       for (let i = 0; i < entries2.length; i += CONFIDENCE_BATCH_SIZE) {
-        const enBatch = Object.fromEntries(entries2.slice(i, i + CONFIDENCE_BATCH_SIZE));
+        const sourceBatch = Object.fromEntries(entries2.slice(i, i + CONFIDENCE_BATCH_SIZE));
         const trBatch = Object.fromEntries(
           entries2.slice(i, i + CONFIDENCE_BATCH_SIZE).map(([k]) => [k, translatedResult[k] || ''])
         );
-        const scores = await this._scoreBatch(enBatch, trBatch, langName);
+        scoreJobs.push([sourceBatch, trBatch]);
+      }
+      const scoreLabel = `${targetLang} 점수`;
+      this.progress.add(scoreLabel, scoreJobs.length);
+      const scoreBatches = await Promise.all(scoreJobs.map(async ([sourceBatch, trBatch]) => {
+        const result = this.qaMode === 'backtranslate'
+          ? await this._backTranslateScore(sourceBatch, trBatch, targetLang)
+          : { scores: await this._scoreBatch(sourceBatch, trBatch, targetLang), reasons: {} };
+        this.progress.tick(scoreLabel);
+        return result;
+      }));
+      for (const { scores, reasons } of scoreBatches) {
         Object.assign(confidenceResult, scores);
+        Object.assign(reasonResult, reasons);
       }
-      await this._saveConfidence(targetLang, confidenceResult);
+      await this._saveConfidence(targetLang, confidenceResult, reasonResult);
     } catch (err) {
-      console.warn(`   ⚠️  신뢰도 점수 계산 실패 (번역 결과에는 영향 없음): ${err.message}`);
+      this._log(`   ⚠️  [${targetLang}] 신뢰도 점수 계산 실패 (번역 결과에는 영향 없음): ${err.message}`);
     }
 
     return translatedResult;
   }
 
   // ──────────────────────────────────────────────
-  // 번역 배치 (실제 플랫폼 용어집 기반)
+  // 번역 금지 구간을 토큰으로 가린 뒤 번역 → 복원
+  // 토큰이 맞지 않는 키(누락/중복/없는 번호)는 결과에서 제외 (구조 검증에서 누락으로 잡혀 교정 재시도)
   // ──────────────────────────────────────────────
-  async _translateBatch(batch, langName, glossary = {}, retryCount = 0) {
-    const inputJson = JSON.stringify(batch, null, 2);
-
-    // 배치에 해당하는 용어집 항목만 추출 (프롬프트 길이 최적화)
-    const relevantGlossary = {};
-    for (const enText of Object.values(batch)) {
-      for (const [en, tr] of Object.entries(glossary)) {
-        if (enText.toLowerCase().includes(en.toLowerCase()) || en.toLowerCase().includes(enText.toLowerCase())) {
-          relevantGlossary[en] = tr;
-        }
-      }
+  async _translateProtected(batch, targetLang, glossary, context) {
+    const { masked, spans } = this._maskBatch(batch, targetLang);
+    const translated = await this._translateBatch(masked, targetLang, glossary, context);
+    const { restored, broken } = unmaskBatch(translated, spans);
+    if (broken.length > 0) {
+      this._log(`   ⚠️  [${targetLang}] 보호 토큰 누락/오류 ${broken.length}개 — 교정 단계에서 다시 번역`);
     }
-    // 관련 없어도 주요 용어 20개는 항상 포함
-    const topTerms = Object.entries(glossary).slice(0, 20);
-    for (const [en, tr] of topTerms) relevantGlossary[en] = tr;
+    return restored;
+  }
+
+  _maskBatch(batch, targetLang) {
+    this._protectCache[targetLang] = this._protectCache[targetLang] || compileProtectRules(targetLang);
+    return maskBatch(batch, this._protectCache[targetLang]);
+  }
 
-    const glossarySection = Object.keys(relevantGlossary).length > 0
-      ? `\nREFERENCE GLOSSARY (terms actually used on real ${langName} trading platforms):
-${Object.entries(relevantGlossary).map(([en, tr]) => `  "${en}" → "${tr}"`).join('\n')}
+  // ──────────────────────────────────────────────
+  // 번역 시스템 프롬프트 (언어별 고정 — 프롬프트 캐시 대상)
+  // 규칙, 스타일 가이드, 유지할 용어, 전체 용어집을 담아 모든 배치에서 같은 텍스트로 재사용
+  // ──────────────────────────────────────────────
+  _systemPrompt(targetLang, glossary = {}) {
+    if (this._systemCache[targetLang]) return this._systemCache[targetLang];
+
+    const targetName = langName(targetLang);
+    // 잠긴 용어(glossary lock)는 팀이 확정한 번역 — 조사 용어집보다 우선하는 필수 용어로 따로 표시
+    const locked = lockedTerms(this._glossaryCache || {}, targetLang);
+    const lockedEntries = Object.entries(locked);
+    const lockedSection = lockedEntries.length > 0
+      ? `\nREQUIRED TERMS (confirmed by the team — always use exactly these translations, they override the reference glossary):
+${lockedEntries.map(([en, tr]) => `  "${en}" → "${tr}"`).join('\n')}\n`
+      : '';
+    const glossaryEntries = Object.entries(glossary).filter(([en]) => !en.startsWith('_') && !(en in locked));
+    const glossarySection = glossaryEntries.length > 0
+      ? `\nREFERENCE GLOSSARY (terms actually used on real ${targetName} trading platforms):
+${glossaryEntries.map(([en, tr]) => `  "${en}" → "${tr}"`).join('\n')}
 
 Prioritize these glossary terms over literal translations. They reflect real platform usage.\n`
       : '';
 
-    const prompt = `Translate all English values in this JSON to ${langName}.
+    this._systemCache[targetLang] = `You translate ${this.sourceName} UI strings to ${targetName}.
 This is a professional prop trading and cryptocurrency platform UI.
-${glossarySection}
-IMPORTANT: You MUST translate EVERY value into ${langName}. Do not leave values in English.
-Exception — keep in English only: ${KEEP_IN_ENGLISH}
+${styleSection(targetLang)}${lockedSection}${glossarySection}
+IMPORTANT: You MUST translate EVERY value into ${targetName}. Do not leave values in ${this.sourceName}.
+Exception — keep exactly as written in the source only: ${KEEP_UNTRANSLATED}
 
 Rules:
 - Keep all JSON keys exactly the same
 - Preserve template variables as-is: {variable}, {{var}}, %s, %d, :var
+- Tokens like ⟦0⟧, ⟦1⟧ mark protected terms — copy each token exactly once, unchanged, and translate the text around it
 - Use natural expressions that real traders and platform users actually say
 - Prefer shorter, snappier UI text over verbose literal translations
-- Return ONLY the translated JSON object. No markdown, no explanation, nothing else.
+- Return ONLY the translated JSON object. No markdown, no explanation, nothing else.`;
+    return this._systemCache[targetLang];
+  }
+
+  // ──────────────────────────────────────────────
+  // 번역 배치 (실제 플랫폼 용어집 기반)
+  // ──────────────────────────────────────────────
+  _buildTranslateRequest(batch, targetLang, glossary = {}, context = {}) {
+    const targetName = langName(targetLang);
+    const inputJson = JSON.stringify(batch, null, 2);
+
+    // 배치마다 바뀌는 부분만 사용자 메시지로 (규칙/스타일/용어집은 캐시되는 시스템 프롬프트)
+    const system = this._systemPrompt(targetLang, glossary);
+    const prompt = `${this._batchSections(batch, targetLang, context)}Translate all ${this.sourceName} values in this JSON to ${targetName}:
 
 ${inputJson}`;
+    return { system, prompt };
+  }
 
-    let message;
-    try {
-      message = await this.client.messages.create({
-        model: TRANSLATE_MODEL,
-        max_tokens: 8192,
-        messages: [{ role: 'user', content: prompt }],
-      });
-    } catch (err) {
-      this._handleApiError(err);
+  // 배치별 사용자 메시지 앞부분: 길이 제한 + 화면 문맥 + 재번역 지시 (번역/후보 요청 공통)
+  _batchSections(batch, targetLang, context = {}) {
+    // 배치에 포함된 키의 길이 제한 (Figma 텍스트 박스 기준)
+    const budgets = this._budgetCache || {};
+    const wideScript = isWideScript(targetLang);
+    const limits = Object.keys(batch)
+      .filter(key => budgets[key])
+      .map(key => `  "${key}": max ${maxCharsFor(budgets[key], wideScript)} characters`);
+    const lengthSection = limits.length > 0
+      ? `LENGTH LIMITS (the text must fit the UI box from the design — stay within these character counts):
+${limits.join('\n')}\n\n`
+      : '';
+
+    // 같은 화면의 다른 문자열 (읽기 전용 — 용어/어조를 화면 안에서 일관되게)
+    const contextEntries = Object.entries(context).filter(([key]) => !(key in batch));
+    const contextSection = contextEntries.length > 0
+      ? `SCREEN CONTEXT (other strings on the same screen — read-only, do NOT translate or return them; use them to keep terminology and tone consistent):
+${contextEntries.map(([key, text]) => `  "${key}": ${JSON.stringify(text)}`).join('\n')}\n\n`
+      : '';
+
+    // 재번역 지시 + 현재 번역 (지시에 맞게 고치도록)
+    let instructionSection = '';
+    if (this.instruction) {
+      const previous = this._previousCache[targetLang] || {};
+      const current = Object.keys(batch).filter(key => previous[key]);
+      instructionSection = `ADDITIONAL INSTRUCTION (applies to every value in this request): ${this.instruction}\n\n` +
+        (current.length > 0
+          ? `CURRENT TRANSLATIONS (revise these following the instruction above):
+${current.map(key => `  "${key}": ${JSON.stringify(previous[key])}`).join('\n')}\n\n`
+          : '');
     }
+    return `${lengthSection}${contextSection}${instructionSection}`;
+  }
 
-    const raw = message.content[0].text.trim();
+  async _translateBatch(batch, targetLang, glossary = {}, context = {}, retryCount = 0) {
+    const { system, prompt } = this._buildTranslateRequest(batch, targetLang, glossary, context);
+    const { text } = await this._call(
+      targetLang, () => this.provider.translateBatch({ batch, targetLang, system, prompt, maxTokens: 8192 })
+    );
+    return this._parseTranslation(text, batch, targetLang, glossary, context, retryCount);
+  }
 
-    // 마크다운 코드블록 제거 후 JSON 객체 부분만 추출
-    let cleaned = raw.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '').trim();
-    // JSON 객체가 설명 텍스트에 묻혀있는 경우 { ... } 범위 추출
-    const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
-    if (jsonMatch) cleaned = jsonMatch[0];
+  /**
+   * 번역 응답 파싱 + 복구 (대화형 호출과 Batch API 결과 공통)
+   * - 번역 비율이 낮거나 파싱 실패 시 재시도, 잘린 응답은 완성된 키만 복구 후 나머지 재시도
+   */
+  async _parseTranslation(text, batch, targetLang, glossary, context, retryCount = 0) {
+    const raw = text.trim();
+    const cleaned = extractJsonText(raw);
 
     try {
       const parsed = JSON.parse(cleaned);
       // 번역된 값이 실제로 바뀌었는지 검증
-      const unchangedCount = Object.entries(parsed).filter(
-        ([k, v]) => v === batch[k]
-      ).length;
-      const total = Object.keys(batch).length;
+      // (토큰·자리표시자뿐인 키는 원래 그대로 돌아와야 하므로 비율에서 제외)
+      const translatable = Object.keys(batch).filter(k => hasTranslatableText(batch[k]));
+      const unchangedCount = translatable.filter(k => parsed[k] === batch[k]).length;
+      const total = translatable.length;
 
       // 80% 이상이 번역 안됐으면 재시도 (최대 2회)
-      if (unchangedCount / total > 0.8 && retryCount < 2) {
-        console.log(`\n   ⚠️  번역 비율 낮음 (${total - unchangedCount}/${total}), 재시도...`);
-        return this._translateBatch(batch, langName, glossary, retryCount + 1);
+      if (total > 0 && unchangedCount / total > 0.8 && retryCount < 2) {
+        this._log(`   ⚠️  [${targetLang}] 번역 비율 낮음 (${total - unchangedCount}/${total}), 재시도...`);
+        return this._translateBatch(batch, targetLang, glossary, context, retryCount + 1);
       }
 
       return parsed;
@@ -203,34 +880,124 @@ ${inputJson}`;
         const missing = Object.fromEntries(
           Object.entries(batch).filter(([k]) => !(k in partial))
         );
-        console.log(`\n   ⚠️  응답 잘림 — ${Object.keys(partial).length}개 복구, ${Object.keys(missing).length}개 재시도...`);
+        this._log(`   ⚠️  [${targetLang}] 응답 잘림 — ${Object.keys(partial).length}개 복구, ${Object.keys(missing).length}개 재시도...`);
         if (Object.keys(missing).length > 0) {
-          const retried = await this._translateBatch(missing, langName, glossary, retryCount + 1);
+          const retried = await this._translateBatch(missing, targetLang, glossary, context, retryCount + 1);
           return { ...partial, ...retried };
         }
         return partial;
       }
       if (retryCount < 2) {
-        console.log(`\n   ⚠️  JSON 파싱 실패, 재시도 (${retryCount + 1}/2)...`);
-        return this._translateBatch(batch, langName, glossary, retryCount + 1);
+        this._log(`   ⚠️  [${targetLang}] JSON 파싱 실패, 재시도 (${retryCount + 1}/2)...`);
+        return this._translateBatch(batch, targetLang, glossary, context, retryCount + 1);
       }
-      console.error('\n   ❌ 파싱 실패 — 해당 배치 영어 원문 유지');
-      console.error('   응답 미리보기:', raw.substring(0, 150));
+      this._log(`   ❌ [${targetLang}] 파싱 실패 — 해당 배치 원문 유지`);
+      this._log(`   응답 미리보기: ${raw.substring(0, 150)}`);
       return batch;
     }
   }
 
+  // ──────────────────────────────────────────────
+  // 구조 교정: 검증 실패 키만 모아 교정 프롬프트로 한 번 더 요청
+  // ──────────────────────────────────────────────
+  async _correctStructure(flatMap, translatedResult, targetLang) {
+    const issues = validateBatch(flatMap, translatedResult);
+    if (Object.keys(issues).length === 0) return issues;
+
+    this._log(`   🔧 [${targetLang}] 구조 불일치 ${Object.keys(issues).length}개 — 교정 요청 중...`);
+    const corrected = await this._correctBatch(flatMap, translatedResult, issues, targetLang);
+
+    // 문제가 줄어든 교정 결과만 채택
+    for (const [key, value] of Object.entries(corrected)) {
+      if (validateTranslation(flatMap[key], value).length < issues[key].length) {
+        translatedResult[key] = value;
+      }
+    }
+    return validateBatch(flatMap, translatedResult);
+  }
+
+  /**
+   * 용어집 위반 검사 → glossaryRetry면 위반 키만 교정 요청
+   * - 위반이 줄고 구조 문제가 늘지 않은 교정 결과만 채택
+   * @returns 남은 위반 { key: issues[] }
+   */
+  async _checkGlossary(flatMap, translatedResult, glossary, targetLang) {
+    const issues = checkGlossaryCompliance(flatMap, translatedResult, glossary);
+    if (!this.glossaryRetry || Object.keys(issues).length === 0) return issues;
+
+    this._log(`   🔧 [${targetLang}] 용어집 위반 ${Object.keys(issues).length}개 — 교정 요청 중...`);
+    const corrected = await this._correctBatch(flatMap, translatedResult, issues, targetLang);
+    for (const [key, value] of Object.entries(corrected)) {
+      const source = { [key]: flatMap[key] };
+      const before = checkGlossaryCompliance(source, { [key]: translatedResult[key] }, glossary);
+      const after = checkGlossaryCompliance(source, { [key]: value }, glossary);
+      const fewerViolations = (after[key]?.length || 0) < (before[key]?.length || 0);
+      const structureKept = validateTranslation(flatMap[key], value).length <=
+        validateTranslation(flatMap[key], translatedResult[key]).length;
+      if (fewerViolations && structureKept) translatedResult[key] = value;
+    }
+    return checkGlossaryCompliance(flatMap, translatedResult, glossary);
+  }
+
+  /**
+   * 문제 있는 키만 교정 요청
+   * @param issuesByKey { key: [{ hint }] } — hint가 교정 지시로 프롬프트에 들어감
+   * @returns { key: 교정된 번역 } (파싱 실패 시 빈 객체)
+   */
+  async _correctBatch(flatMap, translatedResult, issuesByKey, targetLang) {
+    const targetName = langName(targetLang);
+    const keys = Object.keys(issuesByKey);
+    const corrected = {};
+
+    for (let i = 0; i < keys.length; i += TRANSLATE_BATCH_SIZE_OTHER) {
+      const chunk = keys.slice(i, i + TRANSLATE_BATCH_SIZE_OTHER);
+      const items = chunk.map(key => ({
+        key,
+        source: flatMap[key],
+        translated: translatedResult[key] ?? '',
+        problems: issuesByKey[key].map(issue => issue.hint),
+      }));
+
+      const prompt = `These ${targetName} translations of ${this.sourceName} UI strings have problems.
+Fix ONLY the listed problems for each item. Keep the rest of the translation unchanged.
+
+Rules:
+- Template variables ({variable}, {{var}}, %s, %d, :var) and HTML tags must appear exactly as in the ${this.sourceName} source
+- Keep the same number of line breaks and the same leading/trailing whitespace as the ${this.sourceName} source
+- When a problem names a glossary term, use exactly that term in the translation
+- Return ONLY a JSON object mapping each key to its corrected ${targetName} translation. No markdown, no explanation.
+
+${JSON.stringify(items, null, 2)}`;
+
+      try {
+        const batch = Object.fromEntries(chunk.map(k => [k, flatMap[k]]));
+        const { text } = await this._call(
+          targetLang, () => this.provider.translateBatch({ batch, targetLang, prompt, maxTokens: 4096 })
+        );
+        const parsed = JSON.parse(extractJsonText(text.trim()));
+        for (const key of chunk) {
+          if (typeof parsed[key] === 'string') corrected[key] = parsed[key];
+        }
+      } catch (err) {
+        this._log(`   ⚠️  [${targetLang}] 교정 요청 실패: ${err.message}`);
+      }
+    }
+
+    return corrected;
+  }
+
   // ──────────────────────────────────────────────
   // 신뢰도 점수 배치 (번역과 별도 호출)
   // ──────────────────────────────────────────────
-  async _scoreBatch(enBatch, trBatch, langName) {
-    const pairs = Object.entries(enBatch).map(([k, en]) => ({
-      key: k, en, translated: trBatch[k] || '',
+  async _scoreBatch(sourceBatch, trBatch, targetLang) {
+    const targetName = langName(targetLang);
+    const pairs = Object.entries(sourceBatch).map(([k, source]) => ({
+      key: k, source, translated: trBatch[k] || '',
     }));
     const inputJson = JSON.stringify(pairs, null, 2);
 
     const prompt = `Rate translation quality for each item (0-100).
-Source language: English, Target language: ${langName}
+Source language: ${this.sourceName}, Target language: ${targetName}
 Context: Professional prop trading and cryptocurrency platform
 
 Scoring guide:
@@ -246,48 +1013,88 @@ Example: {"header.title": 92, "footer.disclaimer": 55}
 Items to score:
 ${inputJson}`;
 
-    let message;
+    let text;
     try {
-      message = await this.client.messages.create({
-        model: CONFIDENCE_MODEL,
-        max_tokens: 2048,
-        messages: [{ role: 'user', content: prompt }],
-      });
+      ({ text } = await this._call(
+        targetLang, () => this.provider.scoreBatch({ pairs, targetLang, prompt, maxTokens: 2048 })
+      ));
     } catch {
       // 신뢰도 실패는 무시
-      return Object.fromEntries(Object.keys(enBatch).map(k => [k, null]));
+      return Object.fromEntries(Object.keys(sourceBatch).map(k => [k, null]));
     }
 
-    const raw = message.content[0].text.trim();
-    let cleaned = raw.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '').trim();
-    const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
-    if (jsonMatch) cleaned = jsonMatch[0];
     try {
-      return JSON.parse(cleaned);
+      return JSON.parse(extractJsonText(text.trim()));
     } catch {
-      return Object.fromEntries(Object.keys(enBatch).map(k => [k, null]));
+      return Object.fromEntries(Object.keys(sourceBatch).map(k => [k, null]));
     }
   }
 
   // ──────────────────────────────────────────────
-  // API 오류 처리
+  // 역번역 QA: 번역문 → 원문 언어로 되돌려 원문과 비교
+  // @returns { scores: { key: 0~100 }, reasons: { key: 사유 } }
   // ──────────────────────────────────────────────
-  _handleApiError(err) {
-    if (err.status === 401) {
-      throw new Error(
-        'Anthropic API 키가 유효하지 않습니다.\n' +
-        '   → .env 파일의 ANTHROPIC_API_KEY를 확인하세요.\n' +
-        '   → https://console.anthropic.com 에서 새 키를 발급받아 복사하세요.'
-      );
+  async _backTranslateScore(sourceBatch, trBatch, targetLang) {
+    const targetName = langName(targetLang);
+    const batch = Object.fromEntries(Object.entries(trBatch).filter(([, text]) => text));
+
+    let back = {};
+    if (Object.keys(batch).length > 0) {
+      const prompt = `Translate each ${targetName} value in this JSON into ${this.sourceName}.
+Translate literally and faithfully — do not improve, guess or smooth over the meaning.
+Keep placeholders ({var}, {{var}}, %s, :var), HTML tags and numbers exactly as they appear.
+Return ONLY a JSON object with the same keys. No markdown, no explanation.
+
+${JSON.stringify(batch, null, 2)}`;
+      try {
+        const { text } = await this._call(
+          targetLang, () => this.provider.backTranslateBatch({ batch, targetLang, prompt, maxTokens: 4096 })
+        );
+        back = JSON.parse(extractJsonText(text.trim()));
+      } catch {
+        // 역번역 실패는 무시 (점수 없음으로 저장)
+        back = {};
+      }
+    }
+
+    // 의미 판정: 원문 ↔ 역번역이 같은 뜻인지 (단어 겹침이 아닌 뜻 비교)
+    const items = Object.keys(batch)
+      .filter(key => typeof back[key] === 'string' && back[key].trim())
+      .map(key => ({ key, source: sourceBatch[key], back: back[key] }));
+    let judgements = {};
+    if (items.length > 0) {
+      const prompt = buildJudgePrompt(items, this.sourceName);
+      try {
+        const { text } = await this._call(
+          targetLang, () => this.provider.judgeBatch({ items, targetLang, prompt, maxTokens: 2048 })
+        );
+        judgements = JSON.parse(extractJsonText(text.trim()));
+      } catch {
+        // 판정 실패는 무시 (점수 없음으로 저장)
+        judgements = {};
+      }
+    }
+
+    const scores = {};
+    const reasons = {};
+    for (const [key, source] of Object.entries(sourceBatch)) {
+      const { score, reason } = scoreBackTranslation(source, trBatch[key], back[key], this.sourceLang, judgements[key]);
+      scores[key] = score;
+      if (score !== null) reasons[key] = reason;
     }
-    if (err.status === 429) throw new Error('API 요청 한도 초과 — 잠시 후 다시 시도하세요.');
-    throw err;
+    return { scores, reasons };
   }
 
   // ──────────────────────────────────────────────
   // 신뢰도 파일 저장
+  // 점수는 confidence.json[lang], 역번역 사유는 _reasons[lang]
+  // (자기 평가로 다시 점수를 매긴 키는 이전 사유 삭제)
   // ──────────────────────────────────────────────
-  async _saveConfidence(lang, confidenceMap) {
+  async _saveConfidence(lang, confidenceMap, reasonMap = {}) {
+    return withFileQueue(CONFIDENCE_FILE, () => this._writeConfidence(lang, confidenceMap, reasonMap));
+  }
+
+  async _writeConfidence(lang, confidenceMap, reasonMap = {}) {
     const cacheDir = path.join(PROJECT_DIR, '.cache');
     if (!existsSync(cacheDir)) await mkdir(cacheDir, { recursive: true });
     let all = {};
@@ -299,8 +1106,55 @@ ${inputJson}`;
       Object.entries(confidenceMap).filter(([, v]) => v !== null)
     );
     all[lang] = { ...(all[lang] || {}), ...filtered };
+
+    const reasons = all._reasons?.[lang] || {};
+    for (const key of Object.keys(filtered)) {
+      if (reasonMap[key]) reasons[key] = reasonMap[key];
+      else delete reasons[key];
+    }
+    all._reasons = { ...(all._reasons || {}), [lang]: reasons };
     await writeFile(CONFIDENCE_FILE, JSON.stringify(all, null, 2), 'utf-8');
   }
+
+  // ──────────────────────────────────────────────
+  // QA 플래그 저장 (confidence.json의 _flags)
+  // 형식: { "_flags": { "ko": { "key": [{ type, message }] } } }
+  // checkedKeys 중 types 종류의 기존 플래그는 새 검사 결과로 교체
+  // ──────────────────────────────────────────────
+  async _saveFlags(lang, checkedKeys, flagsByKey, types) {
+    return withFileQueue(CONFIDENCE_FILE, () => this._writeFlags(lang, checkedKeys, flagsByKey, types));
+  }
+
+  async _writeFlags(lang, checkedKeys, flagsByKey, types) {
+    const cacheDir = path.join(PROJECT_DIR, '.cache');
+    if (!existsSync(cacheDir)) await mkdir(cacheDir, { recursive: true });
+    const all = await loadConfidence();
+    const flags = all._flags || {};
+    const langFlags = flags[lang] || {};
+
+    for (const key of checkedKeys) {
+      const kept = (langFlags[key] || []).filter(f => !types.includes(f.type));
+      const added = (flagsByKey[key] || []).map(({ type, message }) => ({ type, message }));
+      if (kept.length + added.length > 0) langFlags[key] = [...kept, ...added];
+      else delete langFlags[key];
+    }
+
+    flags[lang] = langFlags;
+    all._flags = flags;
+    await writeFile(CONFIDENCE_FILE, JSON.stringify(all, null, 2), 'utf-8');
+  }
+}
+
+/**
+ * 모델 응답에서 JSON 객체 텍스트만 추출
+ * - 마크다운 코드블록 제거
+ * - JSON 객체가 설명 텍스트에 묻혀있는 경우 { ... } 범위 추출
+ */
+function extractJsonText(raw) {
+  let cleaned = raw.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '').trim();
+  const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
+  if (jsonMatch) cleaned = jsonMatch[0];
+  return cleaned;
 }
 
 export async function loadConfidence() {
@@ -309,3 +1163,16 @@ export async function loadConfidence() {
     return JSON.parse(await readFile(CONFIDENCE_FILE, 'utf-8'));
   } catch { return {}; }
 }
+
+/**
+ * 키 이동 시 신뢰도 점수도 새 키로 옮김
+ */
+export async function moveConfidence(moves) {
+  if (moves.length === 0 || !existsSync(CONFIDENCE_FILE)) return;
+  await withFileQueue(CONFIDENCE_FILE, async () => {
+    const all = renameLangKeys(await loadConfidence(), moves);
+    if (all._flags) renameLangKeys(all._flags, moves);
+    if (all._reasons) renameLangKeys(all._reasons, moves);
+    await writeFile(CONFIDENCE_FILE, JSON.stringify(all, null, 2), 'utf-8');
+  });
+}
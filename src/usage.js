@@ -0,0 +1,196 @@
+/**
+ * 토큰 사용량 / 비용 집계
+ * - 모든 API 호출의 usage(input/output 토큰, 프롬프트 캐시 생성/읽기 토큰)를 모델·언어·명령별로 집계
+ * - 명령 종료 시 비용 요약 출력, .cache/usage-ledger.json에 실행 기록 누적
+ * - --max-cost <USD>: 누적 비용이 상한에 도달하면 새 요청을 멈추고 부분 결과만 저장
+ * - Message Batches API(--batch-api) 결과는 별도 항목으로 집계, 50% 할인 적용
+ */
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { PROJECT_DIR } from './config.js';
+
+const CACHE_DIR = path.join(PROJECT_DIR, '.cache');
+const LEDGER_FILE = path.join(CACHE_DIR, 'usage-ledger.json');
+const MAX_RUNS = 500; // 원장에 보관할 최대 실행 기록 수
+
+// 모델별 가격 (USD / 100만 토큰) — 모델 이름 앞부분 일치
+const MODEL_PRICES = [
+  ['claude-opus-4', { input: 15, output: 75 }],
+  ['claude-sonnet-4', { input: 3, output: 15 }],
+  ['claude-haiku-4', { input: 1, output: 5 }],
+  ['claude-3-5-haiku', { input: 0.8, output: 4 }],
+  ['gpt-4o-mini', { input: 0.15, output: 0.6 }],
+  ['gpt-4o', { input: 2.5, output: 10 }],
+  ['mock', { input: 0, output: 0 }],
+];
+
+export function modelPrice(model) {
+  const match = MODEL_PRICES.find(([prefix]) => model.startsWith(prefix));
+  return match ? match[1] : null;
+}
+
+// 프롬프트 캐시 가격 배율 (입력 단가 기준): 캐시 생성 1.25배, 캐시 읽기 0.1배
+const CACHE_WRITE_MULTIPLIER = 1.25;
+const CACHE_READ_MULTIPLIER = 0.1;
+// Message Batches API 할인 배율 (입력/출력/캐시 모두)
+export const BATCH_MULTIPLIER = 0.5;
+
+/**
+ * 토큰 수 → 비용 (가격 정보 없는 모델은 0)
+ * inputTokens는 캐시에 해당하지 않는 입력 토큰
+ */
+export function estimateCost(model, inputTokens, outputTokens, cacheWriteTokens = 0, cacheReadTokens = 0) {
+  const price = modelPrice(model);
+  if (!price) return 0;
+  const input = inputTokens
+    + cacheWriteTokens * CACHE_WRITE_MULTIPLIER
+    + cacheReadTokens * CACHE_READ_MULTIPLIER;
+  return (input * price.input + outputTokens * price.output) / 1_000_000;
+}
+
+/**
+ * 캐시 읽기로 아낀 비용 (캐시 없이 전부 입력으로 보냈을 때 대비)
+ */
+export function cacheSavings(model, cacheReadTokens) {
+  const price = modelPrice(model);
+  if (!price) return 0;
+  return (cacheReadTokens * price.input * (1 - CACHE_READ_MULTIPLIER)) / 1_000_000;
+}
+
+// 원장 항목 → 비용
+function entryCost(e) {
+  const cost = estimateCost(e.model, e.input_tokens, e.output_tokens, e.cache_creation_input_tokens, e.cache_read_input_tokens);
+  return e.batch ? cost * BATCH_MULTIPLIER : cost;
+}
+
+/**
+ * --max-cost 상한 도달 시 발생 (새 요청 중단, 부분 결과 유지)
+ */
+export class BudgetExceededError extends Error {
+  constructor(maxCost, spent) {
+    super(`비용 상한 도달 ($${spent.toFixed(4)} / $${maxCost.toFixed(2)}) — 새 요청을 중단합니다.`);
+    this.name = 'BudgetExceededError';
+  }
+}
+
+export class UsageLedger {
+  constructor({ command, maxCost = null } = {}) {
+    this.command = command;
+    this.maxCost = maxCost;
+    this.startedAt = new Date().toISOString();
+    this.entries = new Map(); // "model|lang|batch" → { model, lang, batch, calls, input_tokens, output_tokens, cache_* }
+    this.exceeded = false;
+  }
+
+  /**
+   * API 응답의 usage 기록 (batch: Message Batches API 결과)
+   */
+  record({ model, lang = null, usage, batch = false }) {
+    if (!usage) return;
+    const id = `${model}|${lang ?? '-'}|${batch ? 'batch' : 'sync'}`;
+    const entry = this.entries.get(id) || {
+      model, lang, batch, calls: 0,
+      input_tokens: 0, output_tokens: 0,
+      cache_creation_input_tokens: 0, cache_read_input_tokens: 0,
+    };
+    entry.calls++;
+    entry.input_tokens += usage.input_tokens || 0;
+    entry.output_tokens += usage.output_tokens || 0;
+    entry.cache_creation_input_tokens += usage.cache_creation_input_tokens || 0;
+    entry.cache_read_input_tokens += usage.cache_read_input_tokens || 0;
+    this.entries.set(id, entry);
+  }
+
+  get totalCost() {
+    let total = 0;
+    for (const e of this.entries.values()) total += entryCost(e);
+    return total;
+  }
+
+  /**
+   * 새 요청 전 호출 — 상한에 도달했으면 BudgetExceededError
+   */
+  assertWithinBudget() {
+    if (this.maxCost === null) return;
+    if (this.exceeded || this.totalCost >= this.maxCost) {
+      this.exceeded = true;
+      throw new BudgetExceededError(this.maxCost, this.totalCost);
+    }
+  }
+
+  /**
+   * 비용 요약 출력 + 원장 저장 (API 호출이 없었으면 생략)
+   */
+  async finish() {
+    if (this.entries.size === 0) return;
+    this.printSummary();
+    await this.save();
+  }
+
+  printSummary() {
+    const rows = [...this.entries.values()].sort((a, b) => a.model.localeCompare(b.model) || String(a.lang).localeCompare(String(b.lang)));
+    console.log(`\n💰 토큰 사용량 / 예상 비용 (${this.command})`);
+    for (const e of rows) {
+      const priceNote = modelPrice(e.model) ? `$${entryCost(e).toFixed(4)}` : '가격 정보 없음';
+      const batchNote = e.batch ? ' (Batch 50% 할인)' : '';
+      console.log(
+        `   ${e.model} [${e.lang ?? '-'}]${batchNote} ${e.calls}회 · 입력 ${e.input_tokens.toLocaleString()} · 출력 ${e.output_tokens.toLocaleString()} 토큰 · ${priceNote}`
+      );
+    }
+    const cap = this.maxCost !== null ? ` (상한 $${this.maxCost.toFixed(2)})` : '';
+    console.log(`   합계: $${this.totalCost.toFixed(4)}${cap}`);
+    this.printCacheSummary(rows);
+    if (this.exceeded) {
+      console.log('   ⛔ 비용 상한에 도달해 일부 작업을 건너뛰었습니다. 완료된 결과는 저장됐습니다.');
+    }
+  }
+
+  // 프롬프트 캐시 적중/생성 토큰과 절감액 (캐시 사용 기록이 있을 때만)
+  printCacheSummary(rows) {
+    const write = rows.reduce((sum, e) => sum + e.cache_creation_input_tokens, 0);
+    const read = rows.reduce((sum, e) => sum + e.cache_read_input_tokens, 0);
+    if (write + read === 0) return;
+    const saved = rows.reduce((sum, e) => sum + cacheSavings(e.model, e.cache_read_input_tokens) * (e.batch ? BATCH_MULTIPLIER : 1), 0);
+    const hitRate = Math.round((read / (write + read)) * 100);
+    console.log(
+      `   🗄️  프롬프트 캐시: 적중 ${read.toLocaleString()} · 생성(미적중) ${write.toLocaleString()} 토큰 ` +
+      `(적중률 ${hitRate}%, 절감 약 $${saved.toFixed(4)})`
+    );
+  }
+
+  async save() {
+    if (!existsSync(CACHE_DIR)) await mkdir(CACHE_DIR, { recursive: true });
+    let ledger = { runs: [] };
+    if (existsSync(LEDGER_FILE)) {
+      try { ledger = JSON.parse(await readFile(LEDGER_FILE, 'utf-8')); } catch { ledger = { runs: [] }; }
+    }
+    ledger.runs.push({
+      command: this.command,
+      startedAt: this.startedAt,
+      finishedAt: new Date().toISOString(),
+      totalCost: Number(this.totalCost.toFixed(6)),
+      maxCost: this.maxCost,
+      stoppedByBudget: this.exceeded,
+      usage: [...this.entries.values()].map(e => ({
+        ...e,
+        cost: Number(entryCost(e).toFixed(6)),
+      })),
+    });
+    ledger.runs = ledger.runs.slice(-MAX_RUNS);
+    await writeFile(LEDGER_FILE, JSON.stringify(ledger, null, 2), 'utf-8');
+  }
+}
+
+/**
+ * CLI 인자에서 --max-cost 값 파싱 (없으면 null)
+ */
+export function parseMaxCost(argv = process.argv) {
+  const idx = argv.indexOf('--max-cost');
+  if (idx === -1) return null;
+  const value = parseFloat(argv[idx + 1]);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error('--max-cost에는 0보다 큰 USD 금액을 지정하세요. 예: --max-cost 5');
+  }
+  return value;
+}
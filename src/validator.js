@@ -0,0 +1,138 @@
+/**
+ * 번역 결과 구조 검증
+ * - 원문과 번역문의 자리표시자, HTML 태그, 줄바꿈 수, 앞뒤 공백 비교
+ * - 번역 후 불일치 키는 교정 프롬프트로 재시도, 그래도 남으면 QA 플래그로 기록
+ */
+
+// 자리표시자 패턴 ({{var}}를 먼저 추출한 뒤 {var} 검사)
+const DOUBLE_BRACE_RE = /\{\{\s*[\p{L}\p{N}_.-]+\s*\}\}/gu;
+const SINGLE_BRACE_RE = /\{[\p{L}\p{N}_.-]+\}/gu;
+const PRINTF_RE = /%(?:\d+\$)?[sdif@]/g;
+const COLON_VAR_RE = /(?<![\w:/]):[a-zA-Z_]\w*/g;
+const TAG_RE = /<\/?[a-zA-Z][\w-]*(?:\s[^<>]*)?\/?>/g;
+
+/**
+ * 텍스트에서 자리표시자 목록 추출 (중복 포함, 정렬)
+ */
+export function extractPlaceholders(text) {
+  const found = [];
+  const withoutDouble = text.replace(DOUBLE_BRACE_RE, m => {
+    found.push(m.replace(/\s+/g, ''));
+    return ' ';
+  });
+  for (const re of [SINGLE_BRACE_RE, PRINTF_RE, COLON_VAR_RE]) {
+    found.push(...(withoutDouble.match(re) || []));
+  }
+  return found.sort();
+}
+
+/**
+ * 자리표시자와 태그를 공백으로 바꾼 텍스트 (번역할 글자가 남는지 판단용)
+ */
+export function stripPlaceholders(text) {
+  return [DOUBLE_BRACE_RE, SINGLE_BRACE_RE, PRINTF_RE, COLON_VAR_RE, TAG_RE]
+    .reduce((rest, re) => rest.replace(re, ' '), text);
+}
+
+/**
+ * 텍스트에서 HTML 유사 태그 목록 추출 (태그 이름만, 속성 제외)
+ * 예: '<b class="x">Hi</b>' → ['</b>', '<b>']
+ */
+export function extractTags(text) {
+  return (text.match(TAG_RE) || [])
+    .map(tag => {
+      const name = tag.match(/^<\/?([a-zA-Z][\w-]*)/)[1].toLowerCase();
+      if (tag.startsWith('</')) return `</${name}>`;
+      return tag.endsWith('/>') ? `<${name}/>` : `<${name}>`;
+    })
+    .sort();
+}
+
+// 다중집합 차이: a에는 있고 b에는 없는 항목
+function multisetDiff(a, b) {
+  const rest = [...b];
+  return a.filter(item => {
+    const idx = rest.indexOf(item);
+    if (idx === -1) return true;
+    rest.splice(idx, 1);
+    return false;
+  });
+}
+
+// 원문/번역 목록 비교 → { message(어드민 표시용), hint(교정 프롬프트용) } 또는 null
+function describeDiff(label, hintLabel, source, translated) {
+  const missing = multisetDiff(source, translated);
+  const extra = multisetDiff(translated, source);
+  if (missing.length === 0 && extra.length === 0) return null;
+  const parts = [];
+  const hints = [];
+  if (missing.length > 0) {
+    parts.push(`누락 ${missing.join(' ')}`);
+    hints.push(`missing ${missing.join(' ')}`);
+  }
+  if (extra.length > 0) {
+    parts.push(`추가 ${extra.join(' ')}`);
+    hints.push(`unexpected ${extra.join(' ')}`);
+  }
+  return {
+    message: `${label} 불일치: ${parts.join(', ')}`,
+    hint: `${hintLabel} must match the source exactly (${hints.join('; ')})`,
+  };
+}
+
+/**
+ * 원문 ↔ 번역문 구조 비교
+ * @returns [{ type: 'placeholder'|'markup'|'linebreak'|'whitespace'|'missing', message, hint }]
+ *          message는 어드민/CLI 표시용, hint는 교정 프롬프트용 영어 설명 (문제 없으면 빈 배열)
+ */
+export function validateTranslation(source, translated) {
+  if (typeof translated !== 'string') {
+    return [{ type: 'missing', message: '번역 누락', hint: 'Translation is missing' }];
+  }
+
+  const issues = [];
+
+  const placeholders = describeDiff('자리표시자', 'Placeholders', extractPlaceholders(source), extractPlaceholders(translated));
+  if (placeholders) issues.push({ type: 'placeholder', ...placeholders });
+
+  const tags = describeDiff('태그', 'HTML tags', extractTags(source), extractTags(translated));
+  if (tags) issues.push({ type: 'markup', ...tags });
+
+  const sourceBreaks = (source.match(/\n/g) || []).length;
+  const translatedBreaks = (translated.match(/\n/g) || []).length;
+  if (sourceBreaks !== translatedBreaks) {
+    issues.push({
+      type: 'linebreak',
+      message: `줄바꿈 수 불일치: 원문 ${sourceBreaks}개, 번역 ${translatedBreaks}개`,
+      hint: `Use exactly ${sourceBreaks} line break(s) (\\n) like the source, not ${translatedBreaks}`,
+    });
+  }
+
+  const lead = t => t.match(/^\s*/)[0].replace(/\n/g, '');
+  const trail = t => t.match(/\s*$/)[0].replace(/\n/g, '');
+  if (lead(source) !== lead(translated) || trail(source) !== trail(translated)) {
+    issues.push({
+      type: 'whitespace',
+      message: '앞뒤 공백이 원문과 다름',
+      hint: 'Keep the same leading and trailing whitespace as the source',
+    });
+  }
+
+  return issues;
+}
+
+// 구조 검증이 만드는 플래그 종류 (재검증 시 이 종류의 기존 플래그를 교체)
+export const STRUCTURE_ISSUE_TYPES = ['placeholder', 'markup', 'linebreak', 'whitespace', 'missing'];
+
+/**
+ * 배치 전체 검증
+ * @returns { key: issues[] } — 문제 있는 키만 포함
+ */
+export function validateBatch(sourceMap, translatedMap) {
+  const result = {};
+  for (const [key, source] of Object.entries(sourceMap)) {
+    const issues = validateTranslation(source, translatedMap[key]);
+    if (issues.length > 0) result[key] = issues;
+  }
+  return result;
+}
@@ -0,0 +1,58 @@
+/**
+ * 지역 변형 locale (es-MX ← es, zh-TW ← zh)
+ * - 상위 언어(languages.js의 fallback)도 번역 대상이면 변형은 상위 번역에서 출발
+ *   → 지역 차이(어휘, 문자 체계, 통화 표현 등)가 필요한 키만 받아 locales/<변형>.json에 재정의로 저장
+ * - 재정의가 없는 키는 상위 언어 번역을 그대로 사용 (상속)
+ * - 앱용 전체 파일: 상위 번역 + 재정의를 합쳐 locales/merged/<변형>.json (--merged, merge 명령)
+ */
+import { fallbackChain } from './languages.js';
+import { nestedToFlat } from './keyGen.js';
+import { readLocale } from './locales.js';
+
+/**
+ * 변형의 상위 언어 — 폴백 체인에서 available에 있는 첫 언어 (없으면 null → 일반 번역)
+ * @param available 함께 관리되는 언어 목록 (CLI: TARGET_LANGS, 리뷰 UI: locales/의 파일)
+ */
+export function variantParent(lang, available) {
+  return fallbackChain(lang).slice(1).find(l => available.includes(l)) || null;
+}
+
+/**
+ * 상위 언어가 먼저 끝나도록 단계별로 나눔 (같은 단계는 병렬 실행 가능)
+ *   예: [ko, es, es-MX, zh-TW, zh] → [[ko, es, zh], [es-MX, zh-TW]]
+ */
+export function variantPhases(langs, available = langs) {
+  const depth = lang => {
+    const parent = variantParent(lang, available);
+    return parent ? depth(parent) + 1 : 0;
+  };
+  const phases = [];
+  for (const lang of langs) {
+    const d = depth(lang);
+    (phases[d] = phases[d] || []).push(lang);
+  }
+  return phases.filter(Boolean);
+}
+
+/**
+ * 상위 번역 + 재정의 → 변형의 실제 번역 (keys 순서)
+ */
+export function mergeVariant(keys, parentFlat, overrides) {
+  const merged = {};
+  for (const key of keys) {
+    if (overrides[key]) merged[key] = overrides[key];
+    else if (parentFlat[key]) merged[key] = parentFlat[key];
+  }
+  return merged;
+}
+
+/**
+ * 언어의 실제 번역 { key: text } — 변형이면 상위 언어(의 상위까지) 번역과 재정의를 합침
+ */
+export async function readEffectiveFlat(lang, available) {
+  const own = nestedToFlat(await readLocale(lang));
+  const parent = variantParent(lang, available);
+  if (!parent) return own;
+  const parentFlat = await readEffectiveFlat(parent, available);
+  return mergeVariant([...new Set([...Object.keys(parentFlat), ...Object.keys(own)])], parentFlat, own);
+}